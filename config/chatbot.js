@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+// Chatbot ordering: how far the model may go with tools and how long carts live
+const chatbotConfig = {
+  // Model calls per guest message; each may run several tools
+  maxToolRounds: parseInt(process.env.CHATBOT_MAX_TOOL_ROUNDS || '4', 10),
+  // Carts built by chatting are kept per table, in memory, until idle this long
+  cartTtlMs: parseInt(process.env.CHAT_CART_TTL_MINUTES || '180', 10) * 60 * 1000,
+  // An order summary the guest was asked to confirm expires after this
+  confirmationTtlMs: parseInt(process.env.CHAT_CONFIRMATION_TTL_MINUTES || '10', 10) * 60 * 1000,
+  searchLimit: 8
+};
+
+module.exports = chatbotConfig;
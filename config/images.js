@@ -0,0 +1,28 @@
+require('dotenv').config();
+const path = require('path');
+
+// Menu image uploads: what is accepted, the sizes generated and where they are kept
+const imagesConfig = {
+  // local is the only built-in storage; others register under their own name
+  storage: process.env.IMAGE_STORAGE || 'local',
+  localDirectory: path.resolve(process.env.IMAGE_UPLOAD_DIR || path.join(__dirname, '..', 'uploads', 'menu')),
+  publicPath: '/api/images',
+
+  maxBytes: Math.round(parseFloat(process.env.MAX_IMAGE_UPLOAD_MB || '5') * 1024 * 1024),
+  // Guards against tiny files that decode to huge bitmaps
+  maxPixels: 40 * 1000 * 1000,
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+
+  // Every upload is stored in these sizes as WebP; `image` of the menu item is the card
+  variants: {
+    full: { width: 1600, height: 1600, fit: 'inside' },
+    card: { width: 600, height: 400, fit: 'cover' },
+    thumb: { width: 160, height: 160, fit: 'cover' }
+  },
+  quality: parseInt(process.env.IMAGE_QUALITY || '80', 10),
+
+  // File names change with the content, so browsers may keep them for long
+  cacheMaxAge: process.env.IMAGE_CACHE_MAX_AGE || '30d'
+};
+
+module.exports = imagesConfig;
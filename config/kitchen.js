@@ -0,0 +1,52 @@
+require('dotenv').config();
+
+// Parses "key:value,key:value" environment settings
+const parsePairs = (value) => (value || '')
+  .split(',')
+  .map(pair => pair.split(':').map(part => part.trim()))
+  .filter(([key, label]) => key && label);
+
+const defaultStations = [
+  { id: 'grill', name: 'Grill' },
+  { id: 'tandoor', name: 'Tandoor' },
+  { id: 'pizza_oven', name: 'Pizza Oven' },
+  { id: 'bar', name: 'Bar' },
+  { id: 'desserts', name: 'Desserts' }
+];
+
+const defaultCategoryStations = {
+  appetizer: 'grill',
+  main: 'tandoor',
+  dessert: 'desserts',
+  beverage: 'bar'
+};
+
+// Kitchen stations and the station each menu category is sent to when the
+// menu item does not name one. Override with
+// KITCHEN_STATIONS="grill:Grill,bar:Bar" and CATEGORY_STATIONS="main:grill".
+const configuredStations = parsePairs(process.env.KITCHEN_STATIONS).map(([id, name]) => ({ id, name }));
+
+const kitchenConfig = {
+  stations: configuredStations.length ? configuredStations : defaultStations,
+  categoryStations: {
+    ...defaultCategoryStations,
+    ...Object.fromEntries(parsePairs(process.env.CATEGORY_STATIONS))
+  },
+  defaultStation: process.env.DEFAULT_KITCHEN_STATION || 'tandoor',
+
+  // Order ETA estimation (minutes)
+  eta: {
+    // Items a station cooks at the same time
+    stationCapacity: parseInt(process.env.STATION_CAPACITY || '2', 10),
+    // Plating and serving time added on top of cooking
+    bufferMinutes: Number(process.env.ETA_BUFFER_MINUTES || 5),
+    // Extra cooking time per additional unit, as a fraction of one unit
+    extraUnitFactor: Number(process.env.ETA_EXTRA_UNIT_FACTOR || 0.25),
+    // How many observations the menu prep time is worth when blending in history
+    prepTimeWeight: Number(process.env.ETA_PREP_TIME_WEIGHT || 3),
+    // Completed items to learn from
+    historySize: parseInt(process.env.ETA_HISTORY_SIZE || '200', 10)
+  }
+};
+
+module.exports = kitchenConfig;
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Languages menu content can be served in. The default language is what menu
+// items are written in; the others come from each item's `translations`.
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  te: 'Telugu',
+  ta: 'Tamil',
+  kn: 'Kannada',
+  ml: 'Malayalam',
+  mr: 'Marathi',
+  bn: 'Bengali',
+  gu: 'Gujarati'
+};
+
+const defaultLanguage = (process.env.DEFAULT_MENU_LANGUAGE || 'en').trim().toLowerCase();
+
+const languagesConfig = {
+  defaultLanguage,
+  // Always includes the default language
+  enabled: Array.from(new Set([defaultLanguage].concat(
+    (process.env.MENU_LANGUAGES || 'en,hi,te,ta').split(',').map(code => code.trim().toLowerCase()).filter(Boolean)
+  ))),
+  names: LANGUAGE_NAMES
+};
+
+module.exports = languagesConfig;
@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+const ALL_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+
+// "10:00-23:00" -> { from: '10:00', to: '23:00' }
+const parseHours = (value, fallback) => {
+  const [from, to] = (value || fallback).split('-').map(part => part.trim());
+  return { from, to };
+};
+
+const parseList = (value, fallback) => (value || '').split(',').map(part => part.trim()).filter(Boolean).concat(value ? [] : fallback);
+
+// When the menu can be ordered from. Every window is local time in `timeZone`;
+// a window ending before it starts runs past midnight.
+const menuScheduleConfig = {
+  timeZone: process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata',
+
+  // Runs the schedule from this moment instead of the system time, e.g.
+  // MENU_SIMULATED_TIME="2025-03-07T17:30:00+05:30", and keeps the clock running
+  // from there. For trying out opening and happy hours; ignored in production.
+  simulatedTime: (process.env.NODE_ENV !== 'production' && process.env.MENU_SIMULATED_TIME) || null,
+
+  // Nothing can be ordered outside opening hours
+  openingHours: [{ days: ALL_DAYS, ...parseHours(process.env.OPENING_HOURS, '10:00-23:00') }],
+
+  // Sections a menu item can be limited to with `sections: ['breakfast']`
+  sections: {
+    breakfast: [{ days: ALL_DAYS, ...parseHours(process.env.BREAKFAST_HOURS, '10:00-12:00') }],
+    lunch: [{ days: ALL_DAYS, ...parseHours(process.env.LUNCH_HOURS, '12:00-16:00') }],
+    dinner: [{ days: ALL_DAYS, ...parseHours(process.env.DINNER_HOURS, '18:00-23:00') }]
+  },
+
+  // Discounted prices; an item's own `happyHourPrice` replaces the percentage
+  happyHours: [{
+    name: 'Happy Hour',
+    days: parseList(process.env.HAPPY_HOUR_DAYS, WEEKDAYS),
+    ...parseHours(process.env.HAPPY_HOUR, '16:00-19:00'),
+    categories: parseList(process.env.HAPPY_HOUR_CATEGORIES, ['beverage']),
+    discountPercent: parseFloat(process.env.HAPPY_HOUR_DISCOUNT || '20')
+  }]
+};
+
+module.exports = menuScheduleConfig;
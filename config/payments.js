@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+// Payment configuration shared by the MongoDB and PostgreSQL servers
+const paymentsConfig = {
+  // Provider for card and UPI payments; none means only cash is accepted
+  provider: process.env.PAYMENT_PROVIDER || null,
+  // The mock gateway settles whatever a client asks it to (`simulate`), so it
+  // only runs when explicitly allowed and never in production
+  allowMockPayments: process.env.ALLOW_MOCK_PAYMENTS === 'true' && process.env.NODE_ENV !== 'production',
+  mockWebhookDelayMs: parseInt(process.env.MOCK_WEBHOOK_DELAY_MS || '3000', 10),
+  // Shared secret providers sign webhook bodies with (HMAC-SHA256, hex, X-Webhook-Signature)
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || null
+};
+
+module.exports = paymentsConfig;
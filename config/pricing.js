@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+// Pricing configuration shared by the MongoDB and PostgreSQL servers.
+// Rates are percentages, amounts are in rupees.
+const pricingConfig = {
+  currency: 'INR',
+  taxes: [
+    { name: 'GST', rate: parseFloat(process.env.TAX_RATE || '5') }
+  ],
+  serviceChargeRate: parseFloat(process.env.SERVICE_CHARGE_RATE || '0'),
+  // Grand total is rounded to the nearest multiple of this value (0 disables rounding)
+  roundTo: parseFloat(process.env.ROUND_TOTAL_TO || '1'),
+  // Maximum allowed difference between the client total and the server total
+  totalTolerance: parseFloat(process.env.ORDER_TOTAL_TOLERANCE || '1'),
+  maxQuantityPerItem: parseInt(process.env.MAX_QUANTITY_PER_ITEM || '50', 10),
+  // Longest special instruction accepted on an order line
+  maxNotesLength: parseInt(process.env.MAX_ITEM_NOTES_LENGTH || '200', 10)
+};
+
+module.exports = pricingConfig;
@@ -0,0 +1,17 @@
+const express = require('express');
+const imagesConfig = require('../config/images');
+
+const readBody = express.raw({ type: () => true, limit: imagesConfig.maxBytes });
+
+// Reads an image sent as the raw request body (e.g. `fetch(url, { method: 'PUT', body: file })`)
+// into req.body, answering oversized uploads with JSON instead of the default error page.
+const imageUpload = (req, res, next) => {
+  readBody(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ success: false, error: 'Image is too large', maxBytes: imagesConfig.maxBytes });
+    }
+    next(error);
+  });
+};
+
+module.exports = imageUpload;
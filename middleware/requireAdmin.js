@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Whether the request carries ADMIN_API_KEY as the X-Admin-Key header
+const hasAdminKey = (req) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+
+  const provided = Buffer.from(req.get('X-Admin-Key') || '');
+  const expected = Buffer.from(adminKey);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+// Whether the request may do what admin endpoints do.
+// Without a configured key everyone may, as in local development.
+const isAdmin = req => !process.env.ADMIN_API_KEY || hasAdminKey(req);
+
+// Guards admin endpoints with ADMIN_API_KEY, sent as the X-Admin-Key header
+const requireAdmin = (req, res, next) => {
+  if (isAdmin(req)) return next();
+
+  res.status(401).json({ success: false, error: 'Admin key required' });
+};
+
+module.exports = requireAdmin;
+module.exports.hasAdminKey = hasAdminKey;
+module.exports.isAdmin = isAdmin;
@@ -0,0 +1,106 @@
+const { pool } = require('../config/database');
+
+// A bill (single order or whole table session) split into independently payable sub-bills
+class BillSplit {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bill_splits (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        session_id INTEGER REFERENCES table_sessions(id) ON DELETE CASCADE,
+        table_no INTEGER NOT NULL,
+        mode VARCHAR(20) NOT NULL,
+        total NUMERIC(10, 2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'void')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bill_split_parts (
+        id SERIAL PRIMARY KEY,
+        split_id INTEGER NOT NULL REFERENCES bill_splits(id) ON DELETE CASCADE,
+        label VARCHAR(100) NOT NULL,
+        total NUMERIC(10, 2) NOT NULL,
+        breakdown JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'unpaid' CHECK (status IN ('unpaid', 'paid')),
+        paid_at TIMESTAMP
+      )
+    `);
+  }
+
+  // Voids the previous active split of the same bill and stores the new one
+  static async create(target, split) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE bill_splits SET status = 'void'
+         WHERE status = 'active' AND (order_id = $1 OR session_id = $2)`,
+        [target.orderId || null, target.sessionId || null]
+      );
+
+      const splitResult = await client.query(
+        `INSERT INTO bill_splits (order_id, session_id, table_no, mode, total)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [target.orderId || null, target.sessionId || null, target.tableNo, split.mode, split.total]
+      );
+      const splitRow = splitResult.rows[0];
+
+      for (const subBill of split.subBills) {
+        await client.query(
+          `INSERT INTO bill_split_parts (split_id, label, total, breakdown)
+           VALUES ($1, $2, $3, $4)`,
+          [splitRow.id, subBill.label, subBill.total, JSON.stringify(subBill)]
+        );
+      }
+
+      await client.query('COMMIT');
+      return BillSplit.findById(splitRow.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async markPartPaid(partId) {
+    await pool.query(
+      `UPDATE bill_split_parts SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [partId]
+    );
+  }
+
+  static async findById(id) {
+    const splitResult = await pool.query('SELECT * FROM bill_splits WHERE id = $1', [id]);
+    const split = splitResult.rows[0];
+    if (!split) return null;
+
+    const partsResult = await pool.query(
+      'SELECT * FROM bill_split_parts WHERE split_id = $1 ORDER BY id',
+      [id]
+    );
+
+    return {
+      id: split.id,
+      orderId: split.order_id,
+      sessionId: split.session_id,
+      tableNo: split.table_no,
+      mode: split.mode,
+      total: Number(split.total),
+      status: split.status,
+      createdAt: split.created_at,
+      subBills: partsResult.rows.map(part => ({
+        ...part.breakdown,
+        id: part.id,
+        status: part.status,
+        paidAt: part.paid_at
+      }))
+    };
+  }
+}
+
+module.exports = BillSplit;
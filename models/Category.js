@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+const { DEFAULT_CATEGORIES } = require('../services/categories');
+
+const COLUMNS = {
+  name: 'name',
+  icon: 'icon',
+  sortOrder: 'sort_order',
+  visible: 'visible',
+  parent: 'parent'
+};
+
+const toCategory = row => row && {
+  slug: row.slug,
+  name: row.name,
+  icon: row.icon,
+  sortOrder: row.sort_order,
+  visible: row.visible,
+  parent: row.parent,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+// Managed menu categories (see services/categories.js); menu_items.category holds the slug
+class Category {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS menu_categories (
+        slug VARCHAR(40) PRIMARY KEY,
+        name VARCHAR(60) NOT NULL,
+        icon VARCHAR(200),
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        visible BOOLEAN NOT NULL DEFAULT true,
+        parent VARCHAR(40) REFERENCES menu_categories(slug),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    for (const category of DEFAULT_CATEGORIES) {
+      await pool.query(
+        `INSERT INTO menu_categories (slug, name, icon, sort_order, visible, parent)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (slug) DO NOTHING`,
+        [category.slug, category.name, category.icon, category.sortOrder, category.visible, category.parent]
+      );
+    }
+    // The base schema limited categories to a fixed list
+    await pool.query('ALTER TABLE menu_items DROP CONSTRAINT IF EXISTS menu_items_category_check');
+  }
+
+  static async findAll() {
+    const result = await pool.query('SELECT * FROM menu_categories ORDER BY sort_order, name');
+    return result.rows.map(toCategory);
+  }
+
+  static async slugs() {
+    return (await Category.findAll()).map(category => category.slug);
+  }
+
+  static async create(fields) {
+    const result = await pool.query(
+      `INSERT INTO menu_categories (slug, name, icon, sort_order, visible, parent)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [fields.slug, fields.name, fields.icon, fields.sortOrder, fields.visible, fields.parent]
+    );
+    return toCategory(result.rows[0]);
+  }
+
+  static async update(slug, fields) {
+    const keys = Object.keys(COLUMNS).filter(key => fields[key] !== undefined);
+    const result = await pool.query(
+      `UPDATE menu_categories
+       SET ${keys.map((key, index) => `${COLUMNS[key]} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE slug = $1
+       RETURNING *`,
+      [slug, ...keys.map(key => fields[key])]
+    );
+    return toCategory(result.rows[0]);
+  }
+
+  static async delete(slug) {
+    await pool.query('DELETE FROM menu_categories WHERE slug = $1', [slug]);
+  }
+}
+
+module.exports = Category;
@@ -0,0 +1,97 @@
+const { pool } = require('../config/database');
+const { DEFAULT_PERSONAS } = require('../services/chatbot/personas');
+
+const COLUMNS = {
+  name: 'name',
+  systemPrompt: 'system_prompt',
+  tone: 'tone',
+  greeting: 'greeting',
+  temperature: 'temperature',
+  maxTokens: 'max_tokens',
+  starterQuestions: 'starter_questions'
+};
+
+const toPersona = row => row && {
+  slug: row.slug,
+  name: row.name,
+  systemPrompt: row.system_prompt,
+  tone: row.tone,
+  greeting: row.greeting,
+  temperature: Number(row.temperature),
+  maxTokens: row.max_tokens,
+  starterQuestions: row.starter_questions || [],
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+const valuesOf = persona => [
+  persona.slug,
+  persona.name,
+  persona.systemPrompt,
+  persona.tone,
+  persona.greeting,
+  persona.temperature,
+  persona.maxTokens,
+  JSON.stringify(persona.starterQuestions)
+];
+
+// Managed chatbot personas (see services/chatbot/personas.js); chats pick one by slug
+class ChatPersona {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS chat_personas (
+        slug VARCHAR(40) PRIMARY KEY,
+        name VARCHAR(60) NOT NULL,
+        system_prompt TEXT NOT NULL,
+        tone VARCHAR(120),
+        greeting VARCHAR(300),
+        temperature NUMERIC(3, 2) NOT NULL DEFAULT 0.7,
+        max_tokens INTEGER NOT NULL DEFAULT 250,
+        starter_questions JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    for (const persona of DEFAULT_PERSONAS) {
+      await pool.query(
+        `INSERT INTO chat_personas (slug, name, system_prompt, tone, greeting, temperature, max_tokens, starter_questions)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (slug) DO NOTHING`,
+        valuesOf(persona)
+      );
+    }
+  }
+
+  static async findAll() {
+    const result = await pool.query('SELECT * FROM chat_personas ORDER BY created_at, slug');
+    return result.rows.map(toPersona);
+  }
+
+  static async create(fields) {
+    const result = await pool.query(
+      `INSERT INTO chat_personas (slug, name, system_prompt, tone, greeting, temperature, max_tokens, starter_questions)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      valuesOf(fields)
+    );
+    return toPersona(result.rows[0]);
+  }
+
+  static async update(slug, fields) {
+    const keys = Object.keys(COLUMNS).filter(key => fields[key] !== undefined);
+    const result = await pool.query(
+      `UPDATE chat_personas
+       SET ${keys.map((key, index) => `${COLUMNS[key]} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE slug = $1
+       RETURNING *`,
+      [slug, ...keys.map(key => (key === 'starterQuestions' ? JSON.stringify(fields[key]) : fields[key]))]
+    );
+    return toPersona(result.rows[0]);
+  }
+
+  static async delete(slug) {
+    await pool.query('DELETE FROM chat_personas WHERE slug = $1', [slug]);
+  }
+}
+
+module.exports = ChatPersona;
@@ -0,0 +1,67 @@
+const { pool } = require('../config/database');
+
+// Idempotency keys of client requests and the response to replay for them
+class IdempotencyKey {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        key VARCHAR(300) PRIMARY KEY,
+        fingerprint VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+        status_code INTEGER,
+        response JSONB,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  // Claims a key; an expired claim is taken over
+  static async reserve(key, fingerprint, expiresAt, now = new Date()) {
+    const result = await pool.query(
+      `INSERT INTO idempotency_keys (key, fingerprint, expires_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE SET
+         fingerprint = EXCLUDED.fingerprint,
+         status = 'processing',
+         status_code = NULL,
+         response = NULL,
+         expires_at = EXCLUDED.expires_at,
+         created_at = CURRENT_TIMESTAMP
+       WHERE idempotency_keys.expires_at <= $4
+       RETURNING *`,
+      [key, fingerprint, expiresAt, now]
+    );
+
+    if (result.rows[0]) return { created: true, record: IdempotencyKey.toRecord(result.rows[0]) };
+
+    const existing = await pool.query('SELECT * FROM idempotency_keys WHERE key = $1', [key]);
+    // The holder released the key between the insert and the select; claim it again
+    if (!existing.rows[0]) return IdempotencyKey.reserve(key, fingerprint, expiresAt, now);
+
+    return { created: false, record: IdempotencyKey.toRecord(existing.rows[0]) };
+  }
+
+  static async complete(key, statusCode, response) {
+    await pool.query(
+      `UPDATE idempotency_keys SET status = 'completed', status_code = $2, response = $3 WHERE key = $1`,
+      [key, statusCode, JSON.stringify(response)]
+    );
+  }
+
+  static async release(key) {
+    await pool.query(`DELETE FROM idempotency_keys WHERE key = $1 AND status = 'processing'`, [key]);
+  }
+
+  static toRecord(row) {
+    return {
+      fingerprint: row.fingerprint,
+      status: row.status,
+      statusCode: row.status_code,
+      response: row.response,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,149 @@
+const { pool } = require('../config/database');
+
+const COLUMNS = {
+  name: 'name',
+  description: 'description',
+  price: 'price',
+  category: 'category',
+  image: 'image',
+  images: 'images',
+  available: 'available',
+  prepTime: 'prep_time',
+  isVeg: 'is_veg',
+  spiceLevel: 'spice_level',
+  popular: 'popular',
+  chefSpecial: 'chef_special',
+  station: 'station',
+  modifierGroups: 'modifier_groups',
+  allergens: 'allergens',
+  dietaryTags: 'dietary_tags',
+  sections: 'sections',
+  availability: 'availability',
+  happyHourPrice: 'happy_hour_price',
+  type: 'item_type',
+  comboSlots: 'combo_slots',
+  translations: 'translations'
+};
+
+const JSON_COLUMNS = ['images', 'modifierGroups', 'allergens', 'dietaryTags', 'sections', 'availability', 'comboSlots', 'translations'];
+
+const NUMERIC_COLUMNS = ['price', 'happyHourPrice'];
+
+const toValue = (key, value) => (JSON_COLUMNS.includes(key) ? JSON.stringify(value) : value);
+
+// A row as the camelCased menu fields the services work with
+const toFields = (row) => {
+  const fields = { id: row.id };
+  Object.keys(COLUMNS).forEach((key) => {
+    const value = row[COLUMNS[key]];
+    if (value === undefined || value === null) return;
+    fields[key] = NUMERIC_COLUMNS.includes(key) ? Number(value) : value;
+  });
+  // Derived from reviews (see models/Review.js), so read but never written here
+  fields.rating = row.rating === undefined || row.rating === null ? null : Number(row.rating);
+  fields.ratingCount = row.rating_count || 0;
+  return fields;
+};
+
+// Menu item writes and the reads that must respect soft deletes,
+// which the base MenuItem model does not know about
+class MenuItemAdmin {
+  static async createTable() {
+    // Soft delete keeps items that old orders refer to
+    await pool.query('ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    // NULL allergens means "not recorded", which safe filtering treats as unsafe
+    await pool.query('ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS allergens JSONB');
+    await pool.query(`ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS dietary_tags JSONB NOT NULL DEFAULT '[]'`);
+    // When the item can be ordered and what it costs during happy hours
+    await pool.query(`ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS sections JSONB NOT NULL DEFAULT '[]'`);
+    await pool.query(`ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS availability JSONB NOT NULL DEFAULT '[]'`);
+    await pool.query('ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS happy_hour_price NUMERIC(10, 2)');
+    // Combos are priced as a bundle of one item per slot (see services/combos.js)
+    await pool.query(`ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS item_type VARCHAR(20) NOT NULL DEFAULT 'item'`);
+    await pool.query('ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS combo_slots JSONB');
+    // Translated names and descriptions by language (see services/translations.js)
+    await pool.query(`ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'`);
+    // Variants of an uploaded image (see services/images); `image` holds the card one
+    await pool.query('ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS images JSONB');
+  }
+
+  // Items that exist (soft deleted ones excluded), available or not
+  static async findAll() {
+    const result = await pool.query('SELECT * FROM menu_items WHERE deleted_at IS NULL ORDER BY id');
+    return result.rows;
+  }
+
+  static async findById(id) {
+    if (!Number.isInteger(id)) return null;
+    const result = await pool.query(
+      'SELECT * FROM menu_items WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  static toFields(row) {
+    return toFields(row);
+  }
+
+  static async create(fields, db = pool) {
+    const keys = Object.keys(COLUMNS).filter(key => fields[key] !== undefined);
+    const result = await db.query(
+      `INSERT INTO menu_items (${keys.map(key => COLUMNS[key]).join(', ')})
+       VALUES (${keys.map((key, index) => '$' + (index + 1)).join(', ')})
+       RETURNING *`,
+      keys.map(key => toValue(key, fields[key]))
+    );
+    return result.rows[0];
+  }
+
+  static async update(id, fields, db = pool) {
+    const keys = Object.keys(COLUMNS).filter(key => fields[key] !== undefined);
+    const result = await db.query(
+      `UPDATE menu_items
+       SET ${keys.map((key, index) => `${COLUMNS[key]} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [id, ...keys.map(key => toValue(key, fields[key]))]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async softDelete(id, db = pool) {
+    if (!Number.isInteger(id)) return null;
+    const result = await db.query(
+      `UPDATE menu_items
+       SET deleted_at = CURRENT_TIMESTAMP, available = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Applies a planned menu import (see services/menuTransfer.js) in one transaction
+  static async applyImport(plan) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      for (const { id, fields } of plan.updates) {
+        await MenuItemAdmin.update(Number(id), fields, client);
+      }
+      for (const { id } of plan.deletes) {
+        await MenuItemAdmin.softDelete(Number(id), client);
+      }
+      for (const { fields } of plan.creates) {
+        await MenuItemAdmin.create(fields, client);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = MenuItemAdmin;
@@ -0,0 +1,71 @@
+const { pool } = require('../config/database');
+
+// Modifiers and special instructions of each order line
+class OrderItemDetail {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_item_details (
+        order_item_id INTEGER PRIMARY KEY REFERENCES order_items(id) ON DELETE CASCADE,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        base_price NUMERIC(10, 2) NOT NULL,
+        modifiers JSONB NOT NULL DEFAULT '[]',
+        modifier_text TEXT NOT NULL DEFAULT '',
+        notes TEXT
+      )
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_order_item_details_order ON order_item_details(order_id)'
+    );
+    // Allergens of the dish when ordered; NULL when the menu did not record them
+    await pool.query('ALTER TABLE order_item_details ADD COLUMN IF NOT EXISTS allergens JSONB');
+    // The combo a component line belongs to; NULL for items ordered on their own
+    await pool.query('ALTER TABLE order_item_details ADD COLUMN IF NOT EXISTS combo JSONB');
+
+    // Menu items carry the modifier groups customers choose from
+    await pool.query(
+      `ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS modifier_groups JSONB NOT NULL DEFAULT '[]'`
+    );
+  }
+
+  // `line` is the priced cart line the order item was created from
+  static async create(orderId, orderItemId, line, db = pool) {
+    await db.query(
+      `INSERT INTO order_item_details (order_item_id, order_id, base_price, modifiers, modifier_text, notes, allergens, combo)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        orderItemId,
+        orderId,
+        line.basePrice,
+        JSON.stringify(line.modifiers || []),
+        line.modifierText || '',
+        line.notes || null,
+        line.allergens ? JSON.stringify(line.allergens) : null,
+        line.combo ? JSON.stringify(line.combo) : null
+      ]
+    );
+  }
+
+  // Returns the order items with modifiers and notes merged in
+  static async withDetails(order) {
+    const result = await pool.query(
+      'SELECT * FROM order_item_details WHERE order_id = $1',
+      [order.id]
+    );
+    const byItem = new Map(result.rows.map(row => [row.order_item_id, row]));
+
+    return order.items.map((item) => {
+      const row = byItem.get(item.id);
+      return {
+        ...item,
+        basePrice: row ? Number(row.base_price) : Number(item.price),
+        modifiers: row ? row.modifiers : [],
+        modifierText: row ? row.modifier_text : '',
+        notes: row ? row.notes : null,
+        allergens: row ? row.allergens : null,
+        combo: row ? row.combo : null
+      };
+    });
+  }
+}
+
+module.exports = OrderItemDetail;
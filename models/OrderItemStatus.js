@@ -0,0 +1,94 @@
+const { pool } = require('../config/database');
+const { ORDER_STATUSES } = require('../services/orderStatus');
+const { stationForItem } = require('../services/kitchenRouting');
+
+// Kitchen status and station of each order line; items without a row are still queued
+class OrderItemStatus {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_item_status (
+        order_item_id INTEGER PRIMARY KEY REFERENCES order_items(id) ON DELETE CASCADE,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'preparing', 'ready', 'served', 'cancelled')),
+        station VARCHAR(30),
+        started_at TIMESTAMP,
+        ready_at TIMESTAMP,
+        served_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('ALTER TABLE order_item_status ADD COLUMN IF NOT EXISTS station VARCHAR(30)');
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_order_item_status_order ON order_item_status(order_id)'
+    );
+
+    // Menu items may name the kitchen station that prepares them
+    await pool.query('ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS station VARCHAR(30)');
+
+    // Item rollup introduces the partially_ready order status
+    await pool.query('ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check');
+    await pool.query(
+      `ALTER TABLE orders ADD CONSTRAINT orders_status_check
+       CHECK (status IN (${ORDER_STATUSES.map(status => `'${status}'`).join(', ')}))`
+    );
+  }
+
+  // Returns the order items with status and timestamps merged in
+  static async withStatuses(order) {
+    const result = await pool.query(
+      'SELECT * FROM order_item_status WHERE order_id = $1',
+      [order.id]
+    );
+    const byItem = new Map(result.rows.map(row => [row.order_item_id, row]));
+
+    return order.items.map((item) => {
+      const row = byItem.get(item.id);
+      return {
+        ...item,
+        status: row ? row.status : 'queued',
+        station: row && row.station ? row.station : stationForItem(item),
+        startedAt: row ? row.started_at : null,
+        readyAt: row ? row.ready_at : null,
+        servedAt: row ? row.served_at : null
+      };
+    });
+  }
+
+  // Most recently finished items with both start and ready times
+  static async findCompleted(limit) {
+    const result = await pool.query(
+      `SELECT oi.name, oi.quantity, s.started_at, s.ready_at
+       FROM order_item_status s
+       JOIN order_items oi ON oi.id = s.order_item_id
+       WHERE s.started_at IS NOT NULL AND s.ready_at IS NOT NULL
+       ORDER BY s.ready_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows.map(row => ({
+      name: row.name,
+      quantity: row.quantity,
+      startedAt: row.started_at,
+      readyAt: row.ready_at
+    }));
+  }
+
+  static async save(orderId, item, db = pool) {
+    await db.query(
+      `INSERT INTO order_item_status (order_item_id, order_id, status, station, started_at, ready_at, served_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (order_item_id) DO UPDATE SET
+         status = EXCLUDED.status,
+         station = COALESCE(EXCLUDED.station, order_item_status.station),
+         started_at = EXCLUDED.started_at,
+         ready_at = EXCLUDED.ready_at,
+         served_at = EXCLUDED.served_at,
+         updated_at = CURRENT_TIMESTAMP`,
+      [item.id, orderId, item.status, item.station || null, item.startedAt || null, item.readyAt || null, item.servedAt || null]
+    );
+  }
+}
+
+module.exports = OrderItemStatus;
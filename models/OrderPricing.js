@@ -0,0 +1,36 @@
+const { pool } = require('../config/database');
+
+// Server computed price breakdown for each order (one row per order)
+class OrderPricing {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_pricing (
+        order_id INTEGER PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+        subtotal NUMERIC(10, 2) NOT NULL,
+        total NUMERIC(10, 2) NOT NULL,
+        breakdown JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  static async create(orderId, pricing, db = pool) {
+    const result = await db.query(
+      `INSERT INTO order_pricing (order_id, subtotal, total, breakdown)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [orderId, pricing.subtotal, pricing.total, JSON.stringify(pricing)]
+    );
+    return result.rows[0].breakdown;
+  }
+
+  static async findByOrderId(orderId) {
+    const result = await pool.query(
+      'SELECT breakdown FROM order_pricing WHERE order_id = $1',
+      [orderId]
+    );
+    return result.rows[0] ? result.rows[0].breakdown : null;
+  }
+}
+
+module.exports = OrderPricing;
@@ -0,0 +1,51 @@
+const { pool } = require('../config/database');
+
+// Every status transition an order went through, oldest first
+class OrderStatusHistory {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        actor VARCHAR(100) NOT NULL,
+        reason TEXT,
+        changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id)'
+    );
+  }
+
+  static async create(orderId, entry, db = pool) {
+    const result = await db.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason, changed_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [orderId, entry.from, entry.to, entry.actor, entry.reason, entry.at]
+    );
+    return OrderStatusHistory.toEntry(result.rows[0]);
+  }
+
+  static async findByOrderId(orderId) {
+    const result = await pool.query(
+      'SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY changed_at ASC, id ASC',
+      [orderId]
+    );
+    return result.rows.map(OrderStatusHistory.toEntry);
+  }
+
+  static toEntry(row) {
+    return {
+      from: row.from_status,
+      to: row.to_status,
+      actor: row.actor,
+      reason: row.reason,
+      at: row.changed_at
+    };
+  }
+}
+
+module.exports = OrderStatusHistory;
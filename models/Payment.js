@@ -0,0 +1,119 @@
+const { pool } = require('../config/database');
+
+const COLUMNS = {
+  orderId: 'order_id',
+  sessionId: 'session_id',
+  tableNo: 'table_no',
+  splitId: 'split_id',
+  subBillId: 'sub_bill_id',
+  kind: 'kind',
+  refundOf: 'refund_of',
+  method: 'method',
+  amount: 'amount',
+  status: 'status',
+  provider: 'provider',
+  providerPaymentId: 'provider_payment_id',
+  failureReason: 'failure_reason',
+  reason: 'reason'
+};
+
+// Payments and refunds of an order or of a whole table session
+class Payment {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        session_id INTEGER REFERENCES table_sessions(id) ON DELETE CASCADE,
+        table_no INTEGER NOT NULL,
+        split_id INTEGER REFERENCES bill_splits(id),
+        sub_bill_id INTEGER REFERENCES bill_split_parts(id),
+        kind VARCHAR(10) NOT NULL DEFAULT 'payment' CHECK (kind IN ('payment', 'refund')),
+        refund_of INTEGER REFERENCES payments(id),
+        method VARCHAR(10) NOT NULL CHECK (method IN ('cash', 'card', 'upi')),
+        amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+        status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+        provider VARCHAR(50),
+        provider_payment_id VARCHAR(100),
+        failure_reason TEXT,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_payments_session ON payments(session_id)');
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_payments_provider ON payments(provider, provider_payment_id)'
+    );
+  }
+
+  static async create(fields) {
+    const keys = Object.keys(COLUMNS).filter(key => fields[key] !== undefined);
+    const result = await pool.query(
+      `INSERT INTO payments (${keys.map(key => COLUMNS[key]).join(', ')})
+       VALUES (${keys.map((key, index) => '$' + (index + 1)).join(', ')})
+       RETURNING *`,
+      keys.map(key => fields[key])
+    );
+    return Payment.toPayment(result.rows[0]);
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM payments WHERE id = $1', [id]);
+    return result.rows[0] ? Payment.toPayment(result.rows[0]) : null;
+  }
+
+  // Equality filters on camelCase fields; a null value matches NULL
+  static async find(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    Object.keys(filters).forEach((key) => {
+      if (filters[key] === null) {
+        conditions.push(`${COLUMNS[key]} IS NULL`);
+      } else {
+        values.push(filters[key]);
+        conditions.push(`${COLUMNS[key]} = $${values.length}`);
+      }
+    });
+
+    const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+    const result = await pool.query(`SELECT * FROM payments ${where} ORDER BY created_at, id`, values);
+    return result.rows.map(Payment.toPayment);
+  }
+
+  static async updateStatus(id, status, failureReason) {
+    const result = await pool.query(
+      `UPDATE payments SET status = $2, failure_reason = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, status, failureReason || null]
+    );
+    return result.rows[0] ? Payment.toPayment(result.rows[0]) : null;
+  }
+
+  static toPayment(row) {
+    return {
+      id: row.id,
+      orderId: row.order_id,
+      sessionId: row.session_id,
+      tableNo: row.table_no,
+      splitId: row.split_id,
+      subBillId: row.sub_bill_id,
+      kind: row.kind,
+      refundOf: row.refund_of,
+      method: row.method,
+      amount: Number(row.amount),
+      status: row.status,
+      provider: row.provider,
+      providerPaymentId: row.provider_payment_id,
+      failureReason: row.failure_reason,
+      reason: row.reason,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = Payment;
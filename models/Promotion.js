@@ -0,0 +1,185 @@
+const { pool } = require('../config/database');
+
+const toPromotion = row => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  code: row.code,
+  type: row.type,
+  value: Number(row.value),
+  scope: row.scope,
+  categories: row.categories,
+  items: row.items,
+  buy: row.buy,
+  reward: row.reward,
+  minSpend: Number(row.min_spend),
+  startsAt: row.starts_at,
+  endsAt: row.ends_at,
+  usageLimit: row.usage_limit,
+  redemptionCount: row.redemption_count,
+  stackable: row.stackable,
+  priority: row.priority,
+  status: row.status,
+  createdAt: row.created_at,
+  retiredAt: row.retired_at
+};
+
+const toRedemption = row => ({
+  id: row.id,
+  promotionId: row.promotion_id,
+  name: row.name,
+  code: row.code,
+  orderId: row.order_id,
+  tableNo: row.table_no,
+  amount: Number(row.amount),
+  status: row.status,
+  redeemedAt: row.redeemed_at
+});
+
+// Discounts and coupon codes (see services/promotions.js) and every use of them
+class Promotion {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS promotions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        code VARCHAR(32) UNIQUE,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'flat', 'buy_x_get_y')),
+        value NUMERIC(10, 2) NOT NULL,
+        scope VARCHAR(20) CHECK (scope IN ('order', 'category', 'item')),
+        categories JSONB NOT NULL DEFAULT '[]',
+        items JSONB NOT NULL DEFAULT '[]',
+        buy JSONB,
+        reward JSONB,
+        min_spend NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        usage_limit INTEGER,
+        redemption_count INTEGER NOT NULL DEFAULT 0,
+        stackable BOOLEAN NOT NULL DEFAULT false,
+        priority INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        retired_at TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS promotion_redemptions (
+        id SERIAL PRIMARY KEY,
+        promotion_id INTEGER NOT NULL REFERENCES promotions(id),
+        name VARCHAR(100) NOT NULL,
+        code VARCHAR(32),
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        table_no INTEGER NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'void')),
+        redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_order ON promotion_redemptions(order_id)'
+    );
+  }
+
+  static async findAll() {
+    const result = await pool.query('SELECT * FROM promotions ORDER BY created_at DESC, id DESC');
+    return result.rows.map(toPromotion);
+  }
+
+  static async create(fields) {
+    const result = await pool.query(
+      `INSERT INTO promotions
+         (name, description, code, type, value, scope, categories, items, buy, reward,
+          min_spend, starts_at, ends_at, usage_limit, stackable, priority)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       RETURNING *`,
+      [
+        fields.name,
+        fields.description,
+        fields.code,
+        fields.type,
+        fields.value,
+        fields.scope,
+        JSON.stringify(fields.categories),
+        JSON.stringify(fields.items),
+        fields.buy ? JSON.stringify(fields.buy) : null,
+        fields.reward ? JSON.stringify(fields.reward) : null,
+        fields.minSpend,
+        fields.startsAt,
+        fields.endsAt,
+        fields.usageLimit,
+        fields.stackable,
+        fields.priority
+      ]
+    );
+    return toPromotion(result.rows[0]);
+  }
+
+  static async retire(id) {
+    if (!Number.isInteger(id)) return null;
+    const result = await pool.query(
+      `UPDATE promotions
+       SET status = 'retired', retired_at = COALESCE(retired_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    return toPromotion(result.rows[0]);
+  }
+
+  // Counts one use against the usage limit; false when the limit was reached in the meantime
+  static async reserve(id, db = pool) {
+    const result = await db.query(
+      `UPDATE promotions SET redemption_count = redemption_count + 1
+       WHERE id = $1 AND status = 'active' AND (usage_limit IS NULL OR redemption_count < usage_limit)
+       RETURNING id`,
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+
+  static async release(id) {
+    await pool.query(
+      'UPDATE promotions SET redemption_count = redemption_count - 1 WHERE id = $1 AND redemption_count > 0',
+      [id]
+    );
+  }
+
+  static async recordRedemptions(order, discounts, db = pool) {
+    for (const discount of discounts) {
+      await db.query(
+        `INSERT INTO promotion_redemptions (promotion_id, name, code, order_id, table_no, amount)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [discount.promotionId, discount.name, discount.code, order.id, order.table_no, discount.amount]
+      );
+    }
+  }
+
+  // A cancelled order gives its promotion uses back
+  static async voidRedemptions(orderId) {
+    const result = await pool.query(
+      `UPDATE promotion_redemptions SET status = 'void'
+       WHERE order_id = $1 AND status = 'applied'
+       RETURNING promotion_id`,
+      [orderId]
+    );
+    for (const row of result.rows) {
+      await Promotion.release(row.promotion_id);
+    }
+  }
+
+  static async findRedemptions({ from, to, promotionId } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM promotion_redemptions
+       WHERE ($1::timestamp IS NULL OR redeemed_at >= $1)
+         AND ($2::timestamp IS NULL OR redeemed_at <= $2)
+         AND ($3::integer IS NULL OR promotion_id = $3)
+       ORDER BY redeemed_at`,
+      [from || null, to || null, promotionId || null]
+    );
+    return result.rows.map(toRedemption);
+  }
+}
+
+module.exports = Promotion;
@@ -0,0 +1,130 @@
+const { pool } = require('../config/database');
+const { REVIEW_STATUSES, aggregateRating } = require('../services/reviews');
+
+const toReview = row => row && {
+  id: row.id,
+  orderId: row.order_id,
+  orderItemId: row.order_item_id,
+  menuItemId: row.menu_item_id,
+  menuItemName: row.menu_item_name,
+  tableNo: row.table_no,
+  rating: row.rating,
+  comment: row.comment,
+  author: row.author,
+  status: row.status,
+  moderationReason: row.moderation_reason,
+  moderatedAt: row.moderated_at,
+  createdAt: row.created_at
+};
+
+// Diner ratings of served order lines (see services/reviews.js); one per line
+class Review {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS menu_reviews (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        order_item_id INTEGER NOT NULL UNIQUE REFERENCES order_items(id) ON DELETE CASCADE,
+        menu_item_id INTEGER NOT NULL REFERENCES menu_items(id),
+        menu_item_name VARCHAR(100) NOT NULL,
+        table_no INTEGER,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        comment TEXT,
+        author VARCHAR(60),
+        status VARCHAR(20) NOT NULL DEFAULT 'published'
+          CHECK (status IN (${REVIEW_STATUSES.map(status => `'${status}'`).join(', ')})),
+        moderation_reason TEXT,
+        moderated_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_menu_reviews_menu_item ON menu_reviews(menu_item_id, created_at DESC)'
+    );
+
+    // The rating of an item is the mean of its reviews; there is none before the first one
+    await pool.query('ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0');
+    await pool.query('ALTER TABLE menu_items ALTER COLUMN rating DROP NOT NULL');
+    await pool.query('ALTER TABLE menu_items ALTER COLUMN rating SET DEFAULT NULL');
+  }
+
+  // Returns null when the line already has a review
+  static async create(fields) {
+    const result = await pool.query(
+      `INSERT INTO menu_reviews (order_id, order_item_id, menu_item_id, menu_item_name, table_no, rating, comment, author)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (order_item_id) DO NOTHING
+       RETURNING *`,
+      [
+        parseInt(fields.orderId),
+        parseInt(fields.orderItemId),
+        parseInt(fields.menuItemId),
+        fields.menuItemName,
+        fields.tableNo || null,
+        fields.rating,
+        fields.comment,
+        fields.author
+      ]
+    );
+    return toReview(result.rows[0]);
+  }
+
+  static async findById(id) {
+    if (!Number.isInteger(id)) return null;
+    const result = await pool.query('SELECT * FROM menu_reviews WHERE id = $1', [id]);
+    return toReview(result.rows[0]);
+  }
+
+  static async findByOrderItem(orderItemId) {
+    const result = await pool.query('SELECT * FROM menu_reviews WHERE order_item_id = $1', [orderItemId]);
+    return toReview(result.rows[0]);
+  }
+
+  // Newest first, optionally of one status and/or menu item
+  static async findAll({ status, menuItemId } = {}) {
+    const conditions = [];
+    const values = [];
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (menuItemId !== undefined) {
+      values.push(menuItemId);
+      conditions.push(`menu_item_id = $${values.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM menu_reviews
+       ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY created_at DESC, id DESC`,
+      values
+    );
+    return result.rows.map(toReview);
+  }
+
+  static async moderate(id, { status, moderationReason }) {
+    const result = await pool.query(
+      `UPDATE menu_reviews
+       SET status = $2, moderation_reason = $3, moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, status, moderationReason]
+    );
+    return toReview(result.rows[0]);
+  }
+
+  // Recomputes a menu item's rating and rating_count from its reviews; deleted items are updated too
+  static async refreshMenuRating(menuItemId) {
+    const { rating, ratingCount } = aggregateRating(await Review.findAll({ menuItemId }));
+    const result = await pool.query(
+      `UPDATE menu_items
+       SET rating = $2, rating_count = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [menuItemId, rating, ratingCount]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Review;
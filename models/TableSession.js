@@ -0,0 +1,111 @@
+const { pool } = require('../config/database');
+
+// A table's open tab: every order placed while the session is open is a round of it
+class TableSession {
+  static async createTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS table_sessions (
+        id SERIAL PRIMARY KEY,
+        table_no INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+        opened_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        closed_at TIMESTAMP
+      )
+    `);
+    // Only one open session per table
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_table_sessions_open
+      ON table_sessions(table_no) WHERE status = 'open'
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS table_session_orders (
+        session_id INTEGER NOT NULL REFERENCES table_sessions(id) ON DELETE CASCADE,
+        order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        round INTEGER NOT NULL,
+        PRIMARY KEY (session_id, round)
+      )
+    `);
+    // Allergies the table told us about, checked against every round
+    await pool.query(
+      `ALTER TABLE table_sessions ADD COLUMN IF NOT EXISTS declared_allergens JSONB NOT NULL DEFAULT '[]'`
+    );
+  }
+
+  static async findOpenByTable(tableNo, db = pool) {
+    const result = await db.query(
+      `SELECT * FROM table_sessions WHERE table_no = $1 AND status = 'open'`,
+      [tableNo]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM table_sessions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async findByOrderId(orderId) {
+    const result = await pool.query(
+      `SELECT s.*, so.round
+       FROM table_sessions s
+       JOIN table_session_orders so ON so.session_id = s.id
+       WHERE so.order_id = $1`,
+      [orderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Returns the open session of the table, opening one if there is none
+  static async findOrOpen(tableNo, db = pool) {
+    const existing = await TableSession.findOpenByTable(tableNo, db);
+    if (existing) return existing;
+
+    const result = await db.query(
+      `INSERT INTO table_sessions (table_no) VALUES ($1)
+       ON CONFLICT (table_no) WHERE status = 'open' DO NOTHING
+       RETURNING *`,
+      [tableNo]
+    );
+    return result.rows[0] || TableSession.findOpenByTable(tableNo, db);
+  }
+
+  // Attaches an order as the next round and returns the round number
+  static async addOrder(sessionId, orderId, db = pool) {
+    const result = await db.query(
+      `INSERT INTO table_session_orders (session_id, order_id, round)
+       SELECT $1, $2, COALESCE(MAX(round), 0) + 1
+       FROM table_session_orders WHERE session_id = $1
+       RETURNING round`,
+      [sessionId, orderId]
+    );
+    return result.rows[0].round;
+  }
+
+  static async findOrders(sessionId) {
+    const result = await pool.query(
+      'SELECT order_id, round FROM table_session_orders WHERE session_id = $1 ORDER BY round',
+      [sessionId]
+    );
+    return result.rows;
+  }
+
+  static async setDeclaredAllergens(sessionId, allergens, db = pool) {
+    const result = await db.query(
+      'UPDATE table_sessions SET declared_allergens = $2 WHERE id = $1 RETURNING *',
+      [sessionId, JSON.stringify(allergens)]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async close(sessionId) {
+    const result = await pool.query(
+      `UPDATE table_sessions SET status = 'closed', closed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [sessionId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = TableSession;
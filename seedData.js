@@ -1,5 +1,55 @@
 // Comprehensive Restaurant Menu Data with Real Food Images
 
+// Modifier groups shared by several dishes
+const spiceLevel = {
+  id: "spice_level",
+  name: "Spice Level",
+  required: false,
+  selection: "single",
+  options: [
+    { id: "mild", name: "Mild", priceDelta: 0 },
+    { id: "medium", name: "Medium", priceDelta: 0 },
+    { id: "extra_spicy", name: "Extra Spicy", priceDelta: 0 }
+  ]
+};
+
+const leaveOut = {
+  id: "leave_out",
+  name: "Leave Out",
+  required: false,
+  selection: "multiple",
+  options: [
+    { id: "no_onion", name: "No Onion", priceDelta: 0 },
+    { id: "no_garlic", name: "No Garlic", priceDelta: 0 }
+  ]
+};
+
+const pizzaAddOns = {
+  id: "add_ons",
+  name: "Add-ons",
+  required: false,
+  selection: "multiple",
+  maxSelections: 3,
+  options: [
+    { id: "extra_cheese", name: "Extra Cheese", priceDelta: 40 },
+    { id: "jalapenos", name: "Jalapenos", priceDelta: 30 },
+    { id: "olives", name: "Olives", priceDelta: 30 },
+    { id: "mushrooms", name: "Mushrooms", priceDelta: 35 }
+  ]
+};
+
+const milkChoice = {
+  id: "milk",
+  name: "Milk",
+  required: false,
+  selection: "single",
+  options: [
+    { id: "regular", name: "Regular Milk", priceDelta: 0 },
+    { id: "oat", name: "Oat Milk", priceDelta: 30 },
+    { id: "almond", name: "Almond Milk", priceDelta: 40 }
+  ]
+};
+
 const menuData = [
   // ==================== APPETIZERS ====================
   {
@@ -9,9 +59,10 @@ const menuData = [
     category: "appetizer",
     image: "https://images.unsplash.com/photo-1546793665-c74683f339c1?w=500&q=80",
     available: true,
-    rating: 4.5,
     prepTime: 8,
     isVeg: true,
+    allergens: ["gluten", "dairy", "eggs"],
+    dietaryTags: [],
     spiceLevel: 0,
     popular: true
   },
@@ -22,9 +73,10 @@ const menuData = [
     category: "appetizer",
     image: "https://images.unsplash.com/photo-1563245372-f21724e3856d?w=500&q=80",
     available: true,
-    rating: 4.3,
     prepTime: 10,
     isVeg: true,
+    allergens: ["gluten", "soy"],
+    dietaryTags: ["vegan"],
     spiceLevel: 1
   },
   {
@@ -32,11 +84,13 @@ const menuData = [
     description: "Freshly baked bread sticks with garlic butter and herbs",
     price: 149,
     category: "appetizer",
+    station: "pizza_oven",
     image: "https://images.unsplash.com/photo-1573140401552-3fab0b24f5c6?w=500&q=80",
     available: true,
-    rating: 4.6,
     prepTime: 6,
     isVeg: true,
+    allergens: ["gluten", "dairy"],
+    dietaryTags: [],
     spiceLevel: 0,
     popular: true
   },
@@ -47,11 +101,13 @@ const menuData = [
     category: "appetizer",
     image: "https://images.unsplash.com/photo-1608039755401-742074f0548d?w=500&q=80",
     available: true,
-    rating: 4.7,
     prepTime: 12,
     isVeg: false,
+    allergens: ["dairy", "eggs"],
+    dietaryTags: [],
     spiceLevel: 2,
-    popular: true
+    popular: true,
+    modifierGroups: [spiceLevel]
   },
   {
     name: "Bruschetta",
@@ -60,9 +116,10 @@ const menuData = [
     category: "appetizer",
     image: "https://images.unsplash.com/photo-1572695157366-5e585ab2b69f?w=500&q=80",
     available: true,
-    rating: 4.4,
     prepTime: 8,
     isVeg: true,
+    allergens: ["gluten", "dairy"],
+    dietaryTags: [],
     spiceLevel: 0
   },
 
@@ -70,42 +127,60 @@ const menuData = [
   {
     name: "Margherita Pizza",
     description: "Classic Italian pizza with fresh tomatoes, mozzarella, and basil",
+    translations: {
+      hi: { name: "मार्गेरिटा पिज़्ज़ा" },
+      te: { name: "మార్గరిటా పిజ్జా" },
+      ta: { name: "மார்கெரிட்டா பீட்சா" }
+    },
     price: 349,
     category: "main",
+    station: "pizza_oven",
     image: "https://images.unsplash.com/photo-1574071318508-1cdbab80d002?w=500&q=80",
     available: true,
-    rating: 4.8,
     prepTime: 18,
     isVeg: true,
+    allergens: ["gluten", "dairy"],
+    dietaryTags: [],
     spiceLevel: 0,
     popular: true,
-    chefSpecial: true
+    chefSpecial: true,
+    modifierGroups: [pizzaAddOns, leaveOut]
   },
   {
     name: "BBQ Chicken Pizza",
     description: "Smoky BBQ sauce, grilled chicken, onions, and melted cheese",
     price: 429,
     category: "main",
+    station: "pizza_oven",
     image: "https://images.unsplash.com/photo-1565299624946-b28f40a0ae38?w=500&q=80",
     available: true,
-    rating: 4.7,
     prepTime: 20,
     isVeg: false,
+    allergens: ["gluten", "dairy"],
+    dietaryTags: [],
     spiceLevel: 1,
-    popular: true
+    popular: true,
+    modifierGroups: [pizzaAddOns, leaveOut]
   },
   {
     name: "Vegetable Biryani",
     description: "Fragrant basmati rice cooked with mixed vegetables and aromatic spices",
+    translations: {
+      hi: { name: "वेज बिरयानी", description: "मिली-जुली सब्ज़ियों और सुगंधित मसालों के साथ पकाए गए खुशबूदार बासमती चावल" },
+      te: { name: "వెజ్ బిర్యానీ" },
+      ta: { name: "வெஜ் பிரியாணி" }
+    },
     price: 299,
     category: "main",
     image: "https://images.unsplash.com/photo-1563379091339-03b21ab4a4f8?w=500&q=80",
     available: true,
-    rating: 4.6,
     prepTime: 22,
     isVeg: true,
+    allergens: ["dairy", "nuts"],
+    dietaryTags: [],
     spiceLevel: 2,
-    popular: true
+    popular: true,
+    modifierGroups: [spiceLevel, leaveOut]
   },
   {
     name: "Chicken Tikka Masala",
@@ -114,36 +189,47 @@ const menuData = [
     category: "main",
     image: "https://images.unsplash.com/photo-1565557623262-b51c2513a641?w=500&q=80",
     available: true,
-    rating: 4.9,
     prepTime: 25,
     isVeg: false,
+    allergens: ["dairy", "nuts"],
+    dietaryTags: [],
     spiceLevel: 2,
     chefSpecial: true,
-    popular: true
+    popular: true,
+    modifierGroups: [spiceLevel, leaveOut]
   },
   {
     name: "Paneer Butter Masala",
     description: "Cottage cheese cubes in rich, creamy tomato gravy",
+    translations: {
+      hi: { name: "पनीर बटर मसाला", description: "गाढ़ी, मलाईदार टमाटर ग्रेवी में पनीर के टुकड़े" },
+      te: { name: "పనీర్ బటర్ మసాలా" },
+      ta: { name: "பனீர் பட்டர் மசாலா" }
+    },
     price: 329,
     category: "main",
     image: "https://images.unsplash.com/photo-1631452180519-c014fe946bc7?w=500&q=80",
     available: true,
-    rating: 4.7,
     prepTime: 20,
     isVeg: true,
+    allergens: ["dairy", "nuts"],
+    dietaryTags: [],
     spiceLevel: 1,
-    popular: true
+    popular: true,
+    modifierGroups: [spiceLevel, leaveOut]
   },
   {
     name: "Grilled Salmon",
     description: "Fresh Atlantic salmon with lemon butter sauce and seasonal vegetables",
     price: 599,
     category: "main",
+    station: "grill",
     image: "https://images.unsplash.com/photo-1467003909585-2f8a72700288?w=500&q=80",
     available: true,
-    rating: 4.8,
     prepTime: 22,
     isVeg: false,
+    allergens: ["fish", "dairy"],
+    dietaryTags: [],
     spiceLevel: 0,
     chefSpecial: true
   },
@@ -154,9 +240,10 @@ const menuData = [
     category: "main",
     image: "https://images.unsplash.com/photo-1621996346565-e3dbc646d9a9?w=500&q=80",
     available: true,
-    rating: 4.5,
     prepTime: 16,
     isVeg: true,
+    allergens: ["gluten", "dairy"],
+    dietaryTags: [],
     spiceLevel: 0
   },
   {
@@ -166,11 +253,14 @@ const menuData = [
     category: "main",
     image: "https://images.unsplash.com/photo-1585937421612-70a008356fbe?w=500&q=80",
     available: true,
-    rating: 4.8,
     prepTime: 28,
     isVeg: false,
+    sections: ["dinner"],
+    allergens: ["dairy"],
+    dietaryTags: [],
     spiceLevel: 3,
-    chefSpecial: true
+    chefSpecial: true,
+    modifierGroups: [spiceLevel, leaveOut]
   },
 
   // ==================== DESSERTS ====================
@@ -181,9 +271,10 @@ const menuData = [
     category: "dessert",
     image: "https://images.unsplash.com/photo-1624353365286-3f8d62daad51?w=500&q=80",
     available: true,
-    rating: 4.9,
     prepTime: 12,
     isVeg: true,
+    allergens: ["gluten", "dairy", "eggs"],
+    dietaryTags: [],
     spiceLevel: 0,
     popular: true
   },
@@ -194,22 +285,29 @@ const menuData = [
     category: "dessert",
     image: "https://images.unsplash.com/photo-1571877227200-a0d98ea607e9?w=500&q=80",
     available: true,
-    rating: 4.7,
     prepTime: 8,
     isVeg: true,
+    allergens: ["gluten", "dairy", "eggs"],
+    dietaryTags: [],
     spiceLevel: 0,
     popular: true
   },
   {
     name: "Gulab Jamun",
     description: "Soft milk dumplings soaked in sweet rose-flavored syrup",
+    translations: {
+      hi: { name: "गुलाब जामुन", description: "गुलाब की खुशबू वाली मीठी चाशनी में डूबे नरम खोये के गोले" },
+      te: { name: "గులాబ్ జామూన్" },
+      ta: { name: "குலாப் ஜாமூன்" }
+    },
     price: 129,
     category: "dessert",
     image: "https://images.unsplash.com/photo-1642821373181-696a54913e93?w=500&q=80",
     available: true,
-    rating: 4.6,
     prepTime: 5,
     isVeg: true,
+    allergens: ["gluten", "dairy"],
+    dietaryTags: ["jain"],
     spiceLevel: 0
   },
   {
@@ -219,9 +317,10 @@ const menuData = [
     category: "dessert",
     image: "https://images.unsplash.com/photo-1533134486753-c833f0ed4866?w=500&q=80",
     available: true,
-    rating: 4.8,
     prepTime: 10,
     isVeg: true,
+    allergens: ["gluten", "dairy", "eggs"],
+    dietaryTags: [],
     spiceLevel: 0,
     chefSpecial: true
   },
@@ -232,9 +331,10 @@ const menuData = [
     category: "dessert",
     image: "https://images.unsplash.com/photo-1563805042-7684c019e1cb?w=500&q=80",
     available: true,
-    rating: 4.5,
     prepTime: 6,
     isVeg: true,
+    allergens: ["dairy", "nuts"],
+    dietaryTags: [],
     spiceLevel: 0
   },
 
@@ -246,9 +346,11 @@ const menuData = [
     category: "beverage",
     image: "https://images.unsplash.com/photo-1556881286-fc6915169721?w=500&q=80",
     available: true,
-    rating: 4.4,
     prepTime: 4,
     isVeg: true,
+    happyHourPrice: 59,
+    allergens: [],
+    dietaryTags: ["vegan", "jain"],
     spiceLevel: 0
   },
   {
@@ -258,9 +360,10 @@ const menuData = [
     category: "beverage",
     image: "https://images.unsplash.com/photo-1505252585461-04db1eb84625?w=500&q=80",
     available: true,
-    rating: 4.7,
     prepTime: 5,
     isVeg: true,
+    allergens: ["dairy"],
+    dietaryTags: ["jain"],
     spiceLevel: 0,
     popular: true
   },
@@ -271,10 +374,12 @@ const menuData = [
     category: "beverage",
     image: "https://images.unsplash.com/photo-1572442388796-11668a67e53d?w=500&q=80",
     available: true,
-    rating: 4.6,
     prepTime: 5,
     isVeg: true,
-    spiceLevel: 0
+    allergens: ["dairy"],
+    dietaryTags: ["jain"],
+    spiceLevel: 0,
+    modifierGroups: [milkChoice]
   },
   {
     name: "Iced Tea",
@@ -283,9 +388,11 @@ const menuData = [
     category: "beverage",
     image: "https://images.unsplash.com/photo-1556679343-c7306c1976bc?w=500&q=80",
     available: true,
-    rating: 4.3,
     prepTime: 4,
     isVeg: true,
+    happyHourPrice: 69,
+    allergens: [],
+    dietaryTags: ["vegan", "jain"],
     spiceLevel: 0
   },
   {
@@ -295,9 +402,10 @@ const menuData = [
     category: "beverage",
     image: "https://images.unsplash.com/photo-1572490122747-3968b75cc699?w=500&q=80",
     available: true,
-    rating: 4.8,
     prepTime: 6,
     isVeg: true,
+    allergens: ["dairy"],
+    dietaryTags: [],
     spiceLevel: 0,
     popular: true
   },
@@ -308,22 +416,49 @@ const menuData = [
     category: "beverage",
     image: "https://images.unsplash.com/photo-1600271886742-f049cd451bba?w=500&q=80",
     available: true,
-    rating: 4.5,
     prepTime: 4,
     isVeg: true,
+    sections: ["breakfast", "lunch"],
+    allergens: [],
+    dietaryTags: ["vegan", "jain"],
     spiceLevel: 0
   },
   {
     name: "Masala Chai",
     description: "Traditional Indian spiced tea with milk",
+    translations: {
+      hi: { name: "मसाला चाय", description: "दूध के साथ पारंपरिक भारतीय मसाला चाय" },
+      te: { name: "మసాలా చాయ్", description: "పాలతో చేసిన సంప్రదాయ భారతీయ మసాలా టీ" },
+      ta: { name: "மசாலா டீ", description: "பாலுடன் தயாரிக்கப்படும் பாரம்பரிய இந்திய மசாலா டீ" }
+    },
     price: 69,
     category: "beverage",
     image: "https://images.unsplash.com/photo-1576092768241-dec231879fc3?w=500&q=80",
     available: true,
-    rating: 4.6,
     prepTime: 5,
     isVeg: true,
-    spiceLevel: 1
+    allergens: ["dairy"],
+    dietaryTags: [],
+    spiceLevel: 1,
+    modifierGroups: [milkChoice]
+  },
+
+  // ==================== COMBOS ====================
+  // Priced as a bundle; the customer picks one item per slot
+  {
+    name: "Pizza Meal Deal",
+    description: "Any of our pizzas with a drink and a dessert of your choice",
+    price: 499,
+    category: "main",
+    type: "combo",
+    comboSlots: [
+      { id: "pizza", name: "Pizza", items: ["Margherita Pizza", "BBQ Chicken Pizza"] },
+      { id: "drink", name: "Drink", categories: ["beverage"] },
+      { id: "dessert", name: "Dessert", categories: ["dessert"] }
+    ],
+    image: "https://images.unsplash.com/photo-1574071318508-1cdbab80d002?w=500&q=80",
+    available: true,
+    popular: true
   }
 ];
 
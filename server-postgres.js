@@ -12,6 +12,121 @@ const { pool } = require('./config/database');
 const { testConnection, initializeDatabase } = require('./database/init');
 const MenuItem = require('./models/MenuItem');
 const Order = require('./models/Order');
+const OrderPricing = require('./models/OrderPricing');
+const OrderStatusHistory = require('./models/OrderStatusHistory');
+const TableSession = require('./models/TableSession');
+const BillSplit = require('./models/BillSplit');
+const Payment = require('./models/Payment');
+const OrderItemStatus = require('./models/OrderItemStatus');
+const IdempotencyKey = require('./models/IdempotencyKey');
+const OrderItemDetail = require('./models/OrderItemDetail');
+const MenuItemAdmin = require('./models/MenuItemAdmin');
+const Promotion = require('./models/Promotion');
+const Category = require('./models/Category');
+const Review = require('./models/Review');
+const ChatPersona = require('./models/ChatPersona');
+const { priceOrder, assertTotalMatches, calculateBreakdown, findMenuItem } = require('./services/pricing');
+const { ApiError } = require('./services/errors');
+const { transitionStatus, createHistoryEntry } = require('./services/orderStatus');
+const { mergeLines, summarizeSession } = require('./services/tableSession');
+const {
+  advanceItem,
+  assertKitchenCanUpdate,
+  rollupOrderStatus,
+  cascadeItemStatuses
+} = require('./services/itemStatus');
+const { splitBill } = require('./services/billSplit');
+const kitchenConfig = require('./config/kitchen');
+const {
+  isKnownStation,
+  stationName,
+  stationForItem,
+  buildStationTickets,
+  completedStations,
+  stationProgress
+} = require('./services/kitchenRouting');
+const { learnPrepTimes, estimateQueue, changedEstimates } = require('./services/etaEstimator');
+const {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest
+} = require('./services/idempotency');
+const { validateMenuItem, assertUniqueName } = require('./services/menuItems');
+const { parseMenuQuery, searchMenu } = require('./services/menuSearch');
+const { applySchedule, menuAt, describeSchedule, createMenuClock } = require('./services/menuSchedule');
+const { isCombo, withComboOptions } = require('./services/combos');
+const {
+  parseFormat,
+  parseMode,
+  toExportRows,
+  toCsv,
+  readImportRows,
+  planImport,
+  describePlan
+} = require('./services/menuTransfer');
+const {
+  translationsOf,
+  negotiateLanguage,
+  validateTranslations,
+  mergeTranslations,
+  localizeItem,
+  localizeItems,
+  missingTranslations
+} = require('./services/translations');
+const languagesConfig = require('./config/languages');
+const {
+  validateCategory,
+  assertCategoryFits,
+  assertDeletable,
+  visibleCategories,
+  listedItems,
+  withSubcategories,
+  buildCategoryTree,
+  groupMenu
+} = require('./services/categories');
+const { validatePromotion, assertUniqueCode, applyPromotions, summarizeRedemptions } = require('./services/promotions');
+const {
+  REVIEW_STATUSES,
+  validateReview,
+  assertReviewable,
+  buildReview,
+  validateModeration,
+  parseReviewPage,
+  listReviews
+} = require('./services/reviews');
+const { ALLERGENS, parseAllergens, allergenWarnings, describeForChat, CHAT_ALLERGY_RULES } = require('./services/dietary');
+const {
+  CHAT_TOOLS,
+  CHAT_TOOL_RULES,
+  CHAT_ORDER_RULES,
+  createToolRunner,
+  runToolConversation,
+  describeOrdersForChat,
+  validatePersona,
+  assertPersonaIsNew,
+  assertPersonaDeletable,
+  describePersona,
+  personaPrompt,
+  parseStreamMode,
+  streamToolConversation,
+  ChatStreams,
+  openEventStream
+} = require('./services/chatbot');
+const requireAdmin = require('./middleware/requireAdmin');
+const { hasAdminKey, isAdmin } = requireAdmin;
+const imageUpload = require('./middleware/imageUpload');
+const { storeMenuImage, removeMenuImages, cleanupOrphanImages } = require('./services/images');
+const imagesConfig = require('./config/images');
+const {
+  verifyWebhook,
+  onWebhook,
+  getProvider,
+  processPayment,
+  processRefund,
+  summarizePayments,
+  summarizeRoundPayments,
+  refundableAmount
+} = require('./services/payments');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,7 +139,8 @@ const io = new Server(server, {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// The raw body is kept for checking payment webhook signatures
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 
 // Initialize Database on Startup
 (async () => {
@@ -32,6 +148,21 @@ app.use(express.json());
     await testConnection();
     // Uncomment below line if you want to auto-initialize schema on startup
     // await initializeDatabase();
+
+    // Tables added on top of the base schema
+    await OrderPricing.createTable();
+    await OrderStatusHistory.createTable();
+    await TableSession.createTable();
+    await BillSplit.createTable();
+    await Payment.createTable();
+    await OrderItemStatus.createTable();
+    await IdempotencyKey.createTable();
+    await OrderItemDetail.createTable();
+    await MenuItemAdmin.createTable();
+    await Promotion.createTable();
+    await Category.createTable();
+    await Review.createTable();
+    await ChatPersona.createTable();
   } catch (error) {
     console.error('[ERROR] Failed to connect to database:', error.message);
   }
@@ -43,13 +174,6 @@ const restaurantContext = {
   specialties: ["Italian Pizza", "Indian Curries", "Desserts", "Fresh Beverages"]
 };
 
-const personalityPrompts = {
-  family: 'Answer like Technical way',
-  friends: 'Answer like Technical way',
-  couples: 'Answer like Technical way',
-  lovies: 'Answer like Technical way',
-  single: 'Answer like Technical way'
-};
 let groq = null;
 try {
   if (process.env.GROQ_API_KEY) {
@@ -64,14 +188,402 @@ try {
   console.error('❌ Failed to initialize Groq:', error.message);
 }
 
+// Time the menu schedule (opening hours, sections, happy hours) is checked against;
+// MENU_SIMULATED_TIME moves it to another moment outside production
+const menuClock = createMenuClock();
+
+// ==================== TABLE SESSIONS ====================
+
+// Running bill of a session: every round with its items, priced together
+const buildSessionBill = async (session) => {
+  const sessionOrders = await TableSession.findOrders(session.id);
+
+  const orders = await Promise.all(sessionOrders.map(async ({ order_id, round }) => {
+    const order = await Order.findById(order_id);
+    return {
+      id: order.id,
+      round,
+      status: order.status,
+      items: await OrderItemDetail.withDetails(order),
+      pricing: await OrderPricing.findByOrderId(order.id),
+      total: order.total,
+      createdAt: order.created_at
+    };
+  }));
+
+  return summarizeSession({
+    id: session.id,
+    tableNo: session.table_no,
+    status: session.status,
+    openedAt: session.opened_at,
+    closedAt: session.closed_at,
+    declaredAllergens: session.declared_allergens
+  }, orders);
+};
+
+const emitSessionUpdate = async (session) => {
+  io.to(`table_${session.table_no}`).emit('sessionUpdated', await buildSessionBill(session));
+};
+
+// Loads the bill to split: a single order or the open session of a table
+const loadBill = async ({ orderId, tableNo }) => {
+  if (orderId) {
+    const order = await Order.findById(parseInt(orderId));
+
+    if (!order) throw new ApiError(404, 'Order not found');
+    if (order.status === 'cancelled') throw new ApiError(400, 'Cannot split a cancelled order');
+
+    const items = mergeLines(order.items);
+    // Orders placed before server-side pricing have no stored breakdown
+    const pricing = await OrderPricing.findByOrderId(order.id);
+
+    return {
+      orderId: order.id,
+      tableNo: order.table_no,
+      items,
+      pricing: pricing || calculateBreakdown(items)
+    };
+  }
+
+  if (tableNo) {
+    const session = await TableSession.findOpenByTable(parseInt(tableNo));
+    if (!session) throw new ApiError(404, 'No open session for this table');
+
+    const bill = await buildSessionBill(session);
+    return { sessionId: session.id, tableNo: session.table_no, items: bill.items, pricing: bill.pricing };
+  }
+
+  throw new ApiError(400, 'orderId or tableNo is required');
+};
+
+// ==================== KITCHEN ITEM STATUS ====================
+
+// Order items with their modifiers, notes and kitchen status
+const loadOrderItems = async order =>
+  OrderItemStatus.withStatuses({ ...order, items: await OrderItemDetail.withDetails(order) });
+
+const emitItemStatusChange = (order, item, previousStatus, orderStatus) => {
+  const payload = {
+    orderId: order.id,
+    itemId: item.id,
+    name: item.name,
+    status: item.status,
+    previousStatus,
+    startedAt: item.startedAt,
+    readyAt: item.readyAt,
+    servedAt: item.servedAt,
+    orderStatus
+  };
+
+  io.to(`table_${order.table_no}`).emit('orderItemStatusUpdate', payload);
+
+  const station = stationForItem(item);
+  io.to('chef_portal').to('expo').to(`station_${station}`).emit('orderItemStatusUpdated', { ...payload, station });
+};
+
+// ==================== KITCHEN STATIONS ====================
+
+const ACTIVE_KITCHEN_STATUSES = ['pending', 'confirmed', 'preparing', 'partially_ready', 'ready'];
+
+const toKitchenOrder = (order, items) => ({
+  orderId: order.id,
+  tableNo: order.table_no,
+  status: order.status,
+  estimatedTime: order.estimated_time,
+  createdAt: order.created_at,
+  items
+});
+
+// Active orders with their item statuses, oldest first
+const findActiveOrders = async () => {
+  const orders = [];
+  for (const status of ACTIVE_KITCHEN_STATUSES) {
+    orders.push(...await Order.findAll({ status }));
+  }
+  orders.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  const kitchenOrders = [];
+  for (const order of orders) {
+    kitchenOrders.push(toKitchenOrder(order, await loadOrderItems(order)));
+  }
+  return kitchenOrders;
+};
+
+// Open tickets of one station: its lines of active orders that are not finished yet
+const findStationTickets = async (station) => {
+  const orders = await findActiveOrders();
+  return orders
+    .filter(order => !completedStations(order.items).includes(station))
+    .map(order => buildStationTickets(order).find(ticket => ticket.station === station))
+    .filter(Boolean);
+};
+
+// Expo sees the whole order plus how far each station has got
+const toExpoOrder = (kitchenOrder) => ({ ...kitchenOrder, stations: stationProgress(kitchenOrder.items) });
+
+const emitNewOrder = (payload, kitchenOrder) => {
+  io.to('chef_portal').emit('newOrder', payload);
+  io.to('expo').emit('newOrder', { ...payload, stations: stationProgress(kitchenOrder.items) });
+  buildStationTickets(kitchenOrder).forEach((ticket) => {
+    io.to(`station_${ticket.station}`).emit('newOrder', ticket);
+  });
+};
+
+// Announces stations that finished their part of an order since `completedBefore`
+const emitStationProgress = (order, items, completedBefore) => {
+  const finished = completedStations(items).filter(station => !completedBefore.includes(station));
+  if (!finished.length) return;
+
+  const stations = stationProgress(items);
+  const stationsRemaining = stations.filter(entry => !entry.complete).map(entry => entry.station);
+
+  finished.forEach((station) => {
+    io.to('expo').to('chef_portal').emit('stationReady', {
+      orderId: order.id,
+      tableNo: order.table_no,
+      station,
+      stationName: stationName(station),
+      stationsRemaining,
+      stations
+    });
+  });
+
+  if (!stationsRemaining.length) {
+    io.to('expo').to('chef_portal').emit('orderStationsComplete', {
+      orderId: order.id,
+      tableNo: order.table_no,
+      stations
+    });
+  }
+};
+
+// ==================== ORDER ETA ====================
+
+// Last ETA sent for each waiting order, to only notify tables when it moves
+const lastEtas = new Map();
+
+const estimateOrders = async (kitchenOrders, now) => {
+  // Order lines do not store prep times; take them from the menu
+  const menuItems = await MenuItem.findAll({});
+  const withPrepTimes = kitchenOrders.map(order => ({
+    ...order,
+    items: order.items.map((item) => {
+      const menuItem = findMenuItem({ name: item.name }, menuItems);
+      return { ...item, prepTime: item.prepTime || (menuItem && (menuItem.prep_time || menuItem.prepTime)) };
+    })
+  }));
+
+  return estimateQueue(withPrepTimes, {
+    now,
+    learned: learnPrepTimes(await OrderItemStatus.findCompleted(kitchenConfig.eta.historySize))
+  });
+};
+
+// ETA (minutes) of an order that is about to join the queue
+const estimateNewOrder = async (tableNo, items, now) => {
+  const estimates = await estimateOrders(
+    (await findActiveOrders()).concat({ orderId: 'new', tableNo, createdAt: now, items }),
+    now
+  );
+  return estimates.get('new').estimatedTime;
+};
+
+// Recomputes every waiting order's ETA and pushes the ones that moved to their table
+const refreshEtas = async (now = new Date()) => {
+  try {
+    const estimates = await estimateOrders(await findActiveOrders(), now);
+
+    changedEstimates(lastEtas, estimates).forEach((estimate) => {
+      if (lastEtas.has(String(estimate.orderId))) {
+        io.to(`table_${estimate.tableNo}`).emit('etaUpdated', estimate);
+      }
+    });
+
+    lastEtas.clear();
+    estimates.forEach((estimate, orderId) => lastEtas.set(orderId, estimate));
+  } catch (error) {
+    console.error('[ERROR] Refresh ETAs error:', error.message);
+  }
+};
+
+// ==================== PROMOTIONS ====================
+
+// Reserves every applied promotion against its usage limit; run inside the order's
+// transaction so a failure gives back the uses already reserved
+const reserveDiscounts = async (discounts, client) => {
+  for (const discount of discounts) {
+    if (!(await Promotion.reserve(discount.promotionId, client))) {
+      throw new ApiError(409, `${discount.name} has just been fully redeemed`, { promotionId: discount.promotionId });
+    }
+  }
+};
+
+// ==================== PAYMENTS ====================
+
+// Payment position of an order, including its share of session level payments
+const getOrderPaymentSummary = async (order) => {
+  const session = await TableSession.findByOrderId(order.id);
+
+  if (!session) {
+    const due = order.status === 'cancelled' ? 0 : Number(order.total);
+    return summarizePayments(due, await Payment.find({ orderId: order.id }));
+  }
+
+  const bill = await buildSessionBill(session);
+  const rounds = bill.rounds.map(round => ({
+    id: round.orderId,
+    due: round.status === 'cancelled' ? 0 : round.total
+  }));
+
+  return summarizeRoundPayments(order.id, rounds, await Payment.find({ sessionId: session.id }));
+};
+
+const getSessionPaymentSummary = async (session) => {
+  const bill = await buildSessionBill(session);
+  return summarizePayments(bill.pricing.total, await Payment.find({ sessionId: session.id }));
+};
+
+const resolveSessionTarget = async (session) => {
+  if (!session || session.status !== 'open') throw new ApiError(404, 'No open session for this table');
+
+  const summary = await getSessionPaymentSummary(session);
+  return { sessionId: session.id, tableNo: session.table_no, balance: summary.balance };
+};
+
+// Resolves what a payment settles: a sub-bill, an order or a table's open session
+const resolvePaymentTarget = async ({ splitId, subBillId, orderId, tableNo }) => {
+  if (subBillId) {
+    const split = await BillSplit.findById(parseInt(splitId));
+    if (!split || split.status !== 'active') throw new ApiError(404, 'Bill split not found');
+
+    const subBill = split.subBills.find(b => b.id === parseInt(subBillId));
+    if (!subBill) throw new ApiError(404, 'Sub-bill not found');
+    if (subBill.status === 'paid') throw new ApiError(409, 'Sub-bill is already paid');
+
+    const target = split.orderId
+      ? await resolvePaymentTarget({ orderId: split.orderId })
+      : await resolveSessionTarget(await TableSession.findById(split.sessionId));
+
+    return { ...target, splitId: split.id, subBillId: subBill.id, subBillTotal: subBill.total };
+  }
+
+  if (orderId) {
+    const order = await Order.findById(parseInt(orderId));
+    if (!order) throw new ApiError(404, 'Order not found');
+    if (order.status === 'cancelled') throw new ApiError(400, 'Cannot pay for a cancelled order');
+
+    const session = await TableSession.findByOrderId(order.id);
+    const summary = await getOrderPaymentSummary(order);
+    return {
+      orderId: order.id,
+      sessionId: session ? session.id : undefined,
+      tableNo: order.table_no,
+      balance: summary.balance
+    };
+  }
+
+  if (tableNo) {
+    return resolveSessionTarget(await TableSession.findOpenByTable(parseInt(tableNo)));
+  }
+
+  throw new ApiError(400, 'orderId, tableNo or subBillId is required');
+};
+
+const paymentEvent = async (payment) => {
+  let summary = null;
+  if (payment.orderId) {
+    summary = await getOrderPaymentSummary(await Order.findById(payment.orderId));
+  } else if (payment.sessionId) {
+    summary = await getSessionPaymentSummary(await TableSession.findById(payment.sessionId));
+  }
+
+  return {
+    paymentId: payment.id,
+    orderId: payment.orderId,
+    sessionId: payment.sessionId,
+    subBillId: payment.subBillId,
+    kind: payment.kind,
+    method: payment.method,
+    amount: payment.amount,
+    status: payment.status,
+    failureReason: payment.failureReason,
+    summary
+  };
+};
+
+const onPaymentSettled = async (payment) => {
+  if (payment.subBillId) await BillSplit.markPartPaid(payment.subBillId);
+  io.to(`table_${payment.tableNo}`).emit('paymentReceived', await paymentEvent(payment));
+};
+
+// Applies an asynchronous confirmation from a payment provider
+const handlePaymentWebhook = async (providerName, event) => {
+  const [pending] = await Payment.find({ provider: providerName, providerPaymentId: event.providerPaymentId });
+  if (!pending || pending.status !== 'pending') return pending || null;
+
+  const payment = await Payment.updateStatus(pending.id, event.status, event.failureReason);
+
+  if (payment.status === 'succeeded') {
+    await onPaymentSettled(payment);
+  } else {
+    io.to(`table_${payment.tableNo}`).emit('paymentFailed', await paymentEvent(payment));
+  }
+
+  return payment;
+};
+
+onWebhook((providerName, event) => {
+  handlePaymentWebhook(providerName, event).catch(error => {
+    console.error('[ERROR] Payment webhook error:', error);
+  });
+});
+
+const refundPayment = async (payment, options) => {
+  const refunds = await Payment.find({ refundOf: payment.id });
+  const fields = await processRefund(payment, refunds, options);
+
+  const refund = await Payment.create({
+    ...fields,
+    orderId: payment.orderId || undefined,
+    sessionId: payment.sessionId || undefined,
+    tableNo: payment.tableNo
+  });
+
+  io.to(`table_${refund.tableNo}`).emit('paymentRefunded', await paymentEvent(refund));
+  return refund;
+};
+
+// Refunds everything still settled on an order, used when it is cancelled
+const refundOrderPayments = async (order, reason) => {
+  const payments = await Payment.find({ orderId: order.id, kind: 'payment', status: 'succeeded' });
+  const refunds = [];
+
+  for (const payment of payments) {
+    const earlier = await Payment.find({ refundOf: payment.id });
+    if (refundableAmount(payment, earlier) > 0) {
+      refunds.push(await refundPayment(payment, { reason: reason || 'Order cancelled' }));
+    }
+  }
+
+  return refunds;
+};
+
 // ==================== SOCKET.IO EVENTS ====================
 
 io.on('connection', (socket) => {
   console.log('[OK] Client connected:', socket.id);
 
-  socket.on('joinTable', (tableNo) => {
+  socket.on('joinTable', async (tableNo) => {
     socket.join(`table_${tableNo}`);
     console.log(`[OK] Socket ${socket.id} joined table_${tableNo}`);
+
+    // Send the running bill straight away so a reconnecting guest sees their tab
+    try {
+      const session = await TableSession.findOpenByTable(parseInt(tableNo));
+      if (session) socket.emit('sessionUpdated', await buildSessionBill(session));
+    } catch (error) {
+      console.error('[ERROR] Load table session error:', error.message);
+    }
   });
 
   socket.on('joinChef', () => {
@@ -79,7 +591,43 @@ io.on('connection', (socket) => {
     console.log(`[OK] Chef portal connected: ${socket.id}`);
   });
 
+  // A station screen only receives the lines it has to prepare
+  socket.on('joinStation', async (station) => {
+    if (!isKnownStation(station)) {
+      socket.emit('stationError', { error: 'Unknown station', stations: kitchenConfig.stations });
+      return;
+    }
+
+    socket.join(`station_${station}`);
+    console.log(`[OK] Socket ${socket.id} joined station_${station}`);
+
+    try {
+      socket.emit('stationTickets', { station, tickets: await findStationTickets(station) });
+    } catch (error) {
+      console.error('[ERROR] Load station tickets error:', error.message);
+    }
+  });
+
+  // Expo (pass) screen sees whole orders and per-station progress
+  socket.on('joinExpo', async () => {
+    socket.join('expo');
+    console.log(`[OK] Expo connected: ${socket.id}`);
+
+    try {
+      socket.emit('expoOrders', (await findActiveOrders()).map(toExpoOrder));
+    } catch (error) {
+      console.error('[ERROR] Load expo orders error:', error.message);
+    }
+  });
+
+  // Guest closed the chat: stop a reply still streaming to this socket
+  socket.on('chatCancel', (payload) => {
+    const chatId = payload && payload.chatId;
+    if (chatStreams.cancel(chatId, socket.id)) console.log(`[OK] Chat cancelled: ${chatId}`);
+  });
+
   socket.on('disconnect', () => {
+    chatStreams.cancelSocket(socket.id);
     console.log('[OK] Client disconnected:', socket.id);
   });
 });
@@ -95,13 +643,130 @@ app.get('/health', (req, res) => {
     database: 'PostgreSQL'
   });
 });
+// An order as the chatbot sees it, with the live ETA of the kitchen queue
+const toChatOrder = async (order, round) => {
+  const items = await loadOrderItems(order);
+  return {
+    orderId: String(order.id),
+    tableNo: order.table_no,
+    round,
+    status: order.status,
+    items: items.map(item => ({ name: item.name, quantity: item.quantity, status: item.status })),
+    total: order.total,
+    estimatedTime: order.estimated_time,
+    estimatedReadyAt: (lastEtas.get(String(order.id)) || {}).estimatedReadyAt,
+    createdAt: order.created_at
+  };
+};
+
+const findChatOrder = async (orderId) => {
+  if (!/^\d+$/.test(String(orderId))) return null;
+  const order = await Order.findById(orderId);
+  if (!order) return null;
+
+  const session = await TableSession.findByOrderId(order.id);
+  return toChatOrder(order, session && session.round);
+};
+
+const findTableChatOrders = async (tableNo) => {
+  const session = await TableSession.findOpenByTable(parseInt(tableNo));
+  if (!session) return [];
+
+  return Promise.all((await TableSession.findOrders(session.id)).map(async ({ order_id, round }) =>
+    toChatOrder(await Order.findById(order_id), round)
+  ));
+};
+
+// Chatbot tools work on the same menu, carts and orders as the API (see services/chatbot)
+const chatTools = createToolRunner({
+  loadMenu: async () => applySchedule(await MenuItemAdmin.findAll(), menuClock()),
+  loadCategories: () => Category.findAll(),
+  loadPromotions: () => Promotion.findAll(),
+  placeOrder: async ({ tableNo, items, total }) => {
+    const response = await createOrder({ tableNo: parseInt(tableNo), items, total });
+    return {
+      orderId: String(response.data.id),
+      status: response.data.status,
+      total: response.data.total,
+      estimatedTime: response.data.estimatedTime,
+      allergenWarnings: response.allergenWarnings,
+      order: response.data
+    };
+  },
+  findTableOrders: findTableChatOrders,
+  callWaiter: async ({ tableNo, reason }) => {
+    io.to('chef_portal').emit('waiterCalled', { tableNo: parseInt(tableNo), reason, requestedAt: new Date() });
+  }
+});
+
+// Replies being streamed, so a closed chat can stop its model call
+const chatStreams = new ChatStreams();
+
+const CHAT_SOCKET_EVENTS = { token: 'chatToken', action: 'chatAction', done: 'chatDone', error: 'chatError' };
+
+// Streams a prepared chat: as Server-Sent Events on res, or to the guest's socket
+// as chatToken / chatAction / chatDone after answering 202 with the chat id
+const streamChatReply = async (res, { mode, socketId, request, context, personality }) => {
+  const chat = chatStreams.start({ socketId: mode === 'socket' ? socketId : null });
+  let send;
+  if (mode === 'sse') {
+    send = openEventStream(res);
+    res.on('close', () => chatStreams.cancel(chat.chatId));
+  } else {
+    res.status(202).json({
+      success: true,
+      chatId: chat.chatId,
+      stream: 'socket'
+    });
+    send = (event, data) => io.to(socketId).emit(CHAT_SOCKET_EVENTS[event], { chatId: chat.chatId, ...data });
+  }
+
+  try {
+    const { reply: modelReply, toolCalls, tokensUsed, cancelled } = await streamToolConversation({
+      client: groq,
+      request,
+      runTool: chatTools.runTool,
+      context,
+      signal: chat.signal,
+      onToken: text => send('token', { text }),
+      onToolCall: call => send('action', { tool: call.name, result: call.result })
+    });
+
+    const reply = modelReply || (cancelled ? '' : "I'm here to help! What would you like to know?");
+
+    console.log(cancelled ? '⚠️  Streamed reply cancelled by the guest' : '✅ SUCCESS! Response streamed');
+    console.log('   Tools used:', toolCalls.map(call => call.name).join(', ') || 'none');
+    console.log('   Tokens used:', tokensUsed);
+    console.log('   Reply length:', reply.length, 'characters');
+    console.log('   Reply preview:', reply.substring(0, 80) + '...');
+    console.log('='.repeat(60) + '\n');
+
+    send('done', {
+      reply,
+      personality,
+      tokensUsed,
+      actions: toolCalls.map(call => ({ tool: call.name, result: call.result })),
+      cart: context.tableNo ? chatTools.cartOf(context.tableNo) : null,
+      cancelled
+    });
+  } catch (error) {
+    console.log('❌ CHATBOT STREAM ERROR');
+    console.log('   Error message:', error.message);
+    console.log('='.repeat(60) + '\n');
+    send('error', { error: 'Failed to generate response', details: error.message });
+  } finally {
+    chatStreams.finish(chat.chatId);
+    if (mode === 'sse') res.end();
+  }
+};
+
 app.post('/api/chatbot', async (req, res) => {
   console.log('\n' + '='.repeat(60));
   console.log('🤖 CHATBOT REQUEST RECEIVED');
   console.log('='.repeat(60));
 
   try {
-    const { message, conversationHistory, tableNo, personality, orderId } = req.body;
+    const { message, conversationHistory, tableNo, personality, orderId, stream, socketId } = req.body;
 
     // Log request details
     console.log('📝 Request Details:');
@@ -109,6 +774,7 @@ app.post('/api/chatbot', async (req, res) => {
     console.log('   Personality:', personality);
     console.log('   Message:', message);
     console.log('   Order ID:', orderId || 'none');
+    console.log('   Stream:', stream || 'no');
 
     // Validate inputs
     if (!message) {
@@ -127,6 +793,27 @@ app.post('/api/chatbot', async (req, res) => {
       });
     }
 
+    // stream: true (or 'sse') answers with Server-Sent Events, 'socket' with events to socketId
+    let streamMode;
+    try {
+      streamMode = parseStreamMode(stream);
+    } catch (error) {
+      console.log('❌ ERROR: Invalid stream mode');
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+
+    if (streamMode === 'socket' && !io.sockets.sockets.has(socketId)) {
+      console.log('❌ ERROR: Socket is not connected');
+      return res.status(400).json({
+        success: false,
+        error: 'socketId of a connected socket is required to stream over Socket.IO'
+      });
+    }
+
     // Check if Groq is initialized
     if (!groq) {
       console.log('❌ ERROR: Groq not initialized');
@@ -140,45 +827,67 @@ app.post('/api/chatbot', async (req, res) => {
       });
     }
 
-    // Get system prompt
-    const systemPrompt = personalityPrompts[personality] || personalityPrompts.family;
-    console.log('✅ System prompt selected:', personality);
+    // Get persona; an unknown one is refused rather than swapped for another
+    const personas = await ChatPersona.findAll();
+    const persona = personas.find(candidate => candidate.slug === personality);
+    if (!persona) {
+      console.log('❌ ERROR: Unknown personality');
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown personality: ' + personality,
+        personalities: personas.map(candidate => candidate.slug)
+      });
+    }
+
+    const systemPrompt = personaPrompt(persona);
+    console.log('✅ System prompt selected:', persona.slug);
 
     // Build menu context
     let menuContext = '';
     try {
-      let menuItems = [];
-      
-      if (mongoose.connection.readyState === 1) {
-        menuItems = await MenuItem.find({ available: true }).limit(15);
-        console.log('✅ Fetched', menuItems.length, 'menu items from database');
-      } else {
-        const seedData = require('./seedData');
-        menuItems = seedData.slice(0, 15);
-        console.log('✅ Using', menuItems.length, 'menu items from seedData');
-      }
+      // The whole menu with dietary tags and allergens, so no dish is recommended blindly
+      const menuItems = menuAt(await MenuItemAdmin.findAll(), menuClock()).filter(item => item.available !== false);
+      console.log('✅ Fetched', menuItems.length, 'menu items from database');
 
-      const menuList = menuItems.map(item => 
-        item.name + ' (₹' + item.price + ')'
-      ).join(', ');
+      const menuList = menuItems.map(describeForChat).join('\n');
+      menuContext = '\n\nMenu (dietary tags; allergens):\n' + menuList;
 
-      menuContext = '\n\nMenu: ' + menuList;
+      const session = tableNo ? await TableSession.findOpenByTable(parseInt(tableNo)) : null;
+      if (session && session.declared_allergens && session.declared_allergens.length) {
+        menuContext += '\n\nThis table declared allergies to: ' + session.declared_allergens.join(', ');
+      }
     } catch (err) {
       console.log('⚠️  Could not fetch menu:', err.message);
       menuContext = '\n\nPopular Items: Margherita Pizza (₹349), Chicken Tikka (₹389), Lava Cake (₹199)';
     }
 
+    // Build order context, so status questions get live answers
+    let orderContext = '';
+    try {
+      const { text, orderStatus } = describeOrdersForChat({
+        orderId,
+        tableNo,
+        order: orderId ? await findChatOrder(orderId) : null,
+        tableOrders: tableNo ? await findTableChatOrders(tableNo) : []
+      });
+      orderContext = text;
+      console.log('✅ Order context:', orderStatus || 'no order referenced');
+    } catch (err) {
+      console.log('⚠️  Could not fetch orders:', err.message);
+    }
+
     // Build context
     let contextInfo = 
       'Restaurant: ' + restaurantContext.name + '\n' +
       'Hours: ' + restaurantContext.hours + '\n' +
       'Table: ' + tableNo + 
-      menuContext;
+      menuContext +
+      orderContext;
 
     // Prepare messages for Groq
     const messages = [{
       role: 'system',
-      content: systemPrompt + '\n\n' + contextInfo + '\n\nBe helpful and concise!'
+      content: systemPrompt + '\n\n' + contextInfo + '\n\n' + CHAT_ALLERGY_RULES + '\n\n' + CHAT_ORDER_RULES + '\n\n' + CHAT_TOOL_RULES + '\n\nBe helpful and concise!'
     }];
 
     // Add conversation history
@@ -191,77 +900,1594 @@ app.post('/api/chatbot', async (req, res) => {
     console.log('   Model: llama-3.3-70b-versatile');
     console.log('   Messages count:', messages.length);
 
-    // Call Groq API
-    const completion = await groq.chat.completions.create({
+    const request = {
       messages: messages,
       model: 'llama-3.3-70b-versatile',
-      temperature: 0.7,
-      max_tokens: 250,
+      temperature: persona.temperature,
+      max_tokens: persona.maxTokens,
       top_p: 1,
       stream: false
+    };
+
+    if (streamMode) {
+      return streamChatReply(res, { mode: streamMode, socketId, request, context: { tableNo, orderId }, personality });
+    }
+
+    // Call Groq API, running the tools it asks for
+    const { reply: modelReply, toolCalls, tokensUsed } = await runToolConversation({
+      client: groq,
+      request,
+      runTool: chatTools.runTool,
+      context: { tableNo, orderId }
+    });
+
+    const reply = modelReply || 
+                  "I'm here to help! What would you like to know?";
+
+    console.log('✅ SUCCESS! Response generated');
+    console.log('   Tools used:', toolCalls.map(call => call.name).join(', ') || 'none');
+    console.log('   Tokens used:', tokensUsed);
+    console.log('   Reply length:', reply.length, 'characters');
+    console.log('   Reply preview:', reply.substring(0, 80) + '...');
+    console.log('='.repeat(60) + '\n');
+
+    res.json({
+      success: true,
+      reply: reply,
+      personality: personality,
+      tokensUsed: tokensUsed,
+      actions: toolCalls.map(call => ({ tool: call.name, result: call.result })),
+      cart: tableNo ? chatTools.cartOf(tableNo) : null
+    });
+
+  } catch (error) {
+    console.log('❌ CHATBOT ERROR');
+    console.log('   Error type:', error.constructor.name);
+    console.log('   Error message:', error.message);
+    
+    if (error.stack) {
+      console.log('   Stack trace:', error.stack.split('\n').slice(0, 3).join('\n'));
+    }
+    
+    if (error.response) {
+      console.log('   API Response:', error.response);
+    }
+    
+    console.log('='.repeat(60) + '\n');
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate response',
+      details: error.message,
+      errorType: error.constructor.name
+    });
+  }
+});
+
+// Confirm a chatbot order - { tableNo, confirmationId } from the chat's cart.pendingOrder;
+// the guest's explicit go-ahead, so the cart is placed like any other order
+app.post('/api/chatbot/confirm-order', async (req, res) => {
+  try {
+    const { tableNo, confirmationId } = req.body;
+
+    if (!tableNo || !confirmationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'tableNo and confirmationId are required'
+      });
+    }
+
+    const placed = await chatTools.confirmOrder({ tableNo, confirmationId });
+
+    res.status(201).json({
+      success: true,
+      reply: `Your order is in! It should be ready in about ${placed.estimatedTime} minutes.`,
+      data: placed.order,
+      allergenWarnings: placed.allergenWarnings
     });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Confirm chatbot order error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== CHATBOT PERSONA ENDPOINTS ====================
+
+// Get personas - what chat clients show: name, tone, greeting and starter questions
+app.get('/api/personas', async (req, res) => {
+  try {
+    const personas = await ChatPersona.findAll();
+
+    res.json({
+      success: true,
+      data: personas.map(describePersona)
+    });
+  } catch (error) {
+    console.error('[ERROR] Get personas error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get persona (admin) - the whole record, system prompt included
+app.get('/api/personas/:slug', requireAdmin, async (req, res) => {
+  try {
+    const persona = (await ChatPersona.findAll()).find(candidate => candidate.slug === req.params.slug);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('[ERROR] Get persona error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create persona (admin) - { slug, name, systemPrompt, tone, greeting, temperature, maxTokens, starterQuestions }
+app.post('/api/personas', requireAdmin, async (req, res) => {
+  try {
+    const fields = validatePersona(req.body);
+    assertPersonaIsNew(fields, await ChatPersona.findAll());
+
+    const persona = await ChatPersona.create(fields);
+
+    res.status(201).json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Create persona error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update persona (admin) - any field but the slug
+app.put('/api/personas/:slug', requireAdmin, async (req, res) => {
+  try {
+    const existing = (await ChatPersona.findAll()).find(candidate => candidate.slug === req.params.slug);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found'
+      });
+    }
+
+    const fields = validatePersona(req.body, { partial: true });
+    const persona = await ChatPersona.update(existing.slug, fields);
+
+    res.json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Update persona error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete persona (admin) - chats asking for it are refused afterwards; the last one stays
+app.delete('/api/personas/:slug', requireAdmin, async (req, res) => {
+  try {
+    const personas = await ChatPersona.findAll();
+    const existing = personas.find(candidate => candidate.slug === req.params.slug);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found'
+      });
+    }
+
+    assertPersonaDeletable(existing.slug, personas);
+    await ChatPersona.delete(existing.slug);
+
+    res.json({
+      success: true,
+      data: existing
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Delete persona error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+// Get categories, nested in display order (?includeHidden=true also lists hidden ones)
+app.get('/api/categories', async (req, res) => {
+  try {
+    const categories = await Category.findAll();
+    const listed = req.query.includeHidden === 'true' ? categories : visibleCategories(categories);
+
+    res.json({
+      success: true,
+      data: buildCategoryTree(listed)
+    });
+  } catch (error) {
+    console.error('[ERROR] Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create category (admin) - { slug, name, icon, sortOrder, visible, parent }
+app.post('/api/categories', requireAdmin, async (req, res) => {
+  try {
+    const fields = validateCategory(req.body);
+    assertCategoryFits(fields, await Category.findAll());
+
+    const category = await Category.create(fields);
+    emitMenuUpdate('categoryCreated', null, { category });
+
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Create category error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update category (admin) - any of name, icon, sortOrder, visible, parent; the slug stays
+app.put('/api/categories/:slug', requireAdmin, async (req, res) => {
+  try {
+    const categories = await Category.findAll();
+    const existing = categories.find(category => category.slug === req.params.slug);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    const fields = validateCategory(req.body, { partial: true });
+    assertCategoryFits({ ...existing, ...fields }, categories, { existing: true });
+
+    const category = await Category.update(existing.slug, fields);
+    emitMenuUpdate('categoryUpdated', null, { category });
+
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Update category error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete category (admin) - only once no menu item or subcategory refers to it
+app.delete('/api/categories/:slug', requireAdmin, async (req, res) => {
+  try {
+    const categories = await Category.findAll();
+    const existing = categories.find(category => category.slug === req.params.slug);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    assertDeletable(existing.slug, categories, await MenuItemAdmin.findAll());
+    await Category.delete(existing.slug);
+    emitMenuUpdate('categoryDeleted', null, { category: existing });
+
+    res.json({
+      success: true,
+      data: existing
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get all menu items
+app.get('/api/menu', async (req, res) => {
+  try {
+    const language = negotiateLanguage({ lang: req.query.lang, acceptLanguage: req.get('Accept-Language') });
+    if (req.query.group !== undefined && req.query.group !== 'category') {
+      return res.status(400).json({
+        success: false,
+        error: 'group must be category'
+      });
+    }
+    const now = menuClock();
+    const criteria = parseMenuQuery(req.query, now);
+    const categories = await Category.findAll();
+    // A parent category also matches everything nested below it
+    if (criteria.categories) criteria.categories = withSubcategories(criteria.categories, categories);
+
+    // The menu is small, so search, typo tolerance and sorting run in memory
+    // exactly as on the MongoDB server, on what can be ordered at that time
+    // outside hidden categories
+    const at = criteria.at || now;
+    const menu = menuAt(await MenuItemAdmin.findAll(), at);
+    const result = searchMenu(listedItems(menu, categories), criteria);
+    const items = localizeItems(result.items, language);
+    // Combos list what can fill each slot right now
+    const data = items.some(isCombo) ? withComboOptions(items, localizeItems(menu, language), categories) : items;
+
+    res.set('Content-Language', language).vary('Accept-Language');
+    res.json({
+      success: true,
+      language,
+      schedule: describeSchedule(at),
+      count: result.items.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      ...(req.query.group ? { group: 'category', data: groupMenu(data, visibleCategories(categories)) } : { data })
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Get menu error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Export menu (admin) - ?format=csv|json, in the shape the import accepts
+app.get('/api/menu/export', requireAdmin, async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    const rows = toExportRows((await MenuItemAdmin.findAll()).map(MenuItemAdmin.toFields));
+
+    if (format === 'csv') {
+      return res.type('text/csv').attachment('menu.csv').send(toCsv(rows));
+    }
+    res.attachment('menu.json').json({
+      exportedAt: new Date(),
+      count: rows.length,
+      items: rows
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Export menu error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Items missing translations, per enabled language (admin)
+app.get('/api/menu/translations/missing', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultLanguage: languagesConfig.defaultLanguage,
+      languages: languagesConfig.enabled,
+      data: missingTranslations(await MenuItemAdmin.findAll())
+    });
+  } catch (error) {
+    console.error('[ERROR] Missing translations report error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get menu item by ID, in the language picked by ?lang or Accept-Language
+app.get('/api/menu/:id', async (req, res) => {
+  try {
+    const language = negotiateLanguage({ lang: req.query.lang, acceptLanguage: req.get('Accept-Language') });
+    const menuItem = await MenuItem.findById(req.params.id);
+
+    if (!menuItem || menuItem.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    res.set('Content-Language', language).vary('Accept-Language');
+    res.json({
+      success: true,
+      language,
+      data: localizeItem(menuItem, language)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Get menu item error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Reviews of a menu item - newest first, paginated (page, limit), with the rating breakdown
+app.get('/api/menu/:id/reviews', async (req, res) => {
+  try {
+    const paging = parseReviewPage(req.query);
+    const menuItem = await MenuItemAdmin.findById(parseInt(req.params.id));
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    const { items, ...summary } = listReviews(await Review.findAll({ menuItemId: menuItem.id }), paging);
+
+    res.json({
+      success: true,
+      data: items,
+      ...summary
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Open customer menus refresh when an item changes
+const emitMenuUpdate = (action, menuItem, extra = {}) => {
+  io.emit('menuUpdated', { action, item: menuItem, ...extra, updatedAt: new Date() });
+};
+
+// Update menu item translations (admin) - { hi: { name, description }, ta: null };
+// null removes a translation, fields left out are kept
+app.put('/api/menu/:id/translations', requireAdmin, async (req, res) => {
+  try {
+    const existing = await MenuItemAdmin.findById(parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    const translations = mergeTranslations(translationsOf(existing), validateTranslations(req.body));
+    const menuItem = await MenuItemAdmin.update(existing.id, { translations });
+    emitMenuUpdate('updated', menuItem);
+
+    res.json({
+      success: true,
+      data: {
+        menuItemId: menuItem.id,
+        name: menuItem.name,
+        translations: menuItem.translations
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Update menu item translations error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Import menu (admin) - CSV (text/csv body) or JSON; ?dryRun=true previews the changes,
+// ?mode=merge keeps items the import does not mention (default sync deletes them)
+app.post('/api/menu/import', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format, typeof req.body === 'string' ? 'csv' : 'json');
+    const mode = parseMode(req.query.mode);
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun));
+
+    const menuItems = (await MenuItemAdmin.findAll()).map(MenuItemAdmin.toFields);
+    const plan = planImport(readImportRows(req.body, format), menuItems, { mode, categories: await Category.slugs() });
+    const result = describePlan(plan, { dryRun, mode });
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        ...result
+      });
+    }
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import',
+        ...result
+      });
+    }
+
+    await MenuItemAdmin.applyImport(plan);
+    for (const item of menuItems.filter(row => plan.deletes.some(({ id }) => id === String(row.id)))) {
+      await removeMenuImages(item.images);
+    }
+    emitMenuUpdate('imported', null, { summary: result.summary });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Import menu error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Clean up menu images (admin) - removes stored images no menu item uses; ?dryRun=true only lists them
+app.post('/api/menu/images/cleanup', requireAdmin, async (req, res) => {
+  try {
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun));
+    const orphans = await cleanupOrphanImages(await MenuItemAdmin.findAll(), { dryRun });
+
+    res.json({
+      success: true,
+      dryRun,
+      orphans,
+      count: orphans.length
+    });
+  } catch (error) {
+    console.error('[ERROR] Clean up menu images error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create menu item (admin)
+app.post('/api/menu', requireAdmin, async (req, res) => {
+  try {
+    const fields = validateMenuItem(req.body, { categories: await Category.slugs() });
+    assertUniqueName(fields.name, await MenuItemAdmin.findAll());
+
+    const menuItem = await MenuItemAdmin.create(fields);
+    emitMenuUpdate('created', menuItem);
+
+    res.status(201).json({
+      success: true,
+      data: menuItem
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Create menu item error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update menu item (admin, partial)
+app.put('/api/menu/:id', requireAdmin, async (req, res) => {
+  try {
+    const existing = await MenuItemAdmin.findById(parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    const fields = validateMenuItem(req.body, { partial: true, categories: await Category.slugs() });
+    if (fields.name) assertUniqueName(fields.name, await MenuItemAdmin.findAll(), existing.id);
+
+    const menuItem = await MenuItemAdmin.update(existing.id, fields);
+    emitMenuUpdate('updated', menuItem);
+
+    res.json({
+      success: true,
+      data: menuItem
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Update menu item error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Toggle menu item availability (admin) - `{ available }`, or flip when omitted
+app.put('/api/menu/:id/availability', requireAdmin, async (req, res) => {
+  try {
+    const existing = await MenuItemAdmin.findById(parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    const { available } = req.body || {};
+    if (available !== undefined && typeof available !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'available must be true or false'
+      });
+    }
+
+    const menuItem = await MenuItemAdmin.update(existing.id, {
+      available: available === undefined ? !existing.available : available
+    });
+    emitMenuUpdate('availability', menuItem);
+
+    res.json({
+      success: true,
+      data: menuItem
+    });
+  } catch (error) {
+    console.error('[ERROR] Update menu item availability error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Upload menu item image (admin) - JPEG, PNG or WebP as the raw body; stored as
+// full, card and thumb variants, the card one becoming the item's image
+app.put('/api/menu/:id/image', requireAdmin, imageUpload, async (req, res) => {
+  try {
+    const existing = await MenuItemAdmin.findById(parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    const images = await storeMenuImage(existing.id, req.body, req.get('Content-Type'));
+    const menuItem = await MenuItemAdmin.update(existing.id, { image: images.card, images });
+    await removeMenuImages(existing.images, images);
+    emitMenuUpdate('updated', menuItem);
+
+    res.json({
+      success: true,
+      data: menuItem
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Upload menu image error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete menu item (admin, soft delete)
+app.delete('/api/menu/:id', requireAdmin, async (req, res) => {
+  try {
+    const menuItem = await MenuItemAdmin.softDelete(parseInt(req.params.id));
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    await removeMenuImages(menuItem.images);
+    emitMenuUpdate('deleted', menuItem);
+
+    res.json({
+      success: true,
+      data: menuItem
+    });
+  } catch (error) {
+    console.error('[ERROR] Delete menu item error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/chatbot-test', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Chatbot endpoint is available',
+      groqConfigured: !!groq,
+      groqApiKeyExists: !!process.env.GROQ_API_KEY,
+      groqApiKeyLength: process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.length : 0,
+      personalities: (await ChatPersona.findAll()).map(describePersona),
+      tools: CHAT_TOOLS.map(tool => tool.function.name)
+    });
+  } catch (error) {
+    console.error('[ERROR] Chatbot test error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Places an order with menu prices: the shared path of POST /api/order and the chatbot.
+// `total` is what the guest agreed to pay; a different server total is rejected (409).
+// Returns the 201 response body once the order is stored and announced to the kitchen.
+const createOrder = async ({ tableNo, items, total, couponCode, allergens }) => {
+  // Prices always come from the menu, never from the client
+  const menuItems = applySchedule(await MenuItemAdmin.findAll(), menuClock());
+  const priced = applyPromotions(priceOrder(items, menuItems, undefined, await Category.findAll()), await Promotion.findAll(), {
+    couponCode,
+    now: menuClock()
+  });
+  assertTotalMatches(total, priced.pricing);
+  const declaredAllergens = parseAllergens(allergens);
+
+  // Queue aware: depends on open tickets at the stations this order needs
+  const estimatedTime = await estimateNewOrder(tableNo, priced.items, new Date());
+
+  // The order and everything recorded with it are stored together or not at all
+  const client = await pool.connect();
+  let order;
+  let pricing;
+  let session;
+  let round;
+  let kitchenItems;
+
+  try {
+    await client.query('BEGIN');
+
+    // Usage limits are counted before the order exists so two tables cannot share a one-time coupon
+    await reserveDiscounts(priced.discounts, client);
+
+    order = await Order.create({
+      tableNo,
+      items: priced.items,
+      total: priced.pricing.total,
+      estimatedTime,
+      status: 'pending'
+    }, client);
+    pricing = await OrderPricing.create(order.id, priced.pricing, client);
+    await Promotion.recordRedemptions(order, priced.discounts, client);
+    await OrderStatusHistory.create(order.id, createHistoryEntry(null, 'pending', { actor: 'customer' }), client);
+
+    // Every order is a round of the table's open session
+    session = await TableSession.findOrOpen(parseInt(tableNo), client);
+    round = await TableSession.addOrder(session.id, order.id, client);
+
+    // Allergies declared with this order or earlier in the session are checked on every line
+    if (declaredAllergens) {
+      const merged = Array.from(new Set(session.declared_allergens.concat(declaredAllergens)));
+      session = await TableSession.setDeclaredAllergens(session.id, merged, client);
+    }
+
+    // Record the modifiers, station and combo of each line
+    kitchenItems = order.items.map((item, index) => ({
+      ...item,
+      basePrice: priced.items[index].basePrice,
+      modifiers: priced.items[index].modifiers,
+      modifierText: priced.items[index].modifierText,
+      notes: priced.items[index].notes,
+      status: 'queued',
+      station: priced.items[index].station,
+      allergens: priced.items[index].allergens,
+      combo: priced.items[index].combo || null
+    }));
+    for (const item of kitchenItems) {
+      await OrderItemDetail.create(order.id, item.id, item, client);
+      await OrderItemStatus.save(order.id, item, client);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const warnings = allergenWarnings(priced.items, session.declared_allergens);
+  const response = {
+    success: true,
+    message: 'Order placed successfully',
+    data: {
+      id: order.id,
+      tableNo: order.table_no,
+      items: kitchenItems,
+      total: order.total,
+      pricing,
+      sessionId: session.id,
+      round,
+      status: order.status,
+      estimatedTime: order.estimated_time,
+      createdAt: order.created_at,
+      updatedAt: order.updated_at
+    },
+    allergenWarnings: warnings
+  };
+
+  // Emit to chef portal, expo and the stations involved
+  emitNewOrder({
+    orderId: order.id,
+    tableNo: order.table_no,
+    items: kitchenItems,
+    total: order.total,
+    pricing,
+    sessionId: session.id,
+    round,
+    status: order.status,
+    createdAt: order.created_at,
+    estimatedTime: order.estimated_time,
+    allergenWarnings: warnings
+  }, { ...toKitchenOrder(order, kitchenItems), round });
+
+  // Emit to customer's table
+  io.to(`table_${tableNo}`).emit('orderConfirmed', {
+    orderId: order.id,
+    sessionId: session.id,
+    round,
+    status: order.status,
+    estimatedTime: order.estimated_time,
+    total: order.total,
+    discounts: pricing.discounts
+  });
+  await emitSessionUpdate(session);
+  await refreshEtas();
+
+  return response;
+};
+
+// Create new order
+app.post('/api/order', async (req, res) => {
+  // Retried submissions carrying the same key get the original response back
+  const idempotencyKey = req.get('Idempotency-Key');
+  let reserved = false;
+
+  try {
+    const { tableNo, items, total } = req.body;
+
+    if (!tableNo || !items || !items.length || !total) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: tableNo, items, total'
+      });
+    }
+
+    if (idempotencyKey) {
+      const replay = await beginIdempotentRequest(IdempotencyKey, 'order', idempotencyKey, req.body);
+      if (replay) {
+        return res.set('Idempotent-Replayed', 'true').status(replay.statusCode).json(replay.response);
+      }
+      reserved = true;
+    }
+
+    const response = await createOrder({
+      tableNo,
+      items,
+      total,
+      couponCode: req.body.couponCode,
+      allergens: req.body.allergens
+    });
+    if (reserved) {
+      await completeIdempotentRequest(IdempotencyKey, 'order', idempotencyKey, 201, response);
+      reserved = false;
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    if (reserved) await releaseIdempotentRequest(IdempotencyKey, 'order', idempotencyKey).catch(() => {});
+
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Create order error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get order by ID
+app.get('/api/order/:id', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const pricing = await OrderPricing.findByOrderId(order.id);
+    const payment = await getOrderPaymentSummary(order);
+    const items = await loadOrderItems(order);
+
+    res.json({
+      success: true,
+      data: {
+        id: order.id,
+        tableNo: order.table_no,
+        items,
+        total: order.total,
+        pricing,
+        status: order.status,
+        estimatedTime: order.estimated_time,
+        createdAt: order.created_at,
+        updatedAt: order.updated_at,
+        ...payment
+      }
+    });
+  } catch (error) {
+    console.error('[ERROR] Get order error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get all orders
+app.get('/api/orders', async (req, res) => {
+  try {
+    const { status, tableNo } = req.query;
+
+    const filters = {};
+    if (status) filters.status = status;
+    if (tableNo) filters.tableNo = parseInt(tableNo);
+
+    const orders = await Order.findAll(filters);
+
+    // Transform to match frontend expectations
+    const transformedOrders = orders.map(order => ({
+      orderId: order.id,
+      tableNo: order.table_no,
+      items: order.items,
+      total: order.total,
+      status: order.status,
+      estimatedTime: order.estimated_time,
+      createdAt: order.created_at,
+      updatedAt: order.updated_at
+    }));
+
+    res.json({
+      success: true,
+      count: transformedOrders.length,
+      data: transformedOrders
+    });
+  } catch (error) {
+    console.error('[ERROR] Get all orders error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get order status history
+app.get('/api/order/:id/history', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID'
+      });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const history = await OrderStatusHistory.findByOrderId(orderId);
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.id,
+        status: order.status,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('[ERROR] Get order history error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update order status
+app.put('/api/order/:id/status', async (req, res) => {
+  try {
+    const { status, actor, reason } = req.body;
+    // Only an authenticated manager (X-Admin-Key) may cancel orders the kitchen has started
+    const role = hasAdminKey(req) ? 'manager' : 'staff';
+    const orderId = req.params.id;
+
+    // Validate order ID
+    if (!orderId || orderId === 'undefined' || isNaN(parseInt(orderId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID'
+      });
+    }
+
+    const currentOrder = await Order.findById(parseInt(orderId));
+
+    if (!currentOrder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    // Throws if the transition graph does not allow this change
+    const previousStatus = currentOrder.status;
+    const entry = transitionStatus(previousStatus, status, { actor, role, reason });
+
+    await Order.updateStatus(parseInt(orderId), status);
+    await OrderStatusHistory.create(currentOrder.id, entry);
+
+    // Order level changes carry the items along (e.g. whole order marked ready)
+    const items = await loadOrderItems(currentOrder);
+    const completedBefore = completedStations(items);
+    const changedItems = cascadeItemStatuses(items, status, entry.at);
+    for (const { item } of changedItems) {
+      await OrderItemStatus.save(currentOrder.id, item);
+    }
+
+    // Get full order with items for socket emission
+    const fullOrder = await Order.findById(parseInt(orderId));
+
+    // Emit to customer
+    io.to(`table_${fullOrder.table_no}`).emit('orderStatusUpdate', {
+      orderId: fullOrder.id,
+      status: fullOrder.status,
+      previousStatus,
+      transitionedAt: entry.at,
+      updatedAt: fullOrder.updated_at
+    });
+
+    // Emit to chef portal
+    io.to('chef_portal').emit('orderStatusUpdated', {
+      orderId: fullOrder.id,
+      status: fullOrder.status,
+      previousStatus,
+      transitionedAt: entry.at
+    });
+
+    changedItems.forEach(({ item, from }) => emitItemStatusChange(fullOrder, item, from, fullOrder.status));
+    if (status !== 'cancelled') emitStationProgress(fullOrder, items, completedBefore);
+    await refreshEtas();
+
+    if (status === 'cancelled') {
+      await refundOrderPayments(fullOrder, reason);
+      await Promotion.voidRedemptions(fullOrder.id);
+
+      // A cancelled round drops out of the table's running bill
+      const session = await TableSession.findByOrderId(fullOrder.id);
+      if (session) await emitSessionUpdate(session);
+    }
+
+    res.json({
+      success: true,
+      message: 'Order status updated',
+      data: {
+        id: fullOrder.id,
+        tableNo: fullOrder.table_no,
+        items,
+        total: fullOrder.total,
+        status: fullOrder.status,
+        estimatedTime: fullOrder.estimated_time,
+        createdAt: fullOrder.created_at,
+        updatedAt: fullOrder.updated_at
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Update order status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Review an order item - { rating: 1-5, comment?, author? } for a line of a served order, once per line
+app.post('/api/order/:id/items/:itemId/review', async (req, res) => {
+  try {
+    const fields = validateReview(req.body);
+    const order = await Order.findById(parseInt(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const items = await loadOrderItems(order);
+    const item = items.find(i => i.id === parseInt(req.params.itemId));
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order item not found'
+      });
+    }
+
+    assertReviewable(order, item, await Review.findByOrderItem(item.id));
+
+    const review = await Review.create(buildReview(order, item, fields));
+    if (!review) {
+      // Two submissions for the same line at once
+      throw new ApiError(409, `${item.name} has already been reviewed for this order`);
+    }
+
+    const menuItem = await Review.refreshMenuRating(review.menuItemId);
+    if (menuItem && !menuItem.deleted_at) emitMenuUpdate('rated', menuItem);
+
+    res.status(201).json({
+      success: true,
+      data: review,
+      rating: menuItem ? { rating: menuItem.rating === null ? null : Number(menuItem.rating), ratingCount: menuItem.rating_count } : null
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Review order item error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update the kitchen status of a single order item
+app.put('/api/order/:id/items/:itemId/status', async (req, res) => {
+  try {
+    const { status, actor } = req.body;
+    const order = await Order.findById(parseInt(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const items = await loadOrderItems(order);
+    const item = items.find(i => i.id === parseInt(req.params.itemId));
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order item not found'
+      });
+    }
+
+    assertKitchenCanUpdate(order.status);
+
+    const at = new Date();
+    const completedBefore = completedStations(items);
+    const previousItemStatus = advanceItem(item, status, at);
+    await OrderItemStatus.save(order.id, item);
+
+    // Roll the order status forward to match its items
+    const entries = rollupOrderStatus(order.status, items, { actor: actor || 'kitchen', at });
+    for (const entry of entries) {
+      await OrderStatusHistory.create(order.id, entry);
+    }
+
+    const orderStatus = entries.length ? entries[entries.length - 1].to : order.status;
+    if (entries.length) await Order.updateStatus(order.id, orderStatus);
+
+    emitItemStatusChange(order, item, previousItemStatus, orderStatus);
+    emitStationProgress(order, items, completedBefore);
+    await refreshEtas(at);
+
+    if (entries.length) {
+      const statusPayload = {
+        orderId: order.id,
+        status: orderStatus,
+        previousStatus: order.status,
+        transitionedAt: at
+      };
+      io.to(`table_${order.table_no}`).emit('orderStatusUpdate', statusPayload);
+      io.to('chef_portal').emit('orderStatusUpdated', statusPayload);
+    }
+
+    res.json({
+      success: true,
+      message: 'Order item status updated',
+      data: {
+        id: order.id,
+        tableNo: order.table_no,
+        items,
+        total: order.total,
+        status: orderStatus,
+        estimatedTime: order.estimated_time,
+        createdAt: order.created_at,
+        updatedAt: at
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Update order item status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Seed menu endpoint
+app.post('/api/seed-menu', async (req, res) => {
+  try {
+    const { seedMenuItems } = require('./database/init');
+    await seedMenuItems();
+
+    const count = await MenuItem.count();
+
+    res.json({
+      success: true,
+      message: 'Menu seeded successfully',
+      count: count
+    });
+  } catch (error) {
+    console.error('[ERROR] Seed menu error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Initialize database endpoint (admin only - should be protected in production)
+app.post('/api/init-db', async (req, res) => {
+  try {
+    const { initializeDatabase, seedMenuItems } = require('./database/init');
+
+    await initializeDatabase();
+    await seedMenuItems();
+
+    res.json({
+      success: true,
+      message: 'Database initialized successfully'
+    });
+  } catch (error) {
+    console.error('[ERROR] Database initialization error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== KITCHEN STATION ENDPOINTS ====================
+
+// List kitchen stations and the default station of each category
+app.get('/api/stations', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      stations: kitchenConfig.stations,
+      categoryStations: kitchenConfig.categoryStations
+    }
+  });
+});
+
+// Open tickets of a station
+app.get('/api/stations/:station/tickets', async (req, res) => {
+  try {
+    if (!isKnownStation(req.params.station)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown station'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await findStationTickets(req.params.station)
+    });
+  } catch (error) {
+    console.error('[ERROR] Get station tickets error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== TABLE SESSION ENDPOINTS ====================
+
+// Declare the allergies of a table - `{ allergens }`, checked against every order of the session
+app.put('/api/table/:tableNo/allergens', async (req, res) => {
+  try {
+    const allergens = parseAllergens((req.body || {}).allergens);
+    if (!allergens) {
+      return res.status(400).json({
+        success: false,
+        error: 'allergens are required',
+        allowedAllergens: ALLERGENS
+      });
+    }
+
+    const openSession = await TableSession.findOrOpen(parseInt(req.params.tableNo));
+    const session = await TableSession.setDeclaredAllergens(openSession.id, allergens);
+    await emitSessionUpdate(session);
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session.id,
+        tableNo: session.table_no,
+        declaredAllergens: session.declared_allergens
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Declare table allergens error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get the open session (running bill) of a table
+app.get('/api/table/:tableNo/session', async (req, res) => {
+  try {
+    const session = await TableSession.findOpenByTable(parseInt(req.params.tableNo));
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open session for this table'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await buildSessionBill(session)
+    });
+  } catch (error) {
+    console.error('[ERROR] Get table session error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    const reply = completion.choices[0]?.message?.content || 
-                  "I'm here to help! What would you like to know?";
+// Close the open session of a table once the bill is settled
+app.post('/api/table/:tableNo/session/close', async (req, res) => {
+  try {
+    const session = await TableSession.findOpenByTable(parseInt(req.params.tableNo));
 
-    console.log('✅ SUCCESS! Response generated');
-    console.log('   Tokens used:', completion.usage?.total_tokens || 0);
-    console.log('   Reply length:', reply.length, 'characters');
-    console.log('   Reply preview:', reply.substring(0, 80) + '...');
-    console.log('='.repeat(60) + '\n');
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open session for this table'
+      });
+    }
+
+    const closedSession = await TableSession.close(session.id);
+    const bill = await buildSessionBill(closedSession);
+
+    io.to(`table_${closedSession.table_no}`).emit('sessionUpdated', bill);
 
     res.json({
       success: true,
-      reply: reply,
-      personality: personality,
-      tokensUsed: completion.usage?.total_tokens || 0
+      message: 'Table session closed',
+      data: bill
     });
-
   } catch (error) {
-    console.log('❌ CHATBOT ERROR');
-    console.log('   Error type:', error.constructor.name);
-    console.log('   Error message:', error.message);
-    
-    if (error.stack) {
-      console.log('   Stack trace:', error.stack.split('\n').slice(0, 3).join('\n'));
-    }
-    
-    if (error.response) {
-      console.log('   API Response:', error.response);
-    }
-    
-    console.log('='.repeat(60) + '\n');
-
+    console.error('[ERROR] Close table session error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate response',
-      details: error.message,
-      errorType: error.constructor.name
+      error: error.message
     });
   }
 });
 
+// ==================== BILL SPLIT ENDPOINTS ====================
 
-// Get all menu items
-app.get('/api/menu', async (req, res) => {
+// Split an order or a table's running bill into sub-bills
+app.post('/api/bills/split', async (req, res) => {
   try {
-    const { category } = req.query;
+    const bill = await loadBill(req.body);
+    const split = splitBill(bill, req.body);
 
-    const filters = {};
-    if (category) {
-      filters.category = category;
-    }
-    filters.available = true;
+    // A new split replaces the previous one for the same bill
+    const billSplit = await BillSplit.create(bill, split);
 
-    const menuItems = await MenuItem.findAll(filters);
+    io.to(`table_${bill.tableNo}`).emit('billSplit', billSplit);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      count: menuItems.length,
-      data: menuItems
+      message: 'Bill split created',
+      data: billSplit
     });
   } catch (error) {
-    console.error('[ERROR] Get menu error:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Split bill error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -269,24 +2495,24 @@ app.get('/api/menu', async (req, res) => {
   }
 });
 
-// Get menu item by ID
-app.get('/api/menu/:id', async (req, res) => {
+// Get a bill split with the status of every sub-bill
+app.get('/api/bills/split/:id', async (req, res) => {
   try {
-    const menuItem = await MenuItem.findById(req.params.id);
+    const billSplit = await BillSplit.findById(parseInt(req.params.id));
 
-    if (!menuItem) {
+    if (!billSplit) {
       return res.status(404).json({
         success: false,
-        error: 'Menu item not found'
+        error: 'Bill split not found'
       });
     }
 
     res.json({
       success: true,
-      data: menuItem
+      data: billSplit
     });
   } catch (error) {
-    console.error('[ERROR] Get menu item error:', error);
+    console.error('[ERROR] Get bill split error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -294,72 +2520,65 @@ app.get('/api/menu/:id', async (req, res) => {
   }
 });
 
-app.get('/api/chatbot-test', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Chatbot endpoint is available',
-    groqConfigured: !!groq,
-    groqApiKeyExists: !!process.env.GROQ_API_KEY,
-    groqApiKeyLength: process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.length : 0,
-    personalities: Object.keys(personalityPrompts)
-  });
-});
-// Create new order
-app.post('/api/order', async (req, res) => {
+// ==================== PAYMENT ENDPOINTS ====================
+
+// Pay for an order, a table's open session or a sub-bill
+app.post('/api/payments', async (req, res) => {
   try {
-    const { tableNo, items, total } = req.body;
+    const { method, amount, simulate } = req.body;
+    const target = await resolvePaymentTarget(req.body);
 
-    if (!tableNo || !items || !items.length || !total) {
+    // Sub-bills are settled in one go
+    if (target.subBillId && amount !== undefined && Number(amount) !== target.subBillTotal) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: tableNo, items, total'
+        error: 'A sub-bill must be paid in full',
+        amount: target.subBillTotal
       });
     }
 
-    const estimatedTime = Math.max(...items.map(item => item.prepTime || item.prep_time || 15)) + 5;
-
-    const order = await Order.create({
-      tableNo,
-      items,
-      total,
-      estimatedTime,
-      status: 'pending'
+    const fields = await processPayment({
+      method,
+      amount: target.subBillId ? target.subBillTotal : amount,
+      balance: target.balance,
+      simulate,
+      // Cash is only recorded by staff (X-Admin-Key); guests pay by card or UPI
+      staff: isAdmin(req)
     });
 
-    // Emit to chef portal
-    io.to('chef_portal').emit('newOrder', {
-      orderId: order.id,
-      tableNo: order.table_no,
-      items: order.items,
-      total: order.total,
-      status: order.status,
-      createdAt: order.created_at,
-      estimatedTime: order.estimated_time
+    const payment = await Payment.create({
+      ...fields,
+      orderId: target.orderId,
+      sessionId: target.sessionId,
+      tableNo: target.tableNo,
+      splitId: target.splitId,
+      subBillId: target.subBillId
     });
 
-    // Emit to customer's table
-    io.to(`table_${tableNo}`).emit('orderConfirmed', {
-      orderId: order.id,
-      status: order.status,
-      estimatedTime: order.estimated_time
-    });
+    if (payment.status === 'succeeded') await onPaymentSettled(payment);
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        error: payment.failureReason || 'Payment failed',
+        data: payment
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Order placed successfully',
-      data: {
-        id: order.id,
-        tableNo: order.table_no,
-        items: order.items,
-        total: order.total,
-        status: order.status,
-        estimatedTime: order.estimated_time,
-        createdAt: order.created_at,
-        updatedAt: order.updated_at
-      }
+      message: payment.status === 'pending' ? 'Payment awaiting confirmation' : 'Payment received',
+      data: payment
     });
   } catch (error) {
-    console.error('[ERROR] Create order error:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Create payment error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -367,10 +2586,10 @@ app.post('/api/order', async (req, res) => {
   }
 });
 
-// Get order by ID
-app.get('/api/order/:id', async (req, res) => {
+// Get payments and payment position of an order
+app.get('/api/order/:id/payments', async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findById(parseInt(req.params.id));
 
     if (!order) {
       return res.status(404).json({
@@ -379,21 +2598,19 @@ app.get('/api/order/:id', async (req, res) => {
       });
     }
 
+    const payments = await Payment.find({ orderId: order.id });
+    const summary = await getOrderPaymentSummary(order);
+
     res.json({
       success: true,
       data: {
-        id: order.id,
-        tableNo: order.table_no,
-        items: order.items,
-        total: order.total,
-        status: order.status,
-        estimatedTime: order.estimated_time,
-        createdAt: order.created_at,
-        updatedAt: order.updated_at
+        orderId: order.id,
+        summary,
+        payments
       }
     });
   } catch (error) {
-    console.error('[ERROR] Get order error:', error);
+    console.error('[ERROR] Get payments error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -401,36 +2618,34 @@ app.get('/api/order/:id', async (req, res) => {
   }
 });
 
-// Get all orders
-app.get('/api/orders', async (req, res) => {
+// Refund (part of) a settled payment (admin)
+app.post('/api/payments/:id/refund', requireAdmin, async (req, res) => {
   try {
-    const { status, tableNo } = req.query;
-
-    const filters = {};
-    if (status) filters.status = status;
-    if (tableNo) filters.tableNo = parseInt(tableNo);
+    const payment = /^\d+$/.test(req.params.id) ? await Payment.findById(parseInt(req.params.id)) : null;
 
-    const orders = await Order.findAll(filters);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
 
-    // Transform to match frontend expectations
-    const transformedOrders = orders.map(order => ({
-      orderId: order.id,
-      tableNo: order.table_no,
-      items: order.items,
-      total: order.total,
-      status: order.status,
-      estimatedTime: order.estimated_time,
-      createdAt: order.created_at,
-      updatedAt: order.updated_at
-    }));
+    const refund = await refundPayment(payment, { amount: req.body.amount, reason: req.body.reason });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      count: transformedOrders.length,
-      data: transformedOrders
+      message: 'Refund issued',
+      data: refund
     });
   } catch (error) {
-    console.error('[ERROR] Get all orders error:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Refund payment error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -438,69 +2653,137 @@ app.get('/api/orders', async (req, res) => {
   }
 });
 
-// Update order status
-app.put('/api/order/:id/status', async (req, res) => {
+// Asynchronous payment confirmations from a provider, signed by it (see verifyWebhook)
+app.post('/api/payments/webhook/:provider', async (req, res) => {
   try {
-    const { status } = req.body;
-    const orderId = req.params.id;
+    const provider = getProvider(req.params.provider);
+    verifyWebhook(provider, req.rawBody, req.headers);
+    const payment = await handlePaymentWebhook(provider.name, provider.parseWebhook(req.body));
 
-    // Validate order ID
-    if (!orderId || orderId === 'undefined' || isNaN(parseInt(orderId))) {
-      return res.status(400).json({
+    if (!payment) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid order ID'
+        error: 'Payment not found'
       });
     }
 
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'served', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
         success: false,
-        error: 'Invalid status'
+        error: error.message,
+        ...error.details
       });
     }
+    console.error('[ERROR] Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    const updatedOrder = await Order.updateStatus(parseInt(orderId), status);
+// ==================== PROMOTION ENDPOINTS ====================
 
-    if (!updatedOrder) {
-      return res.status(404).json({
+// List promotions (admin)
+app.get('/api/promotions', requireAdmin, async (req, res) => {
+  try {
+    const promotions = await Promotion.findAll();
+    res.json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    console.error('[ERROR] Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a promotion (admin)
+app.post('/api/promotions', requireAdmin, async (req, res) => {
+  try {
+    const fields = validatePromotion(req.body, { categories: await Category.slugs() });
+    assertUniqueCode(fields.code, await Promotion.findAll());
+
+    res.status(201).json({
+      success: true,
+      data: await Promotion.create(fields)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
         success: false,
-        error: 'Order not found'
+        error: error.message,
+        ...error.details
       });
     }
+    console.error('[ERROR] Create promotion error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Get full order with items for socket emission
-    const fullOrder = await Order.findById(parseInt(orderId));
+// Retire a promotion (admin) - it stops applying; past redemptions stay
+app.post('/api/promotions/:id/retire', requireAdmin, async (req, res) => {
+  try {
+    const promotion = await Promotion.retire(parseInt(req.params.id));
 
-    // Emit to customer
-    io.to(`table_${fullOrder.table_no}`).emit('orderStatusUpdate', {
-      orderId: fullOrder.id,
-      status: fullOrder.status,
-      updatedAt: fullOrder.updated_at
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    console.error('[ERROR] Retire promotion error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
-    // Emit to chef portal
-    io.to('chef_portal').emit('orderStatusUpdated', {
-      orderId: fullOrder.id,
-      status: fullOrder.status
+// Redemptions report (admin) - optional `from`/`to` dates and `promotionId`
+app.get('/api/promotions/redemptions', requireAdmin, async (req, res) => {
+  try {
+    const { from, to, promotionId } = req.query;
+    const since = from ? new Date(from) : null;
+    const until = to ? new Date(to) : null;
+
+    if ((since && Number.isNaN(since.getTime())) || (until && Number.isNaN(until.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ISO dates'
+      });
+    }
+
+    const redemptions = await Promotion.findRedemptions({
+      from: since,
+      to: until,
+      promotionId: promotionId ? parseInt(promotionId) : null
     });
 
     res.json({
       success: true,
-      message: 'Order status updated',
-      data: {
-        id: fullOrder.id,
-        tableNo: fullOrder.table_no,
-        items: fullOrder.items,
-        total: fullOrder.total,
-        status: fullOrder.status,
-        estimatedTime: fullOrder.estimated_time,
-        createdAt: fullOrder.created_at,
-        updatedAt: fullOrder.updated_at
-      }
+      data: { from: since, to: until, ...summarizeRedemptions(redemptions) }
     });
   } catch (error) {
-    console.error('[ERROR] Update order status error:', error);
+    console.error('[ERROR] Promotion redemptions report error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -508,21 +2791,44 @@ app.put('/api/order/:id/status', async (req, res) => {
   }
 });
 
-// Seed menu endpoint
-app.post('/api/seed-menu', async (req, res) => {
+// ==================== REVIEW ENDPOINTS ====================
+
+// Reviews for moderation (admin) - optional status and menuItemId, newest first, paginated
+app.get('/api/reviews', requireAdmin, async (req, res) => {
   try {
-    const { seedMenuItems } = require('./database/init');
-    await seedMenuItems();
+    const { page, limit } = parseReviewPage(req.query);
+    const { status, menuItemId } = req.query;
 
-    const count = await MenuItem.count();
+    if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid review status',
+        allowedStatuses: REVIEW_STATUSES
+      });
+    }
+
+    const reviews = await Review.findAll({
+      status,
+      menuItemId: menuItemId ? parseInt(menuItemId) : undefined
+    });
 
     res.json({
       success: true,
-      message: 'Menu seeded successfully',
-      count: count
+      data: reviews.slice((page - 1) * limit, page * limit),
+      total: reviews.length,
+      page,
+      limit,
+      totalPages: Math.max(Math.ceil(reviews.length / limit), 1)
     });
   } catch (error) {
-    console.error('[ERROR] Seed menu error:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Get reviews error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -530,20 +2836,37 @@ app.post('/api/seed-menu', async (req, res) => {
   }
 });
 
-// Initialize database endpoint (admin only - should be protected in production)
-app.post('/api/init-db', async (req, res) => {
+// Moderate a review (admin) - { status: published | flagged | hidden, reason? }; the item's rating follows
+app.put('/api/reviews/:id/moderation', requireAdmin, async (req, res) => {
   try {
-    const { initializeDatabase, seedMenuItems } = require('./database/init');
+    const fields = validateModeration(req.body);
+    const existing = await Review.findById(parseInt(req.params.id));
 
-    await initializeDatabase();
-    await seedMenuItems();
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    const review = await Review.moderate(existing.id, fields);
+    const menuItem = await Review.refreshMenuRating(review.menuItemId);
+    if (menuItem && !menuItem.deleted_at) emitMenuUpdate('rated', menuItem);
 
     res.json({
       success: true,
-      message: 'Database initialized successfully'
+      data: review,
+      rating: menuItem ? { rating: menuItem.rating === null ? null : Number(menuItem.rating), ratingCount: menuItem.rating_count } : null
     });
   } catch (error) {
-    console.error('[ERROR] Database initialization error:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('[ERROR] Moderate review error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -610,6 +2933,9 @@ app.post('/api/generate-qr-codes', async (req, res) => {
 // Serve QR code images
 app.use('/api/qr-codes', express.static(path.join(__dirname, 'qr-codes')));
 
+// Uploaded menu images; names change with the content, so they can be cached for good
+app.use(imagesConfig.publicPath, express.static(imagesConfig.localDirectory, { maxAge: imagesConfig.cacheMaxAge, immutable: true }));
+
 // Get all QR codes info
 app.get('/api/qr-codes-list', (req, res) => {
   try {
@@ -8,6 +8,122 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 const Groq = require('groq-sdk');
+const { priceOrder, assertTotalMatches, calculateBreakdown } = require('./services/pricing');
+const { ApiError } = require('./services/errors');
+const { ORDER_STATUSES, transitionStatus, createHistoryEntry } = require('./services/orderStatus');
+const { mergeLines, summarizeSession } = require('./services/tableSession');
+const {
+  ITEM_STATUSES,
+  advanceItem,
+  assertKitchenCanUpdate,
+  rollupOrderStatus,
+  cascadeItemStatuses
+} = require('./services/itemStatus');
+const { splitBill } = require('./services/billSplit');
+const { SELECTION_TYPES } = require('./services/modifiers');
+const { validateMenuItem, assertUniqueName } = require('./services/menuItems');
+const { parseMenuQuery, toMongoFilter, searchMenu } = require('./services/menuSearch');
+const { applySchedule, menuAt, describeSchedule, createMenuClock } = require('./services/menuSchedule');
+const { ITEM_TYPES, isCombo, withComboOptions } = require('./services/combos');
+const {
+  parseFormat,
+  parseMode,
+  toExportRows,
+  toCsv,
+  readImportRows,
+  planImport,
+  describePlan
+} = require('./services/menuTransfer');
+const {
+  translationsOf,
+  negotiateLanguage,
+  validateTranslations,
+  mergeTranslations,
+  localizeItem,
+  localizeItems,
+  missingTranslations
+} = require('./services/translations');
+const languagesConfig = require('./config/languages');
+const {
+  DEFAULT_CATEGORIES,
+  validateCategory,
+  assertCategoryFits,
+  assertDeletable,
+  visibleCategories,
+  listedItems,
+  withSubcategories,
+  buildCategoryTree,
+  groupMenu
+} = require('./services/categories');
+const {
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+  validatePromotion,
+  assertUniqueCode,
+  applyPromotions,
+  summarizeRedemptions
+} = require('./services/promotions');
+const {
+  REVIEW_STATUSES,
+  validateReview,
+  assertReviewable,
+  buildReview,
+  validateModeration,
+  aggregateRating,
+  parseReviewPage,
+  listReviews
+} = require('./services/reviews');
+const { ALLERGENS, DIETS, parseAllergens, allergenWarnings, describeForChat, CHAT_ALLERGY_RULES } = require('./services/dietary');
+const {
+  CHAT_TOOLS,
+  CHAT_TOOL_RULES,
+  CHAT_ORDER_RULES,
+  createToolRunner,
+  runToolConversation,
+  describeOrdersForChat,
+  DEFAULT_PERSONAS,
+  validatePersona,
+  assertPersonaIsNew,
+  assertPersonaDeletable,
+  describePersona,
+  personaPrompt,
+  parseStreamMode,
+  streamToolConversation,
+  ChatStreams,
+  openEventStream
+} = require('./services/chatbot');
+const requireAdmin = require('./middleware/requireAdmin');
+const { hasAdminKey, isAdmin } = requireAdmin;
+const imageUpload = require('./middleware/imageUpload');
+const { storeMenuImage, removeMenuImages, cleanupOrphanImages } = require('./services/images');
+const imagesConfig = require('./config/images');
+const kitchenConfig = require('./config/kitchen');
+const {
+  isKnownStation,
+  stationName,
+  stationForItem,
+  buildStationTickets,
+  completedStations,
+  stationProgress
+} = require('./services/kitchenRouting');
+const { learnPrepTimes, estimateQueue, changedEstimates } = require('./services/etaEstimator');
+const {
+  MemoryStore,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest
+} = require('./services/idempotency');
+const {
+  PAYMENT_METHODS,
+  verifyWebhook,
+  onWebhook,
+  getProvider,
+  processPayment,
+  processRefund,
+  summarizePayments,
+  summarizeRoundPayments,
+  refundableAmount
+} = require('./services/payments');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,7 +136,8 @@ const io = new Server(server, {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// The raw body is kept for checking payment webhook signatures
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 app.use('/api/chat', chatRoutes);
 
 
@@ -45,27 +162,99 @@ mongoose.connect(MONGODB_URI)
   .then(() => {
     console.log('✅ MongoDB connected');
     autoSeedMenu();
+    autoSeedPersonas();
   })
   .catch(err => {
     console.log('⚠️  MongoDB not connected (this is OK, using fallback)');
   });
 
+// Price breakdown line (tax or service charge)
+const priceLineSchema = new mongoose.Schema({
+  name: String,
+  rate: Number,
+  amount: Number
+}, { _id: false });
+
+// Promotion applied to an order, itemised per line
+const orderDiscountSchema = new mongoose.Schema({
+  promotionId: String,
+  name: String,
+  code: String,
+  type: String,
+  amount: Number,
+  items: [{ _id: false, menuItemId: String, name: String, amount: Number }]
+}, { _id: false });
+
+// Modifier chosen on an order line
+const orderModifierSchema = new mongoose.Schema({
+  group: String,
+  groupName: String,
+  option: String,
+  name: String,
+  priceDelta: Number
+}, { _id: false });
+
+// Combo an order line was chosen for; `line` groups the components of one combo
+const orderComboSchema = new mongoose.Schema({
+  menuItemId: String,
+  name: String,
+  price: Number,
+  slot: String,
+  slotName: String,
+  line: Number
+}, { _id: false });
+
 // Order Schema
 const orderSchema = new mongoose.Schema({
   tableNo: { type: Number, required: true },
   items: [{
+    menuItemId: String,
     name: String,
+    basePrice: Number,
     price: Number,
+    modifiers: [orderModifierSchema],
+    modifierText: String,
+    notes: String,
     quantity: Number,
     category: String,
-    image: String
+    image: String,
+    prepTime: Number,
+    station: String,
+    lineTotal: Number,
+    // Allergens of the dish when ordered; unset when the menu did not record them
+    allergens: { type: [String], default: undefined },
+    // Set on the components of a combo (see services/combos.js)
+    combo: { type: orderComboSchema, default: undefined },
+    status: { type: String, enum: ITEM_STATUSES, default: 'queued' },
+    startedAt: Date,
+    readyAt: Date,
+    servedAt: Date
   }],
   total: { type: Number, required: true },
+  pricing: {
+    currency: String,
+    subtotal: Number,
+    discounts: [orderDiscountSchema],
+    discountTotal: Number,
+    taxes: [priceLineSchema],
+    charges: [priceLineSchema],
+    rounding: Number,
+    total: Number
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'preparing', 'ready', 'served', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
+  statusHistory: [{
+    from: String,
+    to: String,
+    actor: String,
+    reason: String,
+    at: Date
+  }],
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TableSession' },
+  round: Number,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   estimatedTime: { type: Number, default: 20 }
@@ -73,204 +262,2056 @@ const orderSchema = new mongoose.Schema({
 
 const Order = mongoose.model('Order', orderSchema);
 
+// Table Session Schema (running tab, each order is a round)
+const tableSessionSchema = new mongoose.Schema({
+  tableNo: { type: Number, required: true },
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  openedAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  declaredAllergens: [{ type: String, enum: ALLERGENS }]
+});
+
+const TableSession = mongoose.model('TableSession', tableSessionSchema);
+
+// Bill Split Schema (sub-bills of an order or a whole table session)
+const billSplitSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TableSession' },
+  tableNo: { type: Number, required: true },
+  mode: { type: String, enum: ['equal', 'items', 'custom'], required: true },
+  total: { type: Number, required: true },
+  status: { type: String, enum: ['active', 'void'], default: 'active' },
+  subBills: [{
+    label: String,
+    items: [{ name: String, quantity: Number, amount: Number }],
+    subtotal: Number,
+    discounts: [{ _id: false, promotionId: String, name: String, code: String, amount: Number }],
+    charges: [priceLineSchema],
+    taxes: [priceLineSchema],
+    rounding: Number,
+    total: Number,
+    status: { type: String, enum: ['unpaid', 'paid'], default: 'unpaid' },
+    paidAt: Date
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const BillSplit = mongoose.model('BillSplit', billSplitSchema);
+
+// Payment Schema (payments and refunds of an order or a whole table session)
+const paymentSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TableSession' },
+  tableNo: { type: Number, required: true },
+  splitId: { type: mongoose.Schema.Types.ObjectId, ref: 'BillSplit' },
+  subBillId: mongoose.Schema.Types.ObjectId,
+  kind: { type: String, enum: ['payment', 'refund'], default: 'payment' },
+  refundOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  method: { type: String, enum: PAYMENT_METHODS, required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], required: true },
+  provider: String,
+  providerPaymentId: String,
+  failureReason: String,
+  reason: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+// Idempotency Key Schema (replays of order submissions)
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  statusCode: Number,
+  response: mongoose.Schema.Types.Mixed,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+// Promotion Schema (discounts and coupon codes, see services/promotions.js)
+const promotionTargetSchema = new mongoose.Schema({
+  categories: [String],
+  items: [String],
+  quantity: { type: Number, default: 1 }
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  code: { type: String, default: null },
+  type: { type: String, enum: PROMOTION_TYPES, required: true },
+  value: { type: Number, required: true },
+  scope: { type: String, enum: PROMOTION_SCOPES.concat(null), default: null },
+  categories: [String],
+  items: [String],
+  buy: promotionTargetSchema,
+  reward: promotionTargetSchema,
+  minSpend: { type: Number, default: 0 },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  usageLimit: { type: Number, default: null },
+  redemptionCount: { type: Number, default: 0 },
+  stackable: { type: Boolean, default: false },
+  priority: { type: Number, default: 0 },
+  status: { type: String, enum: ['active', 'retired'], default: 'active' },
+  createdAt: { type: Date, default: Date.now },
+  retiredAt: Date
+});
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+// One promotion used on one order; voided when the order is cancelled
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+  name: String,
+  code: String,
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  tableNo: Number,
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['applied', 'void'], default: 'applied' },
+  redeemedAt: { type: Date, default: Date.now }
+});
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+// Menu categories (see services/categories.js); menu items refer to them by slug
+const categorySchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  icon: { type: String, default: null },
+  sortOrder: { type: Number, default: 0 },
+  visible: { type: Boolean, default: true },
+  parent: { type: String, default: null }
+}, { timestamps: true });
+
+const Category = mongoose.model('Category', categorySchema);
+
+// Chatbot personas (see services/chatbot/personas.js); chats pick one by slug
+const chatPersonaSchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  systemPrompt: { type: String, required: true },
+  tone: { type: String, default: null },
+  greeting: { type: String, default: null },
+  temperature: { type: Number, default: 0.7 },
+  maxTokens: { type: Number, default: 250 },
+  starterQuestions: [String]
+}, { timestamps: true });
+
+const ChatPersona = mongoose.model('ChatPersona', chatPersonaSchema);
+
+// Diner ratings of served order lines (see services/reviews.js); one per line
+const reviewSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderItemId: { type: String, required: true },
+  menuItemId: { type: String, required: true },
+  menuItemName: String,
+  tableNo: Number,
+  rating: { type: Number, min: 1, max: 5, required: true },
+  comment: { type: String, default: null },
+  author: { type: String, default: null },
+  status: { type: String, enum: REVIEW_STATUSES, default: 'published' },
+  moderationReason: { type: String, default: null },
+  moderatedAt: Date
+}, { timestamps: true });
+
+reviewSchema.index({ orderId: 1, orderItemId: 1 }, { unique: true });
+reviewSchema.index({ menuItemId: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+// Modifier groups a menu item offers (see services/modifiers.js)
+const modifierOptionSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  priceDelta: { type: Number, default: 0 }
+}, { _id: false });
+
+const modifierGroupSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  required: { type: Boolean, default: false },
+  selection: { type: String, enum: SELECTION_TYPES, default: 'single' },
+  maxSelections: Number,
+  options: [modifierOptionSchema]
+}, { _id: false });
+
+// Combo slots: the customer picks one item per slot
+const comboSlotSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  categories: [String],
+  items: [String]
+}, { _id: false });
+
 // Menu Schema
 const menuItemSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
   price: { type: Number, required: true },
-  category: {
-    type: String,
-    enum: ['appetizer', 'main', 'dessert', 'beverage'],
-    required: true
-  },
+  // Slug of a managed category
+  category: { type: String, required: true },
   image: String,
+  // Variants of an uploaded image (see services/images); `image` is the card one
+  images: { type: { _id: false, full: String, card: String, thumb: String }, default: undefined },
   available: { type: Boolean, default: true },
-  rating: { type: Number, default: 4.5 },
+  // Mean of the item's reviews, kept up to date by refreshMenuRating
+  rating: { type: Number, default: null },
+  ratingCount: { type: Number, default: 0 },
   prepTime: Number,
+  station: String,
+  modifierGroups: [modifierGroupSchema],
+  type: { type: String, enum: ITEM_TYPES, default: 'item' },
+  comboSlots: { type: [comboSlotSchema], default: undefined },
+  // `{ hi: { name, description }, ... }` (see services/translations.js)
+  translations: { type: mongoose.Schema.Types.Mixed, default: undefined },
   isVeg: Boolean,
+  // Unset means "not recorded", which safe filtering treats as unsafe
+  allergens: { type: [{ type: String, enum: ALLERGENS }], default: undefined },
+  dietaryTags: [{ type: String, enum: DIETS }],
+  // Menu sections (breakfast, lunch, dinner) and own windows limit when the item can be ordered
+  sections: [String],
+  availability: [{ _id: false, days: [String], from: String, to: String }],
+  happyHourPrice: { type: Number, default: null },
   spiceLevel: Number,
   popular: Boolean,
-  chefSpecial: Boolean
+  chefSpecial: Boolean,
+  // Soft delete: hidden from the menu and from ordering, kept for order history
+  deletedAt: { type: Date, default: null }
+});
+
+const MenuItem = mongoose.model('MenuItem', menuItemSchema);
+
+// Time the menu schedule (opening hours, sections, happy hours) is checked against;
+// MENU_SIMULATED_TIME moves it to another moment outside production
+const menuClock = createMenuClock();
+
+// Fallback menu that admin edits apply to while MongoDB is unavailable
+let inMemoryMenu = require('./seedData').map((item, index) => ({ _id: String(index + 1), rating: null, ratingCount: 0, ...item }));
+let inMemoryOrders = [];
+let inMemorySessions = [];
+let inMemoryBillSplits = [];
+let inMemoryPayments = [];
+let inMemoryPaymentSeq = 0;
+let inMemoryPromotions = [];
+let inMemoryRedemptions = [];
+let inMemoryCategories = DEFAULT_CATEGORIES.map(category => ({ ...category }));
+let inMemoryReviews = [];
+let inMemoryPersonas = DEFAULT_PERSONAS.map(persona => ({ ...persona }));
+
+const findCategories = async () => {
+  if (mongoose.connection.readyState !== 1) return inMemoryCategories;
+  return Category.find().lean();
+};
+
+const categorySlugs = async () => (await findCategories()).map(category => category.slug);
+
+const findPersonas = async () => {
+  if (mongoose.connection.readyState !== 1) return inMemoryPersonas;
+  return ChatPersona.find().sort({ createdAt: 1 }).lean();
+};
+
+// Menu items that exist (soft deleted ones excluded), available or not
+const findMenuItems = async () => {
+  if (mongoose.connection.readyState !== 1) return inMemoryMenu.filter(item => !item.deletedAt);
+  return MenuItem.find({ deletedAt: null }).lean();
+};
+
+const findMenuItemById = async (id) => {
+  if (mongoose.connection.readyState !== 1) {
+    return inMemoryMenu.find(item => item._id === id && !item.deletedAt) || null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return MenuItem.findOne({ _id: id, deletedAt: null });
+};
+
+const saveMenuItem = async (menuItem, fields) => {
+  Object.assign(menuItem, fields);
+  if (mongoose.connection.readyState === 1) await menuItem.save();
+  return menuItem;
+};
+
+// Applies a planned menu import (see services/menuTransfer.js) all at once:
+// in a transaction on MongoDB (which needs a replica set, as on Atlas) and
+// by swapping in an edited copy of the fallback menu
+const applyMenuImport = async (plan) => {
+  const deletedAt = new Date();
+
+  if (mongoose.connection.readyState !== 1) {
+    const next = inMemoryMenu.map(item => ({ ...item }));
+    plan.updates.forEach(({ id, fields }) => Object.assign(next.find(item => item._id === id), fields));
+    plan.deletes.forEach(({ id }) => Object.assign(next.find(item => item._id === id), { available: false, deletedAt }));
+    plan.creates.forEach(({ fields }, index) => {
+      next.push({ _id: `${Date.now()}-${index}`, available: true, rating: null, ratingCount: 0, ...fields, deletedAt: null });
+    });
+    inMemoryMenu = next;
+    return;
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const { id, fields } of plan.updates) {
+        await MenuItem.updateOne({ _id: id }, { $set: fields }, { session, runValidators: true });
+      }
+      for (const { id } of plan.deletes) {
+        await MenuItem.updateOne({ _id: id }, { $set: { available: false, deletedAt } }, { session });
+      }
+      if (plan.creates.length) {
+        await MenuItem.create(plan.creates.map(({ fields }) => fields), { session, ordered: true });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Reviews matching `filter` (exact field values), newest first
+const findReviews = async (filter = {}) => {
+  if (mongoose.connection.readyState !== 1) {
+    return inMemoryReviews.filter(review => Object.keys(filter).every(key => review[key] === filter[key]));
+  }
+  return Review.find(filter).sort({ createdAt: -1 }).lean();
+};
+
+// Recomputes a menu item's rating and ratingCount from its reviews; deleted items are updated too
+const refreshMenuRating = async (menuItemId) => {
+  const { rating, ratingCount } = aggregateRating(await findReviews({ menuItemId }));
+
+  if (mongoose.connection.readyState !== 1) {
+    const menuItem = inMemoryMenu.find(item => item._id === menuItemId);
+    if (menuItem) Object.assign(menuItem, { rating, ratingCount });
+    return menuItem || null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(menuItemId)) return null;
+  return MenuItem.findByIdAndUpdate(menuItemId, { $set: { rating, ratingCount } }, { new: true });
+};
+
+// Open customer menus refresh when an item changes
+const emitMenuUpdate = (action, menuItem, extra = {}) => {
+  io.emit('menuUpdated', { action, item: menuItem, ...extra, updatedAt: new Date() });
+};
+
+const findOrder = async (id) => {
+  if (mongoose.connection.readyState !== 1) return inMemoryOrders.find(o => o._id === id) || null;
+  return Order.findById(id);
+};
+
+const findSession = async (id) => {
+  if (mongoose.connection.readyState !== 1) return inMemorySessions.find(s => s._id === id) || null;
+  return TableSession.findById(id);
+};
+
+// Returns the open session of a table, opening one on its first order
+const findOrOpenSession = async (tableNo) => {
+  if (mongoose.connection.readyState !== 1) {
+    let session = inMemorySessions.find(s => s.tableNo === tableNo && s.status === 'open');
+    if (!session) {
+      session = { _id: 'S' + Date.now(), tableNo, status: 'open', openedAt: new Date() };
+      inMemorySessions.push(session);
+    }
+    return session;
+  }
+
+  return TableSession.findOneAndUpdate(
+    { tableNo, status: 'open' },
+    { $setOnInsert: { openedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+};
+
+const findOpenSession = async (tableNo) => {
+  if (mongoose.connection.readyState !== 1) {
+    return inMemorySessions.find(s => s.tableNo === tableNo && s.status === 'open') || null;
+  }
+  return TableSession.findOne({ tableNo, status: 'open' });
+};
+
+const findSessionOrders = async (session) => {
+  if (mongoose.connection.readyState !== 1) {
+    return inMemoryOrders.filter(o => o.sessionId === session._id);
+  }
+  return Order.find({ sessionId: session._id }).sort({ round: 1 });
+};
+
+const buildSessionBill = async (session) => {
+  const orders = await findSessionOrders(session);
+  return summarizeSession(
+    {
+      id: session._id,
+      tableNo: session.tableNo,
+      status: session.status,
+      openedAt: session.openedAt,
+      closedAt: session.closedAt,
+      declaredAllergens: session.declaredAllergens
+    },
+    orders.map(o => ({
+      id: o._id,
+      round: o.round,
+      status: o.status,
+      items: o.items,
+      pricing: (o.toObject ? o.toObject() : o).pricing,
+      total: o.total,
+      createdAt: o.createdAt
+    }))
+  );
+};
+
+// Adds allergies a table declared to its session
+const declareAllergens = async (session, allergens) => {
+  session.declaredAllergens = Array.from(new Set((session.declaredAllergens || []).concat(allergens)));
+  if (mongoose.connection.readyState === 1) await session.save();
+  return session;
+};
+
+const emitSessionUpdate = async (session) => {
+  io.to('table_' + session.tableNo).emit('sessionUpdated', await buildSessionBill(session));
+};
+
+// Loads the bill to split: a single order or the open session of a table
+const loadBill = async ({ orderId, tableNo }) => {
+  if (orderId) {
+    const order = mongoose.connection.readyState !== 1
+      ? inMemoryOrders.find(o => o._id === orderId)
+      : await Order.findById(orderId);
+
+    if (!order) throw new ApiError(404, 'Order not found');
+    if (order.status === 'cancelled') throw new ApiError(400, 'Cannot split a cancelled order');
+
+    const { pricing } = order.toObject ? order.toObject() : order;
+    const items = mergeLines(order.items);
+    return {
+      orderId: order._id,
+      tableNo: order.tableNo,
+      items,
+      // Orders placed before server-side pricing have no stored breakdown
+      pricing: pricing && pricing.total !== undefined ? pricing : calculateBreakdown(items)
+    };
+  }
+
+  if (tableNo) {
+    const session = await findOpenSession(Number(tableNo));
+    if (!session) throw new ApiError(404, 'No open session for this table');
+
+    const bill = await buildSessionBill(session);
+    return { sessionId: session._id, tableNo: session.tableNo, items: bill.items, pricing: bill.pricing };
+  }
+
+  throw new ApiError(400, 'orderId or tableNo is required');
+};
+
+const emitOrderStatusChange = (order, previousStatus, transitionedAt) => {
+  const payload = { orderId: order._id, status: order.status, previousStatus, transitionedAt };
+  io.to('table_' + order.tableNo).emit('orderStatusUpdate', payload);
+  io.to('chef_portal').emit('orderStatusUpdated', payload);
+};
+
+const emitItemStatusChange = (order, item, previousStatus) => {
+  const payload = {
+    orderId: order._id,
+    itemId: item._id,
+    name: item.name,
+    status: item.status,
+    previousStatus,
+    startedAt: item.startedAt,
+    readyAt: item.readyAt,
+    servedAt: item.servedAt,
+    orderStatus: order.status
+  };
+  io.to('table_' + order.tableNo).emit('orderItemStatusUpdate', payload);
+  const station = stationForItem(item);
+  io.to('chef_portal').to('expo').to('station_' + station).emit('orderItemStatusUpdated', { ...payload, station });
+};
+
+// ==================== KITCHEN STATIONS ====================
+
+const ACTIVE_KITCHEN_STATUSES = ['pending', 'confirmed', 'preparing', 'partially_ready', 'ready'];
+
+const toKitchenOrder = (order) => {
+  const plain = order.toObject ? order.toObject() : order;
+  return {
+    orderId: plain._id,
+    tableNo: plain.tableNo,
+    round: plain.round,
+    status: plain.status,
+    estimatedTime: plain.estimatedTime,
+    createdAt: plain.createdAt,
+    items: plain.items
+  };
+};
+
+const findActiveOrders = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return inMemoryOrders.filter(o => ACTIVE_KITCHEN_STATUSES.includes(o.status));
+  }
+  return Order.find({ status: { $in: ACTIVE_KITCHEN_STATUSES } }).sort({ createdAt: 1 });
+};
+
+// Open tickets of one station: its lines of active orders that are not finished yet
+const findStationTickets = async (station) => {
+  const orders = await findActiveOrders();
+  return orders
+    .filter(order => !completedStations(order.items).includes(station))
+    .map(order => buildStationTickets(toKitchenOrder(order)).find(ticket => ticket.station === station))
+    .filter(Boolean);
+};
+
+// Expo sees the whole order plus how far each station has got
+const toExpoOrder = (order) => ({ ...toKitchenOrder(order), stations: stationProgress(order.items) });
+
+const emitNewOrder = (order, warnings = []) => {
+  const plain = order.toObject ? order.toObject() : order;
+  io.to('chef_portal').emit('newOrder', { ...plain, allergenWarnings: warnings });
+  io.to('expo').emit('newOrder', { ...toExpoOrder(order), allergenWarnings: warnings });
+  buildStationTickets(toKitchenOrder(order)).forEach((ticket) => {
+    io.to('station_' + ticket.station).emit('newOrder', ticket);
+  });
+};
+
+// Announces stations that finished their part of an order since `completedBefore`
+const emitStationProgress = (order, completedBefore) => {
+  const finished = completedStations(order.items).filter(station => !completedBefore.includes(station));
+  if (!finished.length) return;
+
+  const stations = stationProgress(order.items);
+  const stationsRemaining = stations.filter(entry => !entry.complete).map(entry => entry.station);
+
+  finished.forEach((station) => {
+    io.to('expo').to('chef_portal').emit('stationReady', {
+      orderId: order._id,
+      tableNo: order.tableNo,
+      station,
+      stationName: stationName(station),
+      stationsRemaining,
+      stations
+    });
+  });
+
+  if (!stationsRemaining.length) {
+    io.to('expo').to('chef_portal').emit('orderStationsComplete', {
+      orderId: order._id,
+      tableNo: order.tableNo,
+      stations
+    });
+  }
+};
+
+// ==================== ORDER ETA ====================
+
+// Last ETA sent for each waiting order, to only notify tables when it moves
+const lastEtas = new Map();
+
+// Recently finished items with both start and ready times, for learning prep times
+const findCompletedItems = async () => {
+  const limit = kitchenConfig.eta.historySize;
+  const orders = mongoose.connection.readyState !== 1
+    ? inMemoryOrders.slice().reverse()
+    : await Order.find({ 'items.readyAt': { $ne: null } }).sort({ createdAt: -1 }).limit(limit).lean();
+
+  return orders
+    .reduce((items, order) => items.concat(order.items), [])
+    .filter(item => item.startedAt && item.readyAt)
+    .slice(0, limit);
+};
+
+const estimateOrders = async (orders, now) => estimateQueue(orders.map(toKitchenOrder), {
+  now,
+  learned: learnPrepTimes(await findCompletedItems())
+});
+
+// ETA (minutes) of an order that is about to join the queue
+const estimateNewOrder = async (tableNo, items, now) => {
+  const estimates = await estimateOrders(
+    (await findActiveOrders()).concat({ _id: 'new', tableNo, createdAt: now, items }),
+    now
+  );
+  return estimates.get('new').estimatedTime;
+};
+
+// Recomputes every waiting order's ETA and pushes the ones that moved to their table
+const refreshEtas = async (now = new Date()) => {
+  try {
+    const estimates = await estimateOrders(await findActiveOrders(), now);
+
+    changedEstimates(lastEtas, estimates).forEach((estimate) => {
+      if (lastEtas.has(String(estimate.orderId))) io.to('table_' + estimate.tableNo).emit('etaUpdated', estimate);
+    });
+
+    lastEtas.clear();
+    estimates.forEach((estimate, orderId) => lastEtas.set(orderId, estimate));
+  } catch (error) {
+    console.log('⚠️  Could not refresh ETAs:', error.message);
+  }
+};
+
+// ==================== IDEMPOTENCY ====================
+
+const memoryIdempotencyStore = new MemoryStore();
+
+const mongoIdempotencyStore = {
+  async reserve(key, fingerprint, expiresAt, now) {
+    // The TTL monitor only runs every minute, so drop an expired key here
+    await IdempotencyKey.deleteOne({ key, expiresAt: { $lte: now } });
+
+    try {
+      const record = await IdempotencyKey.create({ key, fingerprint, expiresAt });
+      return { created: true, record };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { created: false, record: await IdempotencyKey.findOne({ key }).lean() };
+    }
+  },
+  complete: (key, statusCode, response) =>
+    IdempotencyKey.updateOne({ key }, { status: 'completed', statusCode, response }),
+  release: key => IdempotencyKey.deleteOne({ key, status: 'processing' })
+};
+
+const idempotencyStore = () =>
+  (mongoose.connection.readyState === 1 ? mongoIdempotencyStore : memoryIdempotencyStore);
+
+// ==================== PROMOTIONS ====================
+
+const findPromotions = async () => {
+  if (mongoose.connection.readyState !== 1) return inMemoryPromotions;
+  return Promotion.find().sort({ createdAt: -1 }).lean();
+};
+
+// Counts one use against the usage limit; false when the limit was reached in the meantime
+const reservePromotion = async (promotionId) => {
+  if (mongoose.connection.readyState !== 1) {
+    const promotion = inMemoryPromotions.find(p => String(p._id) === String(promotionId));
+    if (!promotion || (promotion.usageLimit !== null && promotion.redemptionCount >= promotion.usageLimit)) return false;
+    promotion.redemptionCount += 1;
+    return true;
+  }
+
+  const updated = await Promotion.findOneAndUpdate(
+    {
+      _id: promotionId,
+      status: 'active',
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }]
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+  return Boolean(updated);
+};
+
+const releasePromotion = async (promotionId) => {
+  if (mongoose.connection.readyState !== 1) {
+    const promotion = inMemoryPromotions.find(p => String(p._id) === String(promotionId));
+    if (promotion) promotion.redemptionCount = Math.max(promotion.redemptionCount - 1, 0);
+    return;
+  }
+  await Promotion.updateOne({ _id: promotionId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+};
+
+// Reserves every applied promotion, or none of them
+const reserveDiscounts = async (discounts) => {
+  const reservedIds = [];
+  for (const discount of discounts) {
+    if (!(await reservePromotion(discount.promotionId))) {
+      await Promise.all(reservedIds.map(releasePromotion));
+      throw new ApiError(409, `${discount.name} has just been fully redeemed`, { promotionId: discount.promotionId });
+    }
+    reservedIds.push(discount.promotionId);
+  }
+  return reservedIds;
+};
+
+const recordRedemptions = async (order, discounts) => {
+  const redemptions = discounts.map(discount => ({
+    promotionId: discount.promotionId,
+    name: discount.name,
+    code: discount.code,
+    orderId: order._id,
+    tableNo: order.tableNo,
+    amount: discount.amount,
+    status: 'applied',
+    redeemedAt: new Date()
+  }));
+
+  if (mongoose.connection.readyState !== 1) inMemoryRedemptions.push(...redemptions);
+  else if (redemptions.length) await PromotionRedemption.insertMany(redemptions);
+};
+
+// A cancelled order gives its promotion uses back
+const voidRedemptions = async (order) => {
+  const isConnected = mongoose.connection.readyState === 1;
+  const redemptions = isConnected
+    ? await PromotionRedemption.find({ orderId: order._id, status: 'applied' })
+    : inMemoryRedemptions.filter(r => r.orderId === order._id && r.status === 'applied');
+
+  for (const redemption of redemptions) {
+    redemption.status = 'void';
+    if (isConnected) await redemption.save();
+    await releasePromotion(redemption.promotionId);
+  }
+};
+
+// ==================== PAYMENTS ====================
+
+const findPayments = async (filter) => {
+  if (mongoose.connection.readyState !== 1) {
+    return inMemoryPayments.filter(payment => Object.keys(filter).every(key =>
+      filter[key] == null ? payment[key] == null : String(payment[key]) === String(filter[key])
+    ));
+  }
+  return Payment.find(filter).sort({ createdAt: 1 });
+};
+
+const savePayment = async (fields) => {
+  if (mongoose.connection.readyState !== 1) {
+    inMemoryPaymentSeq += 1;
+    const payment = { _id: 'P' + inMemoryPaymentSeq, ...fields, createdAt: new Date(), updatedAt: new Date() };
+    inMemoryPayments.push(payment);
+    return payment;
+  }
+  return Payment.create(fields);
+};
+
+// Payment position of an order, including its share of session level payments
+const getOrderPaymentSummary = async (order) => {
+  const session = order.sessionId ? await findSession(order.sessionId) : null;
+
+  if (!session) {
+    return summarizePayments(order.status === 'cancelled' ? 0 : order.total, await findPayments({ orderId: order._id }));
+  }
+
+  const bill = await buildSessionBill(session);
+  const rounds = bill.rounds.map(round => ({
+    id: round.orderId,
+    due: round.status === 'cancelled' ? 0 : round.total
+  }));
+
+  return summarizeRoundPayments(order._id, rounds, await findPayments({ sessionId: session._id }));
+};
+
+const getSessionPaymentSummary = async (session) => {
+  const bill = await buildSessionBill(session);
+  return summarizePayments(bill.pricing.total, await findPayments({ sessionId: session._id }));
+};
+
+// Resolves what a payment settles: a sub-bill, an order or a table's open session
+const resolvePaymentTarget = async ({ splitId, subBillId, orderId, tableNo }) => {
+  if (subBillId) {
+    const split = mongoose.connection.readyState !== 1
+      ? inMemoryBillSplits.find(s => s._id === splitId)
+      : await BillSplit.findById(splitId);
+
+    if (!split || split.status !== 'active') throw new ApiError(404, 'Bill split not found');
+
+    const subBill = split.subBills.find(b => String(b._id) === String(subBillId));
+    if (!subBill) throw new ApiError(404, 'Sub-bill not found');
+    if (subBill.status === 'paid') throw new ApiError(409, 'Sub-bill is already paid');
+
+    const target = split.orderId
+      ? await resolvePaymentTarget({ orderId: split.orderId })
+      : await resolveSessionTarget(await findSession(split.sessionId));
+
+    return { ...target, splitId: split._id, subBillId: subBill._id, subBillTotal: subBill.total };
+  }
+
+  if (orderId) {
+    const order = await findOrder(orderId);
+    if (!order) throw new ApiError(404, 'Order not found');
+    if (order.status === 'cancelled') throw new ApiError(400, 'Cannot pay for a cancelled order');
+
+    const summary = await getOrderPaymentSummary(order);
+    return { orderId: order._id, sessionId: order.sessionId, tableNo: order.tableNo, balance: summary.balance };
+  }
+
+  if (tableNo) {
+    return resolveSessionTarget(await findOpenSession(Number(tableNo)));
+  }
+
+  throw new ApiError(400, 'orderId, tableNo or subBillId is required');
+};
+
+const resolveSessionTarget = async (session) => {
+  if (!session || session.status !== 'open') throw new ApiError(404, 'No open session for this table');
+
+  const summary = await getSessionPaymentSummary(session);
+  return { sessionId: session._id, tableNo: session.tableNo, balance: summary.balance };
+};
+
+const markSubBillPaid = async (splitId, subBillId) => {
+  if (mongoose.connection.readyState !== 1) {
+    const split = inMemoryBillSplits.find(s => s._id === splitId);
+    const subBill = split && split.subBills.find(b => b._id === subBillId);
+    if (subBill) Object.assign(subBill, { status: 'paid', paidAt: new Date() });
+    return;
+  }
+
+  await BillSplit.updateOne(
+    { _id: splitId, 'subBills._id': subBillId },
+    { $set: { 'subBills.$.status': 'paid', 'subBills.$.paidAt': new Date() } }
+  );
+};
+
+const paymentEvent = async (payment) => {
+  let summary = null;
+  if (payment.orderId) {
+    summary = await getOrderPaymentSummary(await findOrder(payment.orderId));
+  } else if (payment.sessionId) {
+    summary = await getSessionPaymentSummary(await findSession(payment.sessionId));
+  }
+
+  return {
+    paymentId: payment._id,
+    orderId: payment.orderId,
+    sessionId: payment.sessionId,
+    subBillId: payment.subBillId,
+    kind: payment.kind,
+    method: payment.method,
+    amount: payment.amount,
+    status: payment.status,
+    failureReason: payment.failureReason,
+    summary
+  };
+};
+
+const onPaymentSettled = async (payment) => {
+  if (payment.subBillId) await markSubBillPaid(payment.splitId, payment.subBillId);
+  io.to('table_' + payment.tableNo).emit('paymentReceived', await paymentEvent(payment));
+};
+
+// Applies an asynchronous confirmation from a payment provider
+const handlePaymentWebhook = async (providerName, event) => {
+  const [payment] = await findPayments({ provider: providerName, providerPaymentId: event.providerPaymentId });
+  if (!payment || payment.status !== 'pending') return payment || null;
+
+  payment.status = event.status;
+  payment.failureReason = event.failureReason || undefined;
+  payment.updatedAt = new Date();
+  if (mongoose.connection.readyState === 1) await payment.save();
+
+  if (payment.status === 'succeeded') {
+    await onPaymentSettled(payment);
+  } else {
+    io.to('table_' + payment.tableNo).emit('paymentFailed', await paymentEvent(payment));
+  }
+
+  return payment;
+};
+
+onWebhook((providerName, event) => {
+  handlePaymentWebhook(providerName, event).catch(error => {
+    console.error('Error applying payment webhook:', error);
+  });
+});
+
+const refundPayment = async (payment, options) => {
+  const refunds = await findPayments({ refundOf: payment._id });
+  const fields = await processRefund(payment, refunds, options);
+
+  const refund = await savePayment({
+    ...fields,
+    orderId: payment.orderId,
+    sessionId: payment.sessionId,
+    tableNo: payment.tableNo
+  });
+
+  io.to('table_' + refund.tableNo).emit('paymentRefunded', await paymentEvent(refund));
+  return refund;
+};
+
+// Refunds everything still settled on an order, used when it is cancelled
+const refundOrderPayments = async (order, reason) => {
+  const payments = await findPayments({ orderId: order._id, kind: 'payment', status: 'succeeded' });
+  const refunds = [];
+
+  for (const payment of payments) {
+    const earlier = await findPayments({ refundOf: payment._id });
+    if (refundableAmount(payment, earlier) > 0) {
+      refunds.push(await refundPayment(payment, { reason: reason || 'Order cancelled' }));
+    }
+  }
+
+  return refunds;
+};
+
+const autoSeedMenu = async () => {
+  try {
+    if (await Category.countDocuments() === 0) {
+      await Category.insertMany(DEFAULT_CATEGORIES);
+      console.log('✅ Auto-seeded ' + DEFAULT_CATEGORIES.length + ' menu categories');
+    }
+
+    const count = await MenuItem.countDocuments();
+    if (count === 0) {
+      const menuData = require('./seedData');
+      await MenuItem.insertMany(menuData);
+      console.log('✅ Auto-seeded ' + menuData.length + ' menu items');
+    } else {
+      console.log('✅ Found ' + count + ' existing menu items');
+    }
+  } catch (error) {
+    console.log('⚠️  Auto-seed skipped:', error.message);
+  }
+};
+
+const autoSeedPersonas = async () => {
+  try {
+    if (await ChatPersona.countDocuments() === 0) {
+      await ChatPersona.insertMany(DEFAULT_PERSONAS);
+      console.log('✅ Auto-seeded ' + DEFAULT_PERSONAS.length + ' chatbot personas');
+    }
+  } catch (error) {
+    console.log('⚠️  Persona seed skipped:', error.message);
+  }
+};
+
+// Socket.IO
+io.on('connection', (socket) => {
+  console.log('✅ Client connected:', socket.id);
+
+  socket.on('joinTable', async (tableNo) => {
+    socket.join('table_' + tableNo);
+    console.log('✅ Socket joined table_' + tableNo);
+
+    // Send the running bill straight away so a reconnecting guest sees their tab
+    try {
+      const session = await findOpenSession(Number(tableNo));
+      if (session) socket.emit('sessionUpdated', await buildSessionBill(session));
+    } catch (error) {
+      console.log('⚠️  Could not load table session:', error.message);
+    }
+  });
+
+  socket.on('joinChef', () => {
+    socket.join('chef_portal');
+    console.log('✅ Chef portal connected');
+  });
+
+  // A station screen only receives the lines it has to prepare
+  socket.on('joinStation', async (station) => {
+    if (!isKnownStation(station)) {
+      socket.emit('stationError', { error: 'Unknown station', stations: kitchenConfig.stations });
+      return;
+    }
+
+    socket.join('station_' + station);
+    console.log('✅ Station connected: ' + station);
+
+    try {
+      socket.emit('stationTickets', { station, tickets: await findStationTickets(station) });
+    } catch (error) {
+      console.log('⚠️  Could not load station tickets:', error.message);
+    }
+  });
+
+  // Expo (pass) screen sees whole orders and per-station progress
+  socket.on('joinExpo', async () => {
+    socket.join('expo');
+    console.log('✅ Expo connected');
+
+    try {
+      socket.emit('expoOrders', (await findActiveOrders()).map(toExpoOrder));
+    } catch (error) {
+      console.log('⚠️  Could not load expo orders:', error.message);
+    }
+  });
+
+  // Guest closed the chat: stop a reply still streaming to this socket
+  socket.on('chatCancel', (payload) => {
+    const chatId = payload && payload.chatId;
+    if (chatStreams.cancel(chatId, socket.id)) console.log('✅ Chat cancelled:', chatId);
+  });
+
+  socket.on('disconnect', () => {
+    chatStreams.cancelSocket(socket.id);
+    console.log('Client disconnected:', socket.id);
+  });
+});
+
+// Health Check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    message: 'Restaurant Backend API',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get Categories - nested in display order; `?includeHidden=true` also lists hidden ones
+app.get('/api/categories', async (req, res) => {
+  try {
+    const categories = await findCategories();
+    const listed = req.query.includeHidden === 'true' ? categories : visibleCategories(categories);
+    res.json({ success: true, data: buildCategoryTree(listed) });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create Category (admin) - `{ slug, name, icon, sortOrder, visible, parent }`
+app.post('/api/categories', requireAdmin, async (req, res) => {
+  try {
+    const fields = validateCategory(req.body);
+    assertCategoryFits(fields, await findCategories());
+
+    let category;
+    if (mongoose.connection.readyState !== 1) {
+      category = { ...fields };
+      inMemoryCategories.push(category);
+    } else {
+      category = await Category.create(fields);
+    }
+
+    emitMenuUpdate('categoryCreated', null, { category });
+    res.status(201).json({ success: true, data: category });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update Category (admin) - any of name, icon, sortOrder, visible, parent; the slug stays
+app.put('/api/categories/:slug', requireAdmin, async (req, res) => {
+  try {
+    const categories = await findCategories();
+    const existing = categories.find(category => category.slug === req.params.slug);
+    if (!existing) return res.status(404).json({ success: false, error: 'Category not found' });
+
+    const fields = validateCategory(req.body, { partial: true });
+    assertCategoryFits({ ...existing, ...fields }, categories, { existing: true });
+
+    const category = mongoose.connection.readyState !== 1
+      ? Object.assign(existing, fields)
+      : await Category.findOneAndUpdate({ slug: existing.slug }, { $set: fields }, { new: true });
+
+    emitMenuUpdate('categoryUpdated', null, { category });
+    res.json({ success: true, data: category });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete Category (admin) - only once no menu item or subcategory refers to it
+app.delete('/api/categories/:slug', requireAdmin, async (req, res) => {
+  try {
+    const categories = await findCategories();
+    const existing = categories.find(category => category.slug === req.params.slug);
+    if (!existing) return res.status(404).json({ success: false, error: 'Category not found' });
+
+    assertDeletable(existing.slug, categories, await findMenuItems());
+    if (mongoose.connection.readyState !== 1) {
+      inMemoryCategories = inMemoryCategories.filter(category => category.slug !== existing.slug);
+    } else {
+      await Category.deleteOne({ slug: existing.slug });
+    }
+
+    emitMenuUpdate('categoryDeleted', null, { category: existing });
+    res.json({ success: true, data: existing });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error deleting category:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Menu
+app.get('/api/menu', async (req, res) => {
+  try {
+    const language = negotiateLanguage({ lang: req.query.lang, acceptLanguage: req.get('Accept-Language') });
+    if (req.query.group !== undefined && req.query.group !== 'category') {
+      return res.status(400).json({ success: false, error: 'group must be category' });
+    }
+    const now = menuClock();
+    const criteria = parseMenuQuery(req.query, now);
+    const categories = await findCategories();
+    // A parent category also matches everything nested below it
+    if (criteria.categories) criteria.categories = withSubcategories(criteria.categories, categories);
+    const menuItems = mongoose.connection.readyState !== 1
+      ? inMemoryMenu
+      : await MenuItem.find(toMongoFilter(criteria)).lean();
+
+    // Only what can be ordered at that time, at that time's prices, outside hidden categories
+    const at = criteria.at || now;
+    const result = searchMenu(listedItems(menuAt(menuItems, at), categories), criteria);
+    const items = localizeItems(result.items, language);
+    // Combos list what can fill each slot, picked from the whole menu rather than the search
+    const data = items.some(isCombo)
+      ? withComboOptions(items, localizeItems(menuAt(await findMenuItems(), at), language), categories)
+      : items;
+    res.set('Content-Language', language).vary('Accept-Language');
+    res.json({
+      success: true,
+      language,
+      schedule: describeSchedule(at),
+      count: result.items.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      ...(req.query.group ? { group: 'category', data: groupMenu(data, visibleCategories(categories)) } : { data })
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error fetching menu:', error);
+    try {
+      const now = menuClock();
+      const result = searchMenu(menuAt(inMemoryMenu, now), parseMenuQuery(req.query, now));
+      res.json({ success: true, count: result.items.length, total: result.total, data: result.items });
+    } catch (fallbackError) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+// Export Menu (admin) - `?format=csv|json`, in the shape the import accepts
+app.get('/api/menu/export', requireAdmin, async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    const rows = toExportRows(await findMenuItems());
+
+    if (format === 'csv') {
+      return res.type('text/csv').attachment('menu.csv').send(toCsv(rows));
+    }
+    res.attachment('menu.json').json({ exportedAt: new Date(), count: rows.length, items: rows });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error exporting menu:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import Menu (admin) - CSV (text/csv body) or JSON, `?dryRun=true` previews the changes,
+// `?mode=merge` keeps items the import does not mention (default `sync` deletes them)
+app.post('/api/menu/import', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format, typeof req.body === 'string' ? 'csv' : 'json');
+    const mode = parseMode(req.query.mode);
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun));
+
+    const menuItems = await findMenuItems();
+    const plan = planImport(readImportRows(req.body, format), menuItems, { mode, categories: await categorySlugs() });
+    const result = describePlan(plan, { dryRun, mode });
+
+    if (dryRun) return res.json({ success: true, ...result });
+    if (!result.valid) return res.status(400).json({ success: false, error: 'Invalid import', ...result });
+
+    const deleted = menuItems.filter(item => plan.deletes.some(({ id }) => id === String(item._id)));
+    await applyMenuImport(plan);
+    for (const item of deleted) await removeMenuImages(item.images);
+    emitMenuUpdate('imported', null, { summary: result.summary });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error importing menu:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Clean Up Menu Images (admin) - removes stored images no menu item uses, `?dryRun=true` only lists them
+app.post('/api/menu/images/cleanup', requireAdmin, async (req, res) => {
+  try {
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun));
+    const orphans = await cleanupOrphanImages(await findMenuItems(), { dryRun });
+    res.json({ success: true, dryRun, orphans, count: orphans.length });
+  } catch (error) {
+    console.error('Error cleaning up menu images:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Missing Translations (admin) - items lacking a translated name or description, per enabled language
+app.get('/api/menu/translations/missing', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultLanguage: languagesConfig.defaultLanguage,
+      languages: languagesConfig.enabled,
+      data: missingTranslations(await findMenuItems())
+    });
+  } catch (error) {
+    console.error('Error reporting missing translations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Menu Item - in the language picked by `lang` or Accept-Language
+app.get('/api/menu/:id', async (req, res) => {
+  try {
+    const language = negotiateLanguage({ lang: req.query.lang, acceptLanguage: req.get('Accept-Language') });
+    const menuItem = await findMenuItemById(req.params.id);
+    if (!menuItem) return res.status(404).json({ success: false, error: 'Menu item not found' });
+
+    const [item] = applySchedule([menuItem], menuClock());
+    const data = isCombo(item)
+      ? withComboOptions([item], localizeItems(applySchedule(await findMenuItems(), menuClock()), language), await findCategories())[0]
+      : item;
+    res.set('Content-Language', language).vary('Accept-Language');
+    res.json({ success: true, language, data: localizeItem(data, language) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error fetching menu item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Menu Item Reviews - newest first, paginated (`page`, `limit`), with the rating breakdown
+app.get('/api/menu/:id/reviews', async (req, res) => {
+  try {
+    const paging = parseReviewPage(req.query);
+    const menuItem = await findMenuItemById(req.params.id);
+    if (!menuItem) return res.status(404).json({ success: false, error: 'Menu item not found' });
+
+    const { items, ...summary } = listReviews(await findReviews({ menuItemId: String(menuItem._id) }), paging);
+    res.json({ success: true, data: items, ...summary });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update Menu Item Translations (admin) - `{ hi: { name, description }, ta: null }`;
+// `null` removes a translation, fields left out are kept
+app.put('/api/menu/:id/translations', requireAdmin, async (req, res) => {
+  try {
+    const menuItem = await findMenuItemById(req.params.id);
+    if (!menuItem) return res.status(404).json({ success: false, error: 'Menu item not found' });
+
+    const translations = mergeTranslations(translationsOf(menuItem), validateTranslations(req.body));
+    await saveMenuItem(menuItem, { translations });
+    emitMenuUpdate('updated', menuItem);
+    res.json({ success: true, data: { menuItemId: menuItem._id, name: menuItem.name, translations } });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error updating menu item translations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create Menu Item (admin)
+app.post('/api/menu', requireAdmin, async (req, res) => {
+  try {
+    const fields = validateMenuItem(req.body, { categories: await categorySlugs() });
+    assertUniqueName(fields.name, await findMenuItems());
+
+    let menuItem;
+    if (mongoose.connection.readyState !== 1) {
+      menuItem = { _id: Date.now().toString(), available: true, rating: null, ratingCount: 0, ...fields, deletedAt: null };
+      inMemoryMenu.push(menuItem);
+    } else {
+      menuItem = await MenuItem.create(fields);
+    }
+
+    emitMenuUpdate('created', menuItem);
+    res.status(201).json({ success: true, data: menuItem });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error creating menu item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update Menu Item (admin, partial)
+app.put('/api/menu/:id', requireAdmin, async (req, res) => {
+  try {
+    const menuItem = await findMenuItemById(req.params.id);
+    if (!menuItem) return res.status(404).json({ success: false, error: 'Menu item not found' });
+
+    const fields = validateMenuItem(req.body, { partial: true, categories: await categorySlugs() });
+    if (fields.name) assertUniqueName(fields.name, await findMenuItems(), menuItem._id);
+
+    await saveMenuItem(menuItem, fields);
+    emitMenuUpdate('updated', menuItem);
+    res.json({ success: true, data: menuItem });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error updating menu item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Toggle Menu Item Availability (admin) - `{ available }`, or flip when omitted
+app.put('/api/menu/:id/availability', requireAdmin, async (req, res) => {
+  try {
+    const menuItem = await findMenuItemById(req.params.id);
+    if (!menuItem) return res.status(404).json({ success: false, error: 'Menu item not found' });
+
+    const { available } = req.body || {};
+    if (available !== undefined && typeof available !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'available must be true or false' });
+    }
+
+    await saveMenuItem(menuItem, { available: available === undefined ? menuItem.available === false : available });
+    emitMenuUpdate('availability', menuItem);
+    res.json({ success: true, data: menuItem });
+  } catch (error) {
+    console.error('Error updating menu item availability:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Upload Menu Item Image (admin) - JPEG, PNG or WebP as the raw body; stored as
+// full, card and thumb variants, the card one becoming the item's `image`
+app.put('/api/menu/:id/image', requireAdmin, imageUpload, async (req, res) => {
+  try {
+    const menuItem = await findMenuItemById(req.params.id);
+    if (!menuItem) return res.status(404).json({ success: false, error: 'Menu item not found' });
+
+    const previous = menuItem.images;
+    const images = await storeMenuImage(menuItem._id, req.body, req.get('Content-Type'));
+    await saveMenuItem(menuItem, { image: images.card, images });
+    await removeMenuImages(previous, images);
+
+    emitMenuUpdate('updated', menuItem);
+    res.json({ success: true, data: menuItem });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error uploading menu image:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete Menu Item (admin, soft delete)
+app.delete('/api/menu/:id', requireAdmin, async (req, res) => {
+  try {
+    const menuItem = await findMenuItemById(req.params.id);
+    if (!menuItem) return res.status(404).json({ success: false, error: 'Menu item not found' });
+
+    await saveMenuItem(menuItem, { available: false, deletedAt: new Date() });
+    await removeMenuImages(menuItem.images);
+    emitMenuUpdate('deleted', menuItem);
+    res.json({ success: true, data: menuItem });
+  } catch (error) {
+    console.error('Error deleting menu item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Places an order with menu prices: the shared path of POST /api/order and the chatbot.
+// `total` is what the guest agreed to pay; a different server total is rejected (409).
+// Returns `{ order, warnings }` once the order is stored and announced to the kitchen.
+const createOrder = async ({ tableNo, items, total, couponCode, allergens }) => {
+  const isConnected = mongoose.connection.readyState === 1;
+  let reservedPromotions = [];
+
+  try {
+    // Prices always come from the menu, never from the client
+    const menuItems = applySchedule(await findMenuItems(), menuClock());
+    const priced = applyPromotions(priceOrder(items, menuItems, undefined, await findCategories()), await findPromotions(), {
+      couponCode,
+      now: menuClock()
+    });
+    assertTotalMatches(total, priced.pricing);
+    const declaredAllergens = parseAllergens(allergens);
+
+    // Queue aware: depends on open tickets at the stations this order needs
+    const estimatedTime = await estimateNewOrder(tableNo, priced.items, new Date());
+
+    // Every order is a round of the table's open session
+    const session = await findOrOpenSession(Number(tableNo));
+    const round = (await findSessionOrders(session)).length + 1;
+
+    // Allergies declared with this order or earlier in the session are checked on every line
+    if (declaredAllergens) await declareAllergens(session, declaredAllergens);
+    const warnings = allergenWarnings(priced.items, session.declaredAllergens || []);
+
+    // Usage limits are counted before the order exists so two tables cannot share a one-time coupon
+    reservedPromotions = await reserveDiscounts(priced.discounts);
+
+    let order;
+    if (!isConnected) {
+      const orderId = Date.now().toString();
+      order = {
+        _id: orderId,
+        tableNo,
+        sessionId: session._id,
+        round,
+        items: priced.items.map((item, index) => ({ _id: orderId + '-' + index, ...item, status: 'queued' })),
+        total: priced.pricing.total,
+        pricing: priced.pricing,
+        estimatedTime,
+        status: 'pending',
+        statusHistory: [createHistoryEntry(null, 'pending', { actor: 'customer' })],
+        createdAt: new Date()
+      };
+      inMemoryOrders.push(order);
+    } else {
+      order = new Order({
+        tableNo,
+        sessionId: session._id,
+        round,
+        items: priced.items,
+        total: priced.pricing.total,
+        pricing: priced.pricing,
+        estimatedTime,
+        statusHistory: [createHistoryEntry(null, 'pending', { actor: 'customer' })]
+      });
+      await order.save();
+    }
+    await recordRedemptions(order, priced.discounts);
+    reservedPromotions = [];
+
+    emitNewOrder(order, warnings);
+    io.to('table_' + tableNo).emit('orderConfirmed', order);
+    await emitSessionUpdate(session);
+    await refreshEtas();
+
+    return { order, warnings };
+  } catch (error) {
+    await Promise.all(reservedPromotions.map(releasePromotion)).catch(() => {});
+    throw error;
+  }
+};
+
+// Create Order
+app.post('/api/order', async (req, res) => {
+  // Retried submissions carrying the same key get the original response back
+  const idempotencyKey = req.get('Idempotency-Key');
+  const store = idempotencyStore();
+  let reserved = false;
+
+  try {
+    const { tableNo, items, total } = req.body;
+
+    if (!tableNo || !items || !items.length || !total) {
+      return res.status(400).json({ success: false, error: 'Missing required fields' });
+    }
+
+    if (idempotencyKey) {
+      const replay = await beginIdempotentRequest(store, 'order', idempotencyKey, req.body);
+      if (replay) return res.set('Idempotent-Replayed', 'true').status(replay.statusCode).json(replay.response);
+      reserved = true;
+    }
+
+    const { order, warnings } = await createOrder({
+      tableNo,
+      items,
+      total,
+      couponCode: req.body.couponCode,
+      allergens: req.body.allergens
+    });
+    if (reserved) {
+      await completeIdempotentRequest(store, 'order', idempotencyKey, 201, {
+        success: true,
+        data: order,
+        allergenWarnings: warnings
+      });
+      reserved = false;
+    }
+
+    res.status(201).json({ success: true, data: order, allergenWarnings: warnings });
+  } catch (error) {
+    if (reserved) await releaseIdempotentRequest(store, 'order', idempotencyKey).catch(() => {});
+
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error creating order:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Order by ID
+app.get('/api/order/:id', async (req, res) => {
+  try {
+    const order = await findOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    const payment = await getOrderPaymentSummary(order);
+    const data = order.toObject ? order.toObject() : order;
+
+    res.json({ success: true, data: { ...data, ...payment } });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get All Orders
+app.get('/api/orders', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = status ? { status } : {};
+    const orders = await Order.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, count: orders.length, data: orders });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Order Status History
+app.get('/api/order/:id/history', async (req, res) => {
+  try {
+    const order = mongoose.connection.readyState !== 1
+      ? inMemoryOrders.find(o => o._id === req.params.id)
+      : await Order.findById(req.params.id);
+
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    res.json({
+      success: true,
+      data: { orderId: order._id, status: order.status, history: order.statusHistory }
+    });
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update Order Status
+app.put('/api/order/:id/status', async (req, res) => {
+  try {
+    const { status, actor, reason } = req.body;
+    // Only an authenticated manager (X-Admin-Key) may cancel orders the kitchen has started
+    const role = hasAdminKey(req) ? 'manager' : 'staff';
+    const isConnected = mongoose.connection.readyState === 1;
+
+    const order = isConnected
+      ? await Order.findById(req.params.id)
+      : inMemoryOrders.find(o => o._id === req.params.id);
+
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    const previousStatus = order.status;
+    const entry = transitionStatus(previousStatus, status, { actor, role, reason });
+
+    order.status = status;
+    order.updatedAt = entry.at;
+    order.statusHistory.push(entry);
+    // Order level changes carry the items along (e.g. whole order marked ready)
+    const completedBefore = completedStations(order.items);
+    const changedItems = cascadeItemStatuses(order.items, status, entry.at);
+    if (isConnected) await order.save();
+
+    emitOrderStatusChange(order, previousStatus, entry.at);
+    changedItems.forEach(({ item, from }) => emitItemStatusChange(order, item, from));
+    if (status !== 'cancelled') emitStationProgress(order, completedBefore);
+    await refreshEtas();
+
+    if (status === 'cancelled') {
+      await refundOrderPayments(order, reason);
+      await voidRedemptions(order);
+
+      // A cancelled round drops out of the table's running bill
+      const session = order.sessionId ? await findSession(order.sessionId) : null;
+      if (session) await emitSessionUpdate(session);
+    }
+
+    res.json({ success: true, data: order });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error updating order:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Review Order Item - `{ rating: 1-5, comment?, author? }` for a line of a served order, once per line
+app.post('/api/order/:id/items/:itemId/review', async (req, res) => {
+  try {
+    const fields = validateReview(req.body);
+
+    const order = await findOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    const item = order.items.find(i => String(i._id) === req.params.itemId);
+    if (!item) return res.status(404).json({ success: false, error: 'Order item not found' });
+
+    const [existing] = await findReviews({ orderId: String(order._id), orderItemId: String(item._id) });
+    assertReviewable(order, item, existing);
+
+    let review;
+    if (mongoose.connection.readyState !== 1) {
+      const now = new Date();
+      review = { _id: 'R' + Date.now() + '-' + inMemoryReviews.length, ...buildReview(order, item, fields), createdAt: now, updatedAt: now };
+      inMemoryReviews.push(review);
+    } else {
+      try {
+        review = await Review.create(buildReview(order, item, fields));
+      } catch (error) {
+        // Two submissions for the same line at once
+        if (error.code === 11000) throw new ApiError(409, `${item.name} has already been reviewed for this order`);
+        throw error;
+      }
+    }
+
+    const menuItem = await refreshMenuRating(review.menuItemId);
+    if (menuItem && !menuItem.deletedAt) emitMenuUpdate('rated', menuItem);
+
+    res.status(201).json({
+      success: true,
+      data: review,
+      rating: menuItem ? { rating: menuItem.rating, ratingCount: menuItem.ratingCount } : null
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error saving review:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update Order Item Status (kitchen, per line)
+app.put('/api/order/:id/items/:itemId/status', async (req, res) => {
+  try {
+    const { status, actor } = req.body;
+    const isConnected = mongoose.connection.readyState === 1;
+
+    const order = await findOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    const item = order.items.find(i => String(i._id) === req.params.itemId);
+    if (!item) return res.status(404).json({ success: false, error: 'Order item not found' });
+
+    assertKitchenCanUpdate(order.status);
+
+    const at = new Date();
+    const completedBefore = completedStations(order.items);
+    const previousItemStatus = advanceItem(item, status, at);
+
+    // Roll the order status forward to match its items
+    const previousStatus = order.status;
+    const entries = rollupOrderStatus(order.status, order.items, { actor: actor || 'kitchen', at });
+    entries.forEach(entry => order.statusHistory.push(entry));
+    if (entries.length) order.status = entries[entries.length - 1].to;
+    order.updatedAt = at;
+    if (isConnected) await order.save();
+
+    emitItemStatusChange(order, item, previousItemStatus);
+    emitStationProgress(order, completedBefore);
+    if (entries.length) emitOrderStatusChange(order, previousStatus, at);
+    await refreshEtas(at);
+
+    res.json({ success: true, data: order });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error updating order item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Kitchen Stations
+app.get('/api/stations', (req, res) => {
+  res.json({ success: true, data: { stations: kitchenConfig.stations, categoryStations: kitchenConfig.categoryStations } });
+});
+
+// Open Tickets of a Station
+app.get('/api/stations/:station/tickets', async (req, res) => {
+  try {
+    if (!isKnownStation(req.params.station)) return res.status(404).json({ success: false, error: 'Unknown station' });
+
+    res.json({ success: true, data: await findStationTickets(req.params.station) });
+  } catch (error) {
+    console.error('Error fetching station tickets:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Declare Table Allergies - `{ allergens }`, checked against every order of the session
+app.put('/api/table/:tableNo/allergens', async (req, res) => {
+  try {
+    const allergens = parseAllergens((req.body || {}).allergens);
+    if (!allergens) return res.status(400).json({ success: false, error: 'allergens are required', allowedAllergens: ALLERGENS });
+
+    const session = await findOrOpenSession(Number(req.params.tableNo));
+    session.declaredAllergens = allergens;
+    if (mongoose.connection.readyState === 1) await session.save();
+
+    await emitSessionUpdate(session);
+    res.json({ success: true, data: { sessionId: session._id, tableNo: session.tableNo, declaredAllergens: allergens } });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error declaring table allergens:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Table Session (running bill)
+app.get('/api/table/:tableNo/session', async (req, res) => {
+  try {
+    const session = await findOpenSession(Number(req.params.tableNo));
+    if (!session) return res.status(404).json({ success: false, error: 'No open session for this table' });
+
+    res.json({ success: true, data: await buildSessionBill(session) });
+  } catch (error) {
+    console.error('Error fetching table session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Close Table Session (bill settled)
+app.post('/api/table/:tableNo/session/close', async (req, res) => {
+  try {
+    const session = await findOpenSession(Number(req.params.tableNo));
+    if (!session) return res.status(404).json({ success: false, error: 'No open session for this table' });
+
+    session.status = 'closed';
+    session.closedAt = new Date();
+    if (mongoose.connection.readyState === 1) await session.save();
+
+    const bill = await buildSessionBill(session);
+    io.to('table_' + session.tableNo).emit('sessionUpdated', bill);
+
+    res.json({ success: true, data: bill });
+  } catch (error) {
+    console.error('Error closing table session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Split Bill
+app.post('/api/bills/split', async (req, res) => {
+  try {
+    const bill = await loadBill(req.body);
+    const split = splitBill(bill, req.body);
+    const target = bill.orderId ? { orderId: bill.orderId } : { sessionId: bill.sessionId };
+
+    let billSplit;
+    if (mongoose.connection.readyState !== 1) {
+      inMemoryBillSplits
+        .filter(s => s.status === 'active' && (s.orderId || s.sessionId) === (target.orderId || target.sessionId))
+        .forEach(s => { s.status = 'void'; });
+
+      const splitId = 'B' + Date.now();
+      billSplit = {
+        _id: splitId,
+        ...target,
+        tableNo: bill.tableNo,
+        ...split,
+        status: 'active',
+        subBills: split.subBills.map((subBill, index) => ({ _id: splitId + '-' + index, ...subBill, status: 'unpaid' })),
+        createdAt: new Date()
+      };
+      inMemoryBillSplits.push(billSplit);
+    } else {
+      // A new split replaces the previous one for the same bill
+      await BillSplit.updateMany({ ...target, status: 'active' }, { status: 'void' });
+      billSplit = await BillSplit.create({ ...target, tableNo: bill.tableNo, ...split });
+    }
+
+    io.to('table_' + bill.tableNo).emit('billSplit', billSplit);
+
+    res.status(201).json({ success: true, data: billSplit });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error splitting bill:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Bill Split
+app.get('/api/bills/split/:id', async (req, res) => {
+  try {
+    const billSplit = mongoose.connection.readyState !== 1
+      ? inMemoryBillSplits.find(s => s._id === req.params.id)
+      : await BillSplit.findById(req.params.id);
+
+    if (!billSplit) return res.status(404).json({ success: false, error: 'Bill split not found' });
+
+    res.json({ success: true, data: billSplit });
+  } catch (error) {
+    console.error('Error fetching bill split:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-const MenuItem = mongoose.model('MenuItem', menuItemSchema);
-
-let inMemoryOrders = [];
-
-const autoSeedMenu = async () => {
+// Create Payment (order, table session or sub-bill)
+app.post('/api/payments', async (req, res) => {
   try {
-    const count = await MenuItem.countDocuments();
-    if (count === 0) {
-      const menuData = require('./seedData');
-      await MenuItem.insertMany(menuData);
-      console.log('✅ Auto-seeded ' + menuData.length + ' menu items');
-    } else {
-      console.log('✅ Found ' + count + ' existing menu items');
+    const { method, amount, simulate } = req.body;
+    const target = await resolvePaymentTarget(req.body);
+
+    // Sub-bills are settled in one go
+    if (target.subBillId && amount !== undefined && Number(amount) !== target.subBillTotal) {
+      return res.status(400).json({ success: false, error: 'A sub-bill must be paid in full', amount: target.subBillTotal });
     }
-  } catch (error) {
-    console.log('⚠️  Auto-seed skipped:', error.message);
-  }
-};
 
-// Socket.IO
-io.on('connection', (socket) => {
-  console.log('✅ Client connected:', socket.id);
+    const fields = await processPayment({
+      method,
+      amount: target.subBillId ? target.subBillTotal : amount,
+      balance: target.balance,
+      simulate,
+      // Cash is only recorded by staff (X-Admin-Key); guests pay by card or UPI
+      staff: isAdmin(req)
+    });
 
-  socket.on('joinTable', (tableNo) => {
-    socket.join('table_' + tableNo);
-    console.log('✅ Socket joined table_' + tableNo);
-  });
+    const payment = await savePayment({
+      ...fields,
+      orderId: target.orderId,
+      sessionId: target.sessionId,
+      tableNo: target.tableNo,
+      splitId: target.splitId,
+      subBillId: target.subBillId
+    });
 
-  socket.on('joinChef', () => {
-    socket.join('chef_portal');
-    console.log('✅ Chef portal connected');
-  });
+    if (payment.status === 'succeeded') await onPaymentSettled(payment);
 
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+    if (payment.status === 'failed') {
+      return res.status(402).json({ success: false, error: payment.failureReason || 'Payment failed', data: payment });
+    }
 
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    message: 'Restaurant Backend API',
-    timestamp: new Date().toISOString()
-  });
+    res.status(201).json({ success: true, data: payment });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error creating payment:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// Get Menu
-app.get('/api/menu', async (req, res) => {
+// Get Order Payments
+app.get('/api/order/:id/payments', async (req, res) => {
   try {
-    const { category } = req.query;
+    const order = await findOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
 
+    const payments = await findPayments({ orderId: order._id });
+    const summary = await getOrderPaymentSummary(order);
+
+    res.json({ success: true, data: { orderId: order._id, summary, payments } });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Refund Payment (admin)
+app.post('/api/payments/:id/refund', requireAdmin, async (req, res) => {
+  try {
+    let payment;
     if (mongoose.connection.readyState !== 1) {
-      const menuData = require('./seedData');
-      let filteredData = category ? menuData.filter(item => item.category === category) : menuData;
-      return res.json({ success: true, count: filteredData.length, data: filteredData });
+      payment = inMemoryPayments.find(p => p._id === req.params.id);
+    } else if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+      payment = await Payment.findById(req.params.id);
     }
 
-    const filter = category ? { category, available: true } : { available: true };
-    const menuItems = await MenuItem.find(filter).sort({ popular: -1, rating: -1 });
+    if (!payment) return res.status(404).json({ success: false, error: 'Payment not found' });
 
-    res.json({ success: true, count: menuItems.length, data: menuItems });
+    const refund = await refundPayment(payment, { amount: req.body.amount, reason: req.body.reason });
+
+    res.status(201).json({ success: true, data: refund });
   } catch (error) {
-    console.error('Error fetching menu:', error);
-    try {
-      const menuData = require('./seedData');
-      res.json({ success: true, count: menuData.length, data: menuData });
-    } catch (fallbackError) {
-      res.status(500).json({ success: false, error: error.message });
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
     }
+    console.error('Error refunding payment:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Create Order
-app.post('/api/order', async (req, res) => {
+// Payment Provider Webhook - signed by the provider (see verifyWebhook)
+app.post('/api/payments/webhook/:provider', async (req, res) => {
   try {
-    const { tableNo, items, total } = req.body;
+    const provider = getProvider(req.params.provider);
+    verifyWebhook(provider, req.rawBody, req.headers);
+    const payment = await handlePaymentWebhook(provider.name, provider.parseWebhook(req.body));
 
-    if (!tableNo || !items || !items.length || !total) {
-      return res.status(400).json({ success: false, error: 'Missing required fields' });
+    if (!payment) return res.status(404).json({ success: false, error: 'Payment not found' });
+
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
     }
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const estimatedTime = Math.max(...items.map(item => item.prepTime || 15)) + 5;
+// List Promotions (admin)
+app.get('/api/promotions', requireAdmin, async (req, res) => {
+  try {
+    const promotions = await findPromotions();
+    res.json({ success: true, count: promotions.length, data: promotions });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (mongoose.connection.readyState !== 1) {
-      const order = {
-        _id: Date.now().toString(),
-        tableNo,
-        items,
-        total,
-        estimatedTime,
-        status: 'pending',
-        createdAt: new Date()
-      };
+// Create Promotion (admin)
+app.post('/api/promotions', requireAdmin, async (req, res) => {
+  try {
+    const fields = validatePromotion(req.body, { categories: await categorySlugs() });
+    assertUniqueCode(fields.code, await findPromotions());
 
-      inMemoryOrders.push(order);
-      io.to('chef_portal').emit('newOrder', order);
-      io.to('table_' + tableNo).emit('orderConfirmed', order);
+    let promotion;
+    if (mongoose.connection.readyState !== 1) {
+      promotion = { _id: Date.now().toString(), ...fields, redemptionCount: 0, status: 'active', createdAt: new Date() };
+      inMemoryPromotions.unshift(promotion);
+    } else {
+      promotion = await Promotion.create(fields);
+    }
 
-      return res.status(201).json({ success: true, data: order });
+    res.status(201).json({ success: true, data: promotion });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
     }
+    console.error('Error creating promotion:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const order = new Order({ tableNo, items, total, estimatedTime });
-    await order.save();
+// Retire Promotion (admin) - it stops applying; past redemptions stay
+app.post('/api/promotions/:id/retire', requireAdmin, async (req, res) => {
+  try {
+    let promotion;
+    if (mongoose.connection.readyState !== 1) {
+      promotion = inMemoryPromotions.find(p => p._id === req.params.id);
+    } else if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+      promotion = await Promotion.findById(req.params.id);
+    }
+    if (!promotion) return res.status(404).json({ success: false, error: 'Promotion not found' });
 
-    io.to('chef_portal').emit('newOrder', order);
-    io.to('table_' + tableNo).emit('orderConfirmed', order);
+    if (promotion.status !== 'retired') {
+      promotion.status = 'retired';
+      promotion.retiredAt = new Date();
+      if (mongoose.connection.readyState === 1) await promotion.save();
+    }
 
-    res.status(201).json({ success: true, data: order });
+    res.json({ success: true, data: promotion });
   } catch (error) {
-    console.error('Error creating order:', error);
+    console.error('Error retiring promotion:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get Order by ID
-app.get('/api/order/:id', async (req, res) => {
+// Promotion Redemptions Report (admin) - optional `from`/`to` dates and `promotionId`
+app.get('/api/promotions/redemptions', requireAdmin, async (req, res) => {
   try {
+    const { from, to, promotionId } = req.query;
+    const since = from ? new Date(from) : null;
+    const until = to ? new Date(to) : null;
+    if ((since && Number.isNaN(since.getTime())) || (until && Number.isNaN(until.getTime()))) {
+      return res.status(400).json({ success: false, error: 'from and to must be ISO dates' });
+    }
+
+    let redemptions;
     if (mongoose.connection.readyState !== 1) {
-      const order = inMemoryOrders.find(o => o._id === req.params.id);
-      if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
-      return res.json({ success: true, data: order });
+      redemptions = inMemoryRedemptions;
+    } else {
+      const filter = {};
+      if (promotionId) {
+        if (!mongoose.Types.ObjectId.isValid(promotionId)) return res.status(404).json({ success: false, error: 'Promotion not found' });
+        filter.promotionId = promotionId;
+      }
+      redemptions = await PromotionRedemption.find(filter).sort({ redeemedAt: 1 }).lean();
     }
 
-    const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+    const report = summarizeRedemptions(redemptions.filter(r =>
+      (!promotionId || String(r.promotionId) === promotionId) &&
+      (!since || r.redeemedAt >= since) &&
+      (!until || r.redeemedAt <= until)
+    ));
 
-    res.json({ success: true, data: order });
+    res.json({ success: true, data: { from: since, to: until, ...report } });
   } catch (error) {
-    console.error('Error fetching order:', error);
+    console.error('Error building redemption report:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get All Orders
-app.get('/api/orders', async (req, res) => {
+// Reviews for Moderation (admin) - optional `status` and `menuItemId`, newest first, paginated
+app.get('/api/reviews', requireAdmin, async (req, res) => {
   try {
-    const { status } = req.query;
-    const filter = status ? { status } : {};
-    const orders = await Order.find(filter).sort({ createdAt: -1 });
-    res.json({ success: true, count: orders.length, data: orders });
+    const { page, limit } = parseReviewPage(req.query);
+    const { status, menuItemId } = req.query;
+    if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid review status', allowedStatuses: REVIEW_STATUSES });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (menuItemId) filter.menuItemId = String(menuItemId);
+    const reviews = await findReviews(filter);
+
+    res.json({
+      success: true,
+      data: reviews.slice((page - 1) * limit, page * limit),
+      total: reviews.length,
+      page,
+      limit,
+      totalPages: Math.max(Math.ceil(reviews.length / limit), 1)
+    });
   } catch (error) {
-    console.error('Error fetching orders:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error fetching reviews:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Update Order Status
-app.put('/api/order/:id/status', async (req, res) => {
+// Moderate Review (admin) - `{ status: published | flagged | hidden, reason? }`; the item's rating follows
+app.put('/api/reviews/:id/moderation', requireAdmin, async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'served', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, error: 'Invalid status' });
-    }
+    const fields = validateModeration(req.body);
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status, updatedAt: Date.now() },
-      { new: true }
-    );
+    let review;
+    if (mongoose.connection.readyState !== 1) {
+      review = inMemoryReviews.find(r => r._id === req.params.id);
+    } else if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+      review = await Review.findById(req.params.id);
+    }
+    if (!review) return res.status(404).json({ success: false, error: 'Review not found' });
 
-    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+    Object.assign(review, fields, { moderatedAt: new Date() });
+    if (mongoose.connection.readyState === 1) await review.save();
 
-    io.to('table_' + order.tableNo).emit('orderStatusUpdate', {
-      orderId: order._id,
-      status: order.status
-    });
+    const menuItem = await refreshMenuRating(review.menuItemId);
+    if (menuItem && !menuItem.deletedAt) emitMenuUpdate('rated', menuItem);
 
-    io.to('chef_portal').emit('orderStatusUpdated', {
-      orderId: order._id,
-      status: order.status
+    res.json({
+      success: true,
+      data: review,
+      rating: menuItem ? { rating: menuItem.rating, ratingCount: menuItem.ratingCount } : null
     });
-
-    res.json({ success: true, data: order });
   } catch (error) {
-    console.error('Error updating order:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error moderating review:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -331,6 +2372,9 @@ app.post('/api/generate-qr-codes', async (req, res) => {
 // Serve QR Codes
 app.use('/api/qr-codes', express.static(path.join(__dirname, 'qr-codes')));
 
+// Uploaded menu images; names change with the content, so they can be cached for good
+app.use(imagesConfig.publicPath, express.static(imagesConfig.localDirectory, { maxAge: imagesConfig.cacheMaxAge, immutable: true }));
+
 // List QR Codes
 app.get('/api/qr-codes-list', (req, res) => {
   try {
@@ -372,24 +2416,125 @@ const restaurantContext = {
   specialties: ["Italian Pizza", "Indian Curries", "Desserts", "Fresh Beverages"]
 };
 
-const personalityPrompts = {
-  family: 'Answer like Technical way',
-  friends: 'Answer like Technical way',
-  couples: 'Answer like Technical way.',
-  lovies: 'Answer like Technical way',
-  single: 'Answer like Technical way'
+// An order as the chatbot sees it, with the live ETA of the kitchen queue
+const toChatOrder = order => ({
+  orderId: String(order._id),
+  tableNo: order.tableNo,
+  round: order.round,
+  status: order.status,
+  items: order.items.map(item => ({ name: item.name, quantity: item.quantity, status: item.status })),
+  total: order.total,
+  estimatedTime: order.estimatedTime,
+  estimatedReadyAt: (lastEtas.get(String(order._id)) || {}).estimatedReadyAt,
+  createdAt: order.createdAt
+});
+
+const findChatOrder = async (orderId) => {
+  if (mongoose.connection.readyState === 1 && !mongoose.Types.ObjectId.isValid(orderId)) return null;
+  const order = await findOrder(String(orderId));
+  return order && toChatOrder(order);
+};
+
+const findTableChatOrders = async (tableNo) => {
+  const session = await findOpenSession(Number(tableNo));
+  return session ? (await findSessionOrders(session)).map(toChatOrder) : [];
+};
+
+// Chatbot tools work on the same menu, carts and orders as the API (see services/chatbot)
+const chatTools = createToolRunner({
+  loadMenu: async () => applySchedule(await findMenuItems(), menuClock()),
+  loadCategories: findCategories,
+  loadPromotions: findPromotions,
+  placeOrder: async ({ tableNo, items, total }) => {
+    const { order, warnings } = await createOrder({ tableNo: Number(tableNo), items, total });
+    return {
+      orderId: String(order._id),
+      status: order.status,
+      total: order.total,
+      estimatedTime: order.estimatedTime,
+      allergenWarnings: warnings,
+      order
+    };
+  },
+  findTableOrders: findTableChatOrders,
+  callWaiter: async ({ tableNo, reason }) => {
+    io.to('chef_portal').emit('waiterCalled', { tableNo: Number(tableNo), reason, requestedAt: new Date() });
+  }
+});
+
+// Replies being streamed, so a closed chat can stop its model call
+const chatStreams = new ChatStreams();
+
+const CHAT_SOCKET_EVENTS = { token: 'chatToken', action: 'chatAction', done: 'chatDone', error: 'chatError' };
+
+// Streams a prepared chat: as Server-Sent Events on `res`, or to the guest's socket
+// as chatToken / chatAction / chatDone after answering 202 with the chat id
+const streamChatReply = async (res, { mode, socketId, request, context, personality }) => {
+  const chat = chatStreams.start({ socketId: mode === 'socket' ? socketId : null });
+  let send;
+  if (mode === 'sse') {
+    send = openEventStream(res);
+    res.on('close', () => chatStreams.cancel(chat.chatId));
+  } else {
+    res.status(202).json({ success: true, chatId: chat.chatId, stream: 'socket' });
+    send = (event, data) => io.to(socketId).emit(CHAT_SOCKET_EVENTS[event], { chatId: chat.chatId, ...data });
+  }
+
+  try {
+    const { reply: modelReply, toolCalls, tokensUsed, cancelled } = await streamToolConversation({
+      client: groq,
+      request,
+      runTool: chatTools.runTool,
+      context,
+      signal: chat.signal,
+      onToken: text => send('token', { text }),
+      onToolCall: call => send('action', { tool: call.name, result: call.result })
+    });
+
+    const reply = modelReply || (cancelled ? '' : "I'm here to help! What would you like to know?");
+
+    console.log(cancelled ? '⚠️  Streamed reply cancelled by the guest' : '✅ SUCCESS! Response streamed');
+    console.log('   Tools used:', toolCalls.map(call => call.name).join(', ') || 'none');
+    console.log('   Tokens used:', tokensUsed);
+    console.log('   Reply length:', reply.length, 'characters');
+    console.log('   Reply preview:', reply.substring(0, 80) + '...');
+    console.log('='.repeat(60) + '\n');
+
+    send('done', {
+      reply,
+      personality,
+      tokensUsed,
+      actions: toolCalls.map(call => ({ tool: call.name, result: call.result })),
+      cart: context.tableNo ? chatTools.cartOf(context.tableNo) : null,
+      cancelled
+    });
+  } catch (error) {
+    console.log('❌ CHATBOT STREAM ERROR');
+    console.log('   Error message:', error.message);
+    console.log('='.repeat(60) + '\n');
+    send('error', { error: 'Failed to generate response', details: error.message });
+  } finally {
+    chatStreams.finish(chat.chatId);
+    if (mode === 'sse') res.end();
+  }
 };
 
 // CHATBOT TEST ENDPOINT
-app.get('/api/chatbot-test', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Chatbot endpoint is available',
-    groqConfigured: !!groq,
-    groqApiKeyExists: !!process.env.GROQ_API_KEY,
-    groqApiKeyLength: process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.length : 0,
-    personalities: Object.keys(personalityPrompts)
-  });
+app.get('/api/chatbot-test', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Chatbot endpoint is available',
+      groqConfigured: !!groq,
+      groqApiKeyExists: !!process.env.GROQ_API_KEY,
+      groqApiKeyLength: process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.length : 0,
+      personalities: (await findPersonas()).map(describePersona),
+      tools: CHAT_TOOLS.map(tool => tool.function.name)
+    });
+  } catch (error) {
+    console.error('Error testing chatbot:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 // MAIN CHATBOT ENDPOINT
@@ -399,7 +2544,7 @@ app.post('/api/chatbot', async (req, res) => {
   console.log('='.repeat(60));
 
   try {
-    const { message, conversationHistory, tableNo, personality, orderId } = req.body;
+    const { message, conversationHistory, tableNo, personality, orderId, stream, socketId } = req.body;
 
     // Log request details
     console.log('📝 Request Details:');
@@ -407,6 +2552,7 @@ app.post('/api/chatbot', async (req, res) => {
     console.log('   Personality:', personality);
     console.log('   Message:', message);
     console.log('   Order ID:', orderId || 'none');
+    console.log('   Stream:', stream || 'no');
 
     // Validate inputs
     if (!message) {
@@ -425,6 +2571,23 @@ app.post('/api/chatbot', async (req, res) => {
       });
     }
 
+    // `stream: true` (or 'sse') answers with Server-Sent Events, 'socket' with events to `socketId`
+    let streamMode;
+    try {
+      streamMode = parseStreamMode(stream);
+    } catch (error) {
+      console.log('❌ ERROR: Invalid stream mode');
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+
+    if (streamMode === 'socket' && !io.sockets.sockets.has(socketId)) {
+      console.log('❌ ERROR: Socket is not connected');
+      return res.status(400).json({
+        success: false,
+        error: 'socketId of a connected socket is required to stream over Socket.IO'
+      });
+    }
+
     // Check if Groq is initialized
     if (!groq) {
       console.log('❌ ERROR: Groq not initialized');
@@ -438,45 +2601,75 @@ app.post('/api/chatbot', async (req, res) => {
       });
     }
 
-    // Get system prompt
-    const systemPrompt = personalityPrompts[personality] || personalityPrompts.family;
-    console.log('✅ System prompt selected:', personality);
+    // Get persona; an unknown one is refused rather than swapped for another
+    const personas = await findPersonas();
+    const persona = personas.find(candidate => candidate.slug === personality);
+    if (!persona) {
+      console.log('❌ ERROR: Unknown personality');
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown personality: ' + personality,
+        personalities: personas.map(candidate => candidate.slug)
+      });
+    }
+
+    const systemPrompt = personaPrompt(persona);
+    console.log('✅ System prompt selected:', persona.slug);
 
     // Build menu context
     let menuContext = '';
     try {
       let menuItems = [];
       
+      // The whole menu with dietary tags and allergens, so no dish is recommended blindly
       if (mongoose.connection.readyState === 1) {
-        menuItems = await MenuItem.find({ available: true }).limit(15);
+        menuItems = await MenuItem.find({ available: true, deletedAt: null }).lean();
         console.log('✅ Fetched', menuItems.length, 'menu items from database');
       } else {
-        const seedData = require('./seedData');
-        menuItems = seedData.slice(0, 15);
-        console.log('✅ Using', menuItems.length, 'menu items from seedData');
+        menuItems = inMemoryMenu.filter(item => !item.deletedAt && item.available !== false);
+        console.log('✅ Using', menuItems.length, 'menu items from the in-memory menu');
       }
+      menuItems = menuAt(menuItems, menuClock());
 
-      const menuList = menuItems.map(item => 
-        item.name + ' (₹' + item.price + ')'
-      ).join(', ');
+      const menuList = menuItems.map(describeForChat).join('\n');
+      menuContext = '\n\nMenu (dietary tags; allergens):\n' + menuList;
 
-      menuContext = '\n\nMenu: ' + menuList;
+      const session = tableNo ? await findOpenSession(Number(tableNo)) : null;
+      if (session && session.declaredAllergens && session.declaredAllergens.length) {
+        menuContext += '\n\nThis table declared allergies to: ' + session.declaredAllergens.join(', ');
+      }
     } catch (err) {
       console.log('⚠️  Could not fetch menu:', err.message);
       menuContext = '\n\nPopular Items: Margherita Pizza (₹349), Chicken Tikka (₹389), Lava Cake (₹199)';
     }
 
+    // Build order context, so status questions get live answers
+    let orderContext = '';
+    try {
+      const { text, orderStatus } = describeOrdersForChat({
+        orderId,
+        tableNo,
+        order: orderId ? await findChatOrder(orderId) : null,
+        tableOrders: tableNo ? await findTableChatOrders(tableNo) : []
+      });
+      orderContext = text;
+      console.log('✅ Order context:', orderStatus || 'no order referenced');
+    } catch (err) {
+      console.log('⚠️  Could not fetch orders:', err.message);
+    }
+
     // Build context
     let contextInfo = 
       'Restaurant: ' + restaurantContext.name + '\n' +
       'Hours: ' + restaurantContext.hours + '\n' +
       'Table: ' + tableNo + 
-      menuContext;
+      menuContext +
+      orderContext;
 
     // Prepare messages for Groq
     const messages = [{
       role: 'system',
-      content: systemPrompt + '\n\n' + contextInfo + '\n\nBe helpful and concise!'
+      content: systemPrompt + '\n\n' + contextInfo + '\n\n' + CHAT_ALLERGY_RULES + '\n\n' + CHAT_ORDER_RULES + '\n\n' + CHAT_TOOL_RULES + '\n\nBe helpful and concise!'
     }];
 
     // Add conversation history
@@ -489,21 +2682,33 @@ app.post('/api/chatbot', async (req, res) => {
     console.log('   Model: llama-3.1-70b-versatile');
     console.log('   Messages count:', messages.length);
 
-    // Call Groq API
-    const completion = await groq.chat.completions.create({
+    const request = {
       messages: messages,
       model: 'llama-3.1-70b-versatile',
-      temperature: 0.7,
-      max_tokens: 250,
+      temperature: persona.temperature,
+      max_tokens: persona.maxTokens,
       top_p: 1,
       stream: false
+    };
+
+    if (streamMode) {
+      return streamChatReply(res, { mode: streamMode, socketId, request, context: { tableNo, orderId }, personality });
+    }
+
+    // Call Groq API, running the tools it asks for
+    const { reply: modelReply, toolCalls, tokensUsed } = await runToolConversation({
+      client: groq,
+      request,
+      runTool: chatTools.runTool,
+      context: { tableNo, orderId }
     });
 
-    const reply = completion.choices[0]?.message?.content || 
+    const reply = modelReply || 
                   "I'm here to help! What would you like to know?";
 
     console.log('✅ SUCCESS! Response generated');
-    console.log('   Tokens used:', completion.usage?.total_tokens || 0);
+    console.log('   Tools used:', toolCalls.map(call => call.name).join(', ') || 'none');
+    console.log('   Tokens used:', tokensUsed);
     console.log('   Reply length:', reply.length, 'characters');
     console.log('   Reply preview:', reply.substring(0, 80) + '...');
     console.log('='.repeat(60) + '\n');
@@ -512,7 +2717,9 @@ app.post('/api/chatbot', async (req, res) => {
       success: true,
       reply: reply,
       personality: personality,
-      tokensUsed: completion.usage?.total_tokens || 0
+      tokensUsed: tokensUsed,
+      actions: toolCalls.map(call => ({ tool: call.name, result: call.result })),
+      cart: tableNo ? chatTools.cartOf(tableNo) : null
     });
 
   } catch (error) {
@@ -539,6 +2746,122 @@ app.post('/api/chatbot', async (req, res) => {
   }
 });
 
+// Confirm Chatbot Order - `{ tableNo, confirmationId }` from the chat's `cart.pendingOrder`;
+// the guest's explicit go-ahead, so the cart is placed like any other order
+app.post('/api/chatbot/confirm-order', async (req, res) => {
+  try {
+    const { tableNo, confirmationId } = req.body;
+    if (!tableNo || !confirmationId) {
+      return res.status(400).json({ success: false, error: 'tableNo and confirmationId are required' });
+    }
+
+    const placed = await chatTools.confirmOrder({ tableNo, confirmationId });
+    res.status(201).json({
+      success: true,
+      reply: 'Your order is in! It should be ready in about ' + placed.estimatedTime + ' minutes.',
+      data: placed.order,
+      allergenWarnings: placed.allergenWarnings
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error confirming chatbot order:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Personas - what chat clients show: name, tone, greeting and starter questions
+app.get('/api/personas', async (req, res) => {
+  try {
+    res.json({ success: true, data: (await findPersonas()).map(describePersona) });
+  } catch (error) {
+    console.error('Error fetching personas:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get Persona (admin) - the whole record, system prompt included
+app.get('/api/personas/:slug', requireAdmin, async (req, res) => {
+  try {
+    const persona = (await findPersonas()).find(candidate => candidate.slug === req.params.slug);
+    if (!persona) return res.status(404).json({ success: false, error: 'Persona not found' });
+    res.json({ success: true, data: persona });
+  } catch (error) {
+    console.error('Error fetching persona:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create Persona (admin) - `{ slug, name, systemPrompt, tone, greeting, temperature, maxTokens, starterQuestions }`
+app.post('/api/personas', requireAdmin, async (req, res) => {
+  try {
+    const fields = validatePersona(req.body);
+    assertPersonaIsNew(fields, await findPersonas());
+
+    let persona;
+    if (mongoose.connection.readyState !== 1) {
+      persona = { ...fields, createdAt: new Date() };
+      inMemoryPersonas.push(persona);
+    } else {
+      persona = await ChatPersona.create(fields);
+    }
+
+    res.status(201).json({ success: true, data: persona });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error creating persona:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update Persona (admin) - any field but the slug
+app.put('/api/personas/:slug', requireAdmin, async (req, res) => {
+  try {
+    const existing = (await findPersonas()).find(candidate => candidate.slug === req.params.slug);
+    if (!existing) return res.status(404).json({ success: false, error: 'Persona not found' });
+
+    const fields = validatePersona(req.body, { partial: true });
+    const persona = mongoose.connection.readyState !== 1
+      ? Object.assign(existing, fields)
+      : await ChatPersona.findOneAndUpdate({ slug: existing.slug }, { $set: fields }, { new: true });
+
+    res.json({ success: true, data: persona });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error updating persona:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete Persona (admin) - chats asking for it are refused afterwards; the last one stays
+app.delete('/api/personas/:slug', requireAdmin, async (req, res) => {
+  try {
+    const personas = await findPersonas();
+    const existing = personas.find(candidate => candidate.slug === req.params.slug);
+    if (!existing) return res.status(404).json({ success: false, error: 'Persona not found' });
+
+    assertPersonaDeletable(existing.slug, personas);
+    if (mongoose.connection.readyState !== 1) {
+      inMemoryPersonas = inMemoryPersonas.filter(persona => persona.slug !== existing.slug);
+    } else {
+      await ChatPersona.deleteOne({ slug: existing.slug });
+    }
+
+    res.json({ success: true, data: existing });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Error deleting persona:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Restaurant Info
 app.get('/api/restaurant-info', (req, res) => {
   res.json({
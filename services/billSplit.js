@@ -0,0 +1,189 @@
+const { ApiError } = require('./errors');
+const { toPaise, fromPaise } = require('./money');
+
+const SPLIT_MODES = ['equal', 'items', 'custom'];
+
+/**
+ * Splits `totalPaise` across `weights` so the parts always add up exactly
+ * (largest remainder method). Works for negative totals such as rounding.
+ */
+const allocate = (totalPaise, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) return weights.map(() => 0);
+
+  const sign = totalPaise < 0 ? -1 : 1;
+  const absolute = Math.abs(totalPaise);
+  const exact = weights.map(weight => absolute * weight / weightSum);
+  const parts = exact.map(Math.floor);
+
+  let remainder = absolute - parts.reduce((sum, part) => sum + part, 0);
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        parts[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return parts.map(part => part * sign);
+};
+
+const parsePositiveInteger = (value, message) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new ApiError(400, message);
+  return number;
+};
+
+// Per diner subtotal (in paise) and the item portions each diner pays for
+const assignItems = (items, diners, assignments) => {
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    throw new ApiError(400, 'assignments are required for an item split');
+  }
+
+  const subtotals = diners.map(() => 0);
+  const portions = diners.map(() => []);
+  const assigned = new Set();
+
+  assignments.forEach(({ item, diners: dinerIndexes, shares }) => {
+    const line = items[item];
+    if (!line) throw new ApiError(400, `Unknown bill item index: ${item}`);
+    if (assigned.has(item)) throw new ApiError(400, `Item ${line.name} is assigned twice`);
+    if (!Array.isArray(dinerIndexes) || dinerIndexes.length === 0) {
+      throw new ApiError(400, `Item ${line.name} must be assigned to at least one diner`);
+    }
+    dinerIndexes.forEach((index) => {
+      if (!diners[index]) throw new ApiError(400, `Unknown diner index: ${index}`);
+    });
+
+    const weights = shares || dinerIndexes.map(() => 1);
+    if (weights.length !== dinerIndexes.length || weights.some(share => !(share > 0))) {
+      throw new ApiError(400, `Invalid shares for ${line.name}`);
+    }
+
+    const amounts = allocate(toPaise(line.lineTotal), weights);
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+    dinerIndexes.forEach((dinerIndex, position) => {
+      subtotals[dinerIndex] += amounts[position];
+      portions[dinerIndex].push({
+        name: line.name,
+        quantity: Math.round(line.quantity * weights[position] / weightSum * 1000) / 1000,
+        amount: fromPaise(amounts[position])
+      });
+    });
+    assigned.add(item);
+  });
+
+  const unassigned = items.filter((line, index) => !assigned.has(index));
+  if (unassigned.length) {
+    throw new ApiError(400, 'Every item must be assigned', {
+      unassignedItems: unassigned.map(line => line.name)
+    });
+  }
+
+  const idle = diners.filter((diner, index) => portions[index].length === 0);
+  if (idle.length) {
+    throw new ApiError(400, 'Every diner must be assigned at least one item', { dinersWithoutItems: idle });
+  }
+
+  return { subtotals, portions };
+};
+
+/**
+ * Produces sub-bills for a bill (`{ items, pricing }` as built by the pricing service).
+ *
+ * - equal:  `{ parts }` or `{ diners }` - everyone pays the same
+ * - items:  `{ diners, assignments: [{ item, diners, shares? }] }` - shared items are split by shares
+ * - custom: `{ amounts, diners? }` - amounts must add up to the bill total
+ *
+ * Discounts, service charges and taxes are distributed in proportion to each
+ * share and the sub-bill totals always add up exactly to the bill total.
+ */
+const splitBill = (bill, request = {}) => {
+  const { mode } = request;
+  if (!SPLIT_MODES.includes(mode)) {
+    throw new ApiError(400, 'Invalid split mode', { allowedModes: SPLIT_MODES });
+  }
+
+  // Diners are the labels of the sub-bills
+  if (request.diners !== undefined && (!Array.isArray(request.diners) ||
+    !request.diners.every(diner => typeof diner === 'string' && diner.trim() && diner.length <= 100))) {
+    throw new ApiError(400, 'diners must be a list of names of at most 100 characters');
+  }
+
+  const { pricing } = bill;
+  const totalPaise = toPaise(pricing.total);
+  let diners;
+  let weights;
+  let portions = null;
+  let requestedTotals = null;
+
+  if (mode === 'equal') {
+    const parts = request.diners ? request.diners.length : parsePositiveInteger(request.parts, 'parts must be a positive integer');
+    diners = request.diners || Array.from({ length: parts }, (value, index) => `Guest ${index + 1}`);
+    weights = diners.map(() => 1);
+  } else if (mode === 'items') {
+    diners = request.diners;
+    if (!Array.isArray(diners) || diners.length === 0) throw new ApiError(400, 'diners are required for an item split');
+    const assignment = assignItems(bill.items, diners, request.assignments);
+    weights = assignment.subtotals;
+    portions = assignment.portions;
+  } else {
+    if (!Array.isArray(request.amounts) || request.amounts.length === 0) {
+      throw new ApiError(400, 'amounts are required for a custom split');
+    }
+    requestedTotals = request.amounts.map(toPaise);
+    if (requestedTotals.some(amount => !(amount > 0))) throw new ApiError(400, 'Every amount must be positive');
+
+    const requestedSum = requestedTotals.reduce((sum, amount) => sum + amount, 0);
+    if (requestedSum !== totalPaise) {
+      throw new ApiError(400, 'Split amounts must add up to the bill total', {
+        total: pricing.total,
+        submittedTotal: fromPaise(requestedSum)
+      });
+    }
+    diners = request.diners || requestedTotals.map((amount, index) => `Guest ${index + 1}`);
+    if (diners.length !== requestedTotals.length) throw new ApiError(400, 'diners and amounts must have the same length');
+    weights = requestedTotals;
+  }
+
+  if (diners.length < 2) throw new ApiError(400, 'A split needs at least two diners');
+
+  // Item splits already know each diner's exact subtotal
+  const subtotals = mode === 'items' ? weights : allocate(toPaise(pricing.subtotal), weights);
+  const discounts = (pricing.discounts || []).map(discount => allocate(toPaise(discount.amount), weights));
+  const charges = pricing.charges.map(charge => allocate(toPaise(charge.amount), weights));
+  const taxes = pricing.taxes.map(tax => allocate(toPaise(tax.amount), weights));
+  // Totals are allocated as a whole; per-line drift is absorbed in rounding
+  const totals = requestedTotals || allocate(totalPaise, weights);
+
+  const subBills = diners.map((label, index) => {
+    const discountPaise = discounts.reduce((sum, parts) => sum + parts[index], 0);
+    const chargePaise = charges.reduce((sum, parts) => sum + parts[index], 0);
+    const taxPaise = taxes.reduce((sum, parts) => sum + parts[index], 0);
+    const total = totals[index];
+    const roundingPaise = total - subtotals[index] + discountPaise - chargePaise - taxPaise;
+
+    return {
+      label: String(label),
+      items: portions ? portions[index] : [],
+      subtotal: fromPaise(subtotals[index]),
+      discounts: (pricing.discounts || []).map((discount, discountIndex) => ({
+        promotionId: discount.promotionId,
+        name: discount.name,
+        code: discount.code,
+        amount: fromPaise(discounts[discountIndex][index])
+      })),
+      charges: pricing.charges.map((charge, chargeIndex) => ({ ...charge, amount: fromPaise(charges[chargeIndex][index]) })),
+      taxes: pricing.taxes.map((tax, taxIndex) => ({ ...tax, amount: fromPaise(taxes[taxIndex][index]) })),
+      rounding: fromPaise(roundingPaise),
+      total: fromPaise(total)
+    };
+  });
+
+  return { mode, total: pricing.total, subBills };
+};
+
+module.exports = { SPLIT_MODES, allocate, splitBill };
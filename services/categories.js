@@ -0,0 +1,178 @@
+const { ApiError } = require('./errors');
+
+// Categories every new installation starts with; menu items refer to a category by `slug`
+const DEFAULT_CATEGORIES = [
+  { slug: 'appetizer', name: 'Appetizers', icon: '🥗', sortOrder: 10, visible: true, parent: null },
+  { slug: 'main', name: 'Main Course', icon: '🍛', sortOrder: 20, visible: true, parent: null },
+  { slug: 'dessert', name: 'Desserts', icon: '🍰', sortOrder: 30, visible: true, parent: null },
+  { slug: 'beverage', name: 'Beverages', icon: '🥤', sortOrder: 40, visible: true, parent: null }
+];
+
+const SLUG_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+// Editable fields and the check each value must pass (`slug` only on create)
+const FIELD_RULES = {
+  slug: { check: value => typeof value === 'string' && SLUG_PATTERN.test(value), message: 'must be 2-40 lowercase letters, digits or _ starting with a letter' },
+  name: { check: value => isText(value, 60), message: 'must be a non-empty string of at most 60 characters' },
+  icon: { check: value => value === null || (typeof value === 'string' && value.length <= 200), message: 'must be an emoji, a URL or null' },
+  sortOrder: { check: value => Number.isInteger(value) && value >= 0 && value <= 100000, message: 'must be a whole number between 0 and 100000' },
+  visible: { check: value => typeof value === 'boolean', message: 'must be true or false' },
+  parent: { check: value => value === null || (typeof value === 'string' && SLUG_PATTERN.test(value)), message: 'must be a category slug or null' }
+};
+
+/**
+ * Validates a category body for create (`partial: false`) or update (`partial: true`).
+ * The slug is what menu items refer to, so it cannot be changed afterwards.
+ * Returns the known fields with defaults filled in on create.
+ * Throws a 400 ApiError listing every invalid, unknown or missing field.
+ */
+const validateCategory = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Category must be an object');
+  }
+
+  const errors = [];
+  const fields = {};
+
+  Object.keys(body).forEach((field) => {
+    const rule = FIELD_RULES[field];
+    if (!rule) {
+      errors.push({ field, message: 'is not a category field' });
+    } else if (partial && field === 'slug') {
+      errors.push({ field, message: 'cannot be changed' });
+    } else if (!rule.check(body[field])) {
+      errors.push({ field, message: rule.message });
+    } else {
+      fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  });
+
+  if (!partial) {
+    ['slug', 'name']
+      .filter(field => body[field] === undefined)
+      .forEach(field => errors.push({ field, message: 'is required' }));
+  }
+
+  if (errors.length) throw new ApiError(400, 'Invalid category', { errors });
+  if (partial && Object.keys(fields).length === 0) throw new ApiError(400, 'No category fields to update');
+
+  return partial ? fields : { icon: null, sortOrder: 0, visible: true, parent: null, ...fields };
+};
+
+const findCategory = (categories, slug) => categories.find(category => category.slug === slug);
+
+// The chain of parents above a category, nearest first
+const ancestorsOf = (categories, slug) => {
+  const ancestors = [];
+  let current = findCategory(categories, slug);
+  while (current && current.parent && !ancestors.includes(current.parent)) {
+    ancestors.push(current.parent);
+    current = findCategory(categories, current.parent);
+  }
+  return ancestors;
+};
+
+/**
+ * Checks a new or changed category against the others: unique slug (409),
+ * an existing parent, and no category nested under itself (400).
+ */
+const assertCategoryFits = (category, categories, { existing = false } = {}) => {
+  if (!existing && findCategory(categories, category.slug)) {
+    throw new ApiError(409, `Category ${category.slug} already exists`);
+  }
+  if (!category.parent) return;
+
+  if (!findCategory(categories, category.parent)) {
+    throw new ApiError(400, `Unknown parent category: ${category.parent}`);
+  }
+  if (category.parent === category.slug || ancestorsOf(categories, category.parent).includes(category.slug)) {
+    throw new ApiError(400, `${category.slug} cannot be nested under itself`);
+  }
+};
+
+// A category can only go once no menu item or other category refers to it
+const assertDeletable = (slug, categories, menuItems) => {
+  const children = categories.filter(category => category.parent === slug);
+  if (children.length) {
+    throw new ApiError(409, `Category ${slug} still has subcategories`, { subcategories: children.map(category => category.slug) });
+  }
+  const items = menuItems.filter(item => item.category === slug);
+  if (items.length) {
+    throw new ApiError(409, `Category ${slug} still has menu items`, { menuItems: items.map(item => item.name) });
+  }
+};
+
+const byDisplayOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Categories guests may see: visible, and under visible parents only
+const visibleCategories = categories => categories.filter(category =>
+  category.visible !== false &&
+  ancestorsOf(categories, category.slug).every(slug => (findCategory(categories, slug) || {}).visible !== false)
+);
+
+// Items guests may see: none from hidden categories
+const listedItems = (items, categories) => {
+  const visible = new Set(visibleCategories(categories).map(category => category.slug));
+  return items.filter(item => visible.has(item.category) || !findCategory(categories, item.category));
+};
+
+// The given categories plus everything nested below them
+const withSubcategories = (slugs, categories) => Array.from(new Set(slugs.concat(
+  categories
+    .filter(category => ancestorsOf(categories, category.slug).some(slug => slugs.includes(slug)))
+    .map(category => category.slug)
+)));
+
+/**
+ * Nests categories under their parents in display order (`sortOrder`, then name):
+ * `[{ slug, name, icon, sortOrder, visible, parent, children: [...] }]`.
+ */
+const buildCategoryTree = (categories) => {
+  const toNode = category => ({
+    slug: category.slug,
+    name: category.name,
+    icon: category.icon || null,
+    sortOrder: category.sortOrder,
+    visible: category.visible !== false,
+    parent: category.parent || null,
+    children: categories.filter(child => child.parent === category.slug).sort(byDisplayOrder).map(toNode)
+  });
+
+  return categories
+    .filter(category => !category.parent || !findCategory(categories, category.parent))
+    .sort(byDisplayOrder)
+    .map(toNode);
+};
+
+/**
+ * Groups menu items by category in display order, nested like the categories:
+ * `[{ slug, name, icon, items, children }]`. Items keep the order they came in;
+ * empty groups are left out and items of unknown categories end up in "Other".
+ */
+const groupMenu = (items, categories) => {
+  const toGroup = (node) => {
+    const children = node.children.map(toGroup).filter(Boolean);
+    const groupItems = items.filter(item => item.category === node.slug);
+    if (!groupItems.length && !children.length) return null;
+    return { slug: node.slug, name: node.name, icon: node.icon, items: groupItems, children };
+  };
+
+  const groups = buildCategoryTree(categories).map(toGroup).filter(Boolean);
+  const other = items.filter(item => !findCategory(categories, item.category));
+  if (other.length) groups.push({ slug: 'other', name: 'Other', icon: null, items: other, children: [] });
+  return groups;
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  validateCategory,
+  assertCategoryFits,
+  assertDeletable,
+  visibleCategories,
+  listedItems,
+  withSubcategories,
+  buildCategoryTree,
+  groupMenu
+};
@@ -0,0 +1,85 @@
+const { ApiError } = require('../errors');
+
+// Cart lines use the item format of POST /api/order: `{ name, quantity, modifiers?, notes?, components? }`
+const lineKey = line => JSON.stringify([
+  String(line.name).trim().toLowerCase(),
+  line.modifiers || [],
+  line.notes || '',
+  line.components || []
+]);
+
+// Adds a line, or raises the quantity of the same item with the same choices
+const addCartLine = (lines, line) => {
+  const quantity = line.quantity === undefined ? 1 : line.quantity;
+  const existing = lines.find(l => lineKey(l) === lineKey(line));
+  if (existing) {
+    return lines.map(l => (l === existing ? { ...l, quantity: l.quantity + quantity } : l));
+  }
+  return lines.concat({ ...line, quantity });
+};
+
+/**
+ * Takes `quantity` of an item out of the cart, or all of it when no quantity is given.
+ * Throws a 400 ApiError when the item is not in the cart.
+ */
+const removeCartLine = (lines, { name, quantity }) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!lines.some(line => line.name.trim().toLowerCase() === wanted)) {
+    throw new ApiError(400, `${name} is not in the cart`, { cart: lines.map(line => line.name) });
+  }
+  if (quantity !== undefined && !(Number.isInteger(quantity) && quantity > 0)) {
+    throw new ApiError(400, 'quantity must be a whole number of at least 1');
+  }
+
+  let remaining = quantity === undefined ? Infinity : quantity;
+  return lines
+    .map((line) => {
+      if (line.name.trim().toLowerCase() !== wanted || remaining === 0) return line;
+      const removed = Math.min(line.quantity, remaining);
+      remaining -= removed;
+      return { ...line, quantity: line.quantity - removed };
+    })
+    .filter(line => line.quantity > 0);
+};
+
+/**
+ * Chat carts by table, kept in memory: `{ tableNo, lines, version, pending, updatedAt }`.
+ * `version` changes with every edit so a confirmation only places the cart the
+ * guest saw; carts idle for longer than `ttlMs` start over empty.
+ */
+class CartStore {
+  constructor({ ttlMs }) {
+    this.ttlMs = ttlMs;
+    this.carts = new Map();
+  }
+
+  get(tableNo, now = new Date()) {
+    const cart = this.carts.get(String(tableNo));
+    if (cart && now - cart.updatedAt < this.ttlMs) return cart;
+    return { tableNo, lines: [], version: 0, pending: null, updatedAt: now };
+  }
+
+  // Stores changed lines; any order summary awaiting confirmation is dropped
+  update(tableNo, lines, now = new Date()) {
+    const cart = this.get(tableNo, now);
+    const next = { ...cart, lines, version: cart.version + 1, pending: null, updatedAt: now };
+    this.carts.set(String(tableNo), next);
+    return next;
+  }
+
+  setPending(tableNo, pending, now = new Date()) {
+    const next = { ...this.get(tableNo, now), pending, updatedAt: now };
+    this.carts.set(String(tableNo), next);
+    return next;
+  }
+
+  clear(tableNo) {
+    this.carts.delete(String(tableNo));
+  }
+}
+
+module.exports = {
+  addCartLine,
+  removeCartLine,
+  CartStore
+};
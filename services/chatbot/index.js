@@ -0,0 +1,66 @@
+const chatbotConfig = require('../../config/chatbot');
+const { CHAT_TOOLS, CHAT_TOOL_RULES, createToolRunner } = require('./tools');
+const { CHAT_ORDER_RULES, describeOrdersForChat } = require('./orderContext');
+const {
+  DEFAULT_PERSONAS,
+  validatePersona,
+  assertPersonaIsNew,
+  assertPersonaDeletable,
+  describePersona,
+  personaPrompt
+} = require('./personas');
+const { STREAM_MODES, parseStreamMode, streamToolConversation, ChatStreams, openEventStream } = require('./streaming');
+
+/**
+ * Answers a conversation, running the tools the model asks for in between.
+ * `request` holds the chat completion parameters (model, messages, ...).
+ * After `maxToolRounds` model calls the last one has to answer without tools.
+ * Returns `{ reply, toolCalls: [{ name, arguments, result }], tokensUsed }`.
+ */
+const runToolConversation = async ({ client, request, runTool, context, maxToolRounds = chatbotConfig.maxToolRounds }) => {
+  const messages = request.messages.slice();
+  const toolCalls = [];
+  let tokensUsed = 0;
+
+  for (let round = 1; ; round += 1) {
+    const completion = await client.chat.completions.create({
+      ...request,
+      messages,
+      tools: CHAT_TOOLS,
+      tool_choice: round < maxToolRounds ? 'auto' : 'none'
+    });
+    tokensUsed += (completion.usage && completion.usage.total_tokens) || 0;
+
+    const message = (completion.choices[0] && completion.choices[0].message) || {};
+    if (!message.tool_calls || !message.tool_calls.length || round >= maxToolRounds) {
+      return { reply: message.content, toolCalls, tokensUsed };
+    }
+
+    messages.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+    for (const call of message.tool_calls) {
+      const result = await runTool(call.function.name, call.function.arguments, context);
+      toolCalls.push({ name: call.function.name, arguments: call.function.arguments, result });
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+};
+
+module.exports = {
+  CHAT_TOOLS,
+  CHAT_TOOL_RULES,
+  CHAT_ORDER_RULES,
+  createToolRunner,
+  runToolConversation,
+  describeOrdersForChat,
+  DEFAULT_PERSONAS,
+  validatePersona,
+  assertPersonaIsNew,
+  assertPersonaDeletable,
+  describePersona,
+  personaPrompt,
+  STREAM_MODES,
+  parseStreamMode,
+  streamToolConversation,
+  ChatStreams,
+  openEventStream
+};
@@ -0,0 +1,77 @@
+const MINUTE = 60 * 1000;
+
+// Orders the kitchen is done with; the table's other orders are only listed while open
+const CLOSED_STATUSES = ['served', 'cancelled'];
+const DONE_STATUSES = ['ready', 'served', 'cancelled'];
+
+const CHAT_ORDER_RULES = `Order status rules:
+- Answer "where is my food?" and similar questions only from the Orders section above or check_order_status; never guess a status or a time.
+- Give the remaining wait, not the original estimate, and say so plainly when an order is running late.
+- If the guest's order could not be found or belongs to another table, say you cannot see it and offer to call a waiter; never describe another table's order.`;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MINUTE);
+
+// When an order should be ready: the live queue estimate, else its estimate at ordering time
+const readyAtOf = order => (order.estimatedReadyAt
+  ? new Date(order.estimatedReadyAt)
+  : new Date(new Date(order.createdAt).getTime() + (order.estimatedTime || 0) * MINUTE));
+
+const describeOrder = (order, now) => {
+  const parts = [order.status.replace('_', ' '), `placed ${Math.max(minutesBetween(order.createdAt, now), 0)} min ago`];
+
+  if (!DONE_STATUSES.includes(order.status)) {
+    const remaining = minutesBetween(now, readyAtOf(order));
+    parts.push(remaining > 0 ? `ready in about ${remaining} min` : `running ${-remaining} min late`);
+  } else if (order.status === 'ready') {
+    parts.push('waiting to be served');
+  }
+
+  const items = order.items
+    .map(item => `  - ${item.quantity}x ${item.name}${item.status ? ' (' + item.status + ')' : ''}`)
+    .join('\n');
+  return `Order ${order.orderId}${order.round ? ' (round ' + order.round + ')' : ''}: ${parts.join(', ')}\n${items}`;
+};
+
+/**
+ * Describes the orders a chat is about for the system prompt, all times relative to `now`.
+ * `order` is the order the guest's `orderId` refers to (null when it does not exist) and
+ * `tableOrders` the orders of the table's open session, both as
+ * `{ orderId, tableNo, round, status, items: [{ name, quantity, status }], estimatedTime, estimatedReadyAt, createdAt }`.
+ * An order of another table is never described, and the guest's `orderId` is
+ * only compared, never copied into the prompt.
+ * Returns `{ text, orderStatus }`, `orderStatus` being `found`, `not_found`,
+ * `other_table` or null when no order was referenced.
+ */
+const describeOrdersForChat = ({ orderId, tableNo, order, tableOrders = [], now = new Date() }) => {
+  const lines = [];
+  let orderStatus = null;
+
+  if (orderId) {
+    if (!order) {
+      orderStatus = 'not_found';
+      lines.push('The order the guest is asking about could not be found.');
+    } else if (tableNo && Number(order.tableNo) !== Number(tableNo)) {
+      orderStatus = 'other_table';
+      lines.push('The order the guest is asking about is not an order of this table.');
+    } else {
+      orderStatus = 'found';
+      lines.push("The guest's order:\n" + describeOrder(order, now));
+    }
+  }
+
+  const others = tableOrders.filter(other =>
+    !CLOSED_STATUSES.includes(other.status) &&
+    !(orderStatus === 'found' && String(other.orderId) === String(order.orderId))
+  );
+  if (others.length) {
+    lines.push((orderStatus === 'found' ? "The table's other open orders:\n" : "The table's open orders:\n") +
+      others.map(other => describeOrder(other, now)).join('\n'));
+  }
+
+  return { text: lines.length ? '\n\nOrders:\n' + lines.join('\n') : '', orderStatus };
+};
+
+module.exports = {
+  CHAT_ORDER_RULES,
+  describeOrdersForChat
+};
@@ -0,0 +1,153 @@
+const { ApiError } = require('../errors');
+
+// Personas every new installation starts with; the chat UI sends one as `personality`
+const DEFAULT_PERSONAS = [
+  {
+    slug: 'family',
+    name: 'Family',
+    systemPrompt: 'You are a warm, patient host helping a family order. Point out kid-friendly and mild dishes, sharing platters and portion sizes, and keep suggestions simple.',
+    tone: 'warm and reassuring',
+    greeting: 'Welcome! Ordering for the whole family? I can help you find something everyone will enjoy.',
+    temperature: 0.6,
+    maxTokens: 250,
+    starterQuestions: ['What do kids usually like here?', 'Which dishes are not spicy?', 'What is good for sharing?']
+  },
+  {
+    slug: 'friends',
+    name: 'Friends',
+    systemPrompt: 'You are an upbeat host for a group of friends. Suggest sharing plates, crowd favourites and drinks, and help the group split choices between everyone.',
+    tone: 'casual and lively',
+    greeting: 'Hey! Out with friends? Let me line up some crowd favourites for the table.',
+    temperature: 0.8,
+    maxTokens: 250,
+    starterQuestions: ['What are your most popular dishes?', 'Any good starters to share?', 'Is it happy hour right now?']
+  },
+  {
+    slug: 'couples',
+    name: 'Couples',
+    systemPrompt: 'You are an attentive host for a couple. Recommend dishes that pair well, desserts to share and the chef\'s specials, and keep the conversation relaxed.',
+    tone: 'relaxed and attentive',
+    greeting: 'Good to see you both! Would you like a recommendation for two?',
+    temperature: 0.7,
+    maxTokens: 250,
+    starterQuestions: ['What would you recommend for two?', 'What are the chef\'s specials?', 'Which dessert should we share?']
+  },
+  {
+    slug: 'lovies',
+    name: 'Date Night',
+    systemPrompt: 'You are a gracious host for a date night. Suggest a starter, main and dessert that go together, mention the chef\'s specials and keep replies short and charming.',
+    tone: 'charming and discreet',
+    greeting: 'Welcome to your evening! Shall I suggest a menu for the two of you?',
+    temperature: 0.8,
+    maxTokens: 250,
+    starterQuestions: ['Can you plan a three-course dinner for us?', 'What goes well with dessert?', 'Anything special tonight?']
+  },
+  {
+    slug: 'single',
+    name: 'Solo',
+    systemPrompt: 'You are a friendly, efficient host for a guest dining alone. Recommend single portions and quick dishes, and give straight answers without small talk.',
+    tone: 'friendly and to the point',
+    greeting: 'Hi! What are you in the mood for today?',
+    temperature: 0.6,
+    maxTokens: 200,
+    starterQuestions: ['What is quick to prepare?', 'What is a good single portion?', 'What do you recommend today?']
+  }
+];
+
+const SLUG_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+// Editable fields and the check each value must pass (`slug` only on create)
+const FIELD_RULES = {
+  slug: { check: value => typeof value === 'string' && SLUG_PATTERN.test(value), message: 'must be 2-40 lowercase letters, digits or _ starting with a letter' },
+  name: { check: value => isText(value, 60), message: 'must be a non-empty string of at most 60 characters' },
+  systemPrompt: { check: value => isText(value, 4000), message: 'must be a non-empty string of at most 4000 characters' },
+  tone: { check: value => value === null || isText(value, 120), message: 'must be a string of at most 120 characters or null' },
+  greeting: { check: value => value === null || isText(value, 300), message: 'must be a string of at most 300 characters or null' },
+  temperature: { check: value => typeof value === 'number' && value >= 0 && value <= 2, message: 'must be a number between 0 and 2' },
+  maxTokens: { check: value => Number.isInteger(value) && value >= 16 && value <= 2048, message: 'must be a whole number between 16 and 2048' },
+  starterQuestions: {
+    check: value => Array.isArray(value) && value.length <= 6 && value.every(question => isText(question, 120)),
+    message: 'must be a list of at most 6 questions of at most 120 characters'
+  }
+};
+
+const trimField = value => (typeof value === 'string' ? value.trim() : Array.isArray(value) ? value.map(trimField) : value);
+
+/**
+ * Validates a persona body for create (`partial: false`) or update (`partial: true`).
+ * The slug is what chat clients send as `personality`, so it cannot be changed afterwards.
+ * Returns the known fields with defaults filled in on create.
+ * Throws a 400 ApiError listing every invalid, unknown or missing field.
+ */
+const validatePersona = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Persona must be an object');
+  }
+
+  const errors = [];
+  const fields = {};
+
+  Object.keys(body).forEach((field) => {
+    const rule = FIELD_RULES[field];
+    if (!rule) {
+      errors.push({ field, message: 'is not a persona field' });
+    } else if (partial && field === 'slug') {
+      errors.push({ field, message: 'cannot be changed' });
+    } else if (!rule.check(body[field])) {
+      errors.push({ field, message: rule.message });
+    } else {
+      fields[field] = trimField(body[field]);
+    }
+  });
+
+  if (!partial) {
+    ['slug', 'name', 'systemPrompt']
+      .filter(field => body[field] === undefined)
+      .forEach(field => errors.push({ field, message: 'is required' }));
+  }
+
+  if (errors.length) throw new ApiError(400, 'Invalid persona', { errors });
+  if (partial && Object.keys(fields).length === 0) throw new ApiError(400, 'No persona fields to update');
+
+  return partial
+    ? fields
+    : { tone: null, greeting: null, temperature: 0.7, maxTokens: 250, starterQuestions: [], ...fields };
+};
+
+const assertPersonaIsNew = (persona, personas) => {
+  if (personas.some(other => other.slug === persona.slug)) {
+    throw new ApiError(409, `Persona ${persona.slug} already exists`);
+  }
+};
+
+// The chatbot always needs a persona to answer as
+const assertPersonaDeletable = (slug, personas) => {
+  if (personas.length === 1 && personas[0].slug === slug) {
+    throw new ApiError(409, 'The last persona cannot be deleted');
+  }
+};
+
+// What chat clients see of a persona; the system prompt stays on the server
+const describePersona = persona => ({
+  slug: persona.slug,
+  name: persona.name,
+  tone: persona.tone || null,
+  greeting: persona.greeting || null,
+  temperature: persona.temperature,
+  maxTokens: persona.maxTokens,
+  starterQuestions: persona.starterQuestions || []
+});
+
+// The persona part of the chatbot's system prompt
+const personaPrompt = persona => persona.systemPrompt + (persona.tone ? '\nTone: ' + persona.tone + '.' : '');
+
+module.exports = {
+  DEFAULT_PERSONAS,
+  validatePersona,
+  assertPersonaIsNew,
+  assertPersonaDeletable,
+  describePersona,
+  personaPrompt
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const chatbotConfig = require('../../config/chatbot');
+const { ApiError } = require('../errors');
+const { CHAT_TOOLS } = require('./tools');
+
+const STREAM_MODES = ['sse', 'socket'];
+
+// `stream` of a chat request: false, true / 'sse' for Server-Sent Events, or 'socket'
+const parseStreamMode = (value) => {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return 'sse';
+  if (!STREAM_MODES.includes(value)) throw new ApiError(400, 'Invalid stream mode', { streamModes: STREAM_MODES });
+  return value;
+};
+
+// Tool calls arrive in pieces; the pieces of one call share its index
+const mergeToolCallDeltas = (calls, deltas) => {
+  deltas.forEach((delta) => {
+    const call = calls[delta.index] || (calls[delta.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+    if (delta.id) call.id = delta.id;
+    if (delta.function && delta.function.name) call.function.name += delta.function.name;
+    if (delta.function && delta.function.arguments) call.function.arguments += delta.function.arguments;
+  });
+  return calls;
+};
+
+const usageOf = chunk => chunk.usage || (chunk.x_groq && chunk.x_groq.usage) || null;
+
+/**
+ * Streaming counterpart of runToolConversation: reply text is passed to `onToken`
+ * as it arrives and every tool call to `onToolCall` once it has run.
+ * Aborting `signal` stops the model mid-reply; the text so far is still returned.
+ * Returns `{ reply, toolCalls, tokensUsed, cancelled }`.
+ */
+const streamToolConversation = async ({
+  client,
+  request,
+  runTool,
+  context,
+  onToken = () => {},
+  onToolCall = () => {},
+  signal,
+  maxToolRounds = chatbotConfig.maxToolRounds
+}) => {
+  const messages = request.messages.slice();
+  const toolCalls = [];
+  let tokensUsed = 0;
+  let reply = '';
+
+  try {
+    for (let round = 1; ; round += 1) {
+      const stream = await client.chat.completions.create({
+        ...request,
+        messages,
+        stream: true,
+        tools: CHAT_TOOLS,
+        tool_choice: round < maxToolRounds ? 'auto' : 'none'
+      }, { signal });
+
+      let content = '';
+      let calls = [];
+      for await (const chunk of stream) {
+        const usage = usageOf(chunk);
+        if (usage) tokensUsed += usage.total_tokens || 0;
+
+        const delta = (chunk.choices[0] && chunk.choices[0].delta) || {};
+        if (delta.content) {
+          content += delta.content;
+          reply += delta.content;
+          onToken(delta.content);
+        }
+        if (delta.tool_calls) calls = mergeToolCallDeltas(calls, delta.tool_calls);
+      }
+      // An aborted stream just ends early
+      if (signal && signal.aborted) return { reply, toolCalls, tokensUsed, cancelled: true };
+
+      calls = calls.filter(Boolean);
+      if (!calls.length || round >= maxToolRounds) return { reply, toolCalls, tokensUsed, cancelled: false };
+
+      messages.push({ role: 'assistant', content: content || null, tool_calls: calls });
+      for (const call of calls) {
+        const result = await runTool(call.function.name, call.function.arguments, context);
+        const toolCall = { name: call.function.name, arguments: call.function.arguments, result };
+        toolCalls.push(toolCall);
+        onToolCall(toolCall);
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+      }
+    }
+  } catch (error) {
+    if (signal && signal.aborted) return { reply, toolCalls, tokensUsed, cancelled: true };
+    throw error;
+  }
+};
+
+/**
+ * Streamed chats that can still be cancelled, by chat id.
+ * Socket chats belong to the socket that asked for them: only it may cancel
+ * them, and they are cancelled when it disconnects.
+ */
+class ChatStreams {
+  constructor() {
+    this.chats = new Map();
+  }
+
+  start({ chatId = crypto.randomUUID(), socketId = null } = {}) {
+    const controller = new AbortController();
+    this.chats.set(chatId, { controller, socketId });
+    return { chatId, signal: controller.signal };
+  }
+
+  cancel(chatId, socketId) {
+    const chat = this.chats.get(chatId);
+    if (!chat || (socketId !== undefined && chat.socketId !== socketId)) return false;
+    chat.controller.abort();
+    return true;
+  }
+
+  cancelSocket(socketId) {
+    this.chats.forEach((chat, chatId) => {
+      if (chat.socketId === socketId) this.cancel(chatId);
+    });
+  }
+
+  finish(chatId) {
+    this.chats.delete(chatId);
+  }
+}
+
+// Writes Server-Sent Events (`event: token`, `data: {...}`) to an Express response
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (!res.writableEnded) res.write('event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n');
+  };
+};
+
+module.exports = {
+  STREAM_MODES,
+  parseStreamMode,
+  streamToolConversation,
+  ChatStreams,
+  openEventStream
+};
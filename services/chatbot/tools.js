@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const chatbotConfig = require('../../config/chatbot');
+const { ApiError } = require('../errors');
+const { priceOrder, findMenuItem } = require('../pricing');
+const { applyPromotions } = require('../promotions');
+const { parseMenuQuery, searchMenu } = require('../menuSearch');
+const { isCombo, withComboOptions } = require('../combos');
+const { ALLERGENS, DIETS, allergensOf } = require('../dietary');
+const { addCartLine, removeCartLine, CartStore } = require('./cart');
+
+const modifierChoice = {
+  type: 'array',
+  description: 'Chosen modifiers: [{ group: group id, options: [option ids] }]',
+  items: {
+    type: 'object',
+    properties: { group: { type: 'string' }, options: { type: 'array', items: { type: 'string' } } },
+    required: ['group', 'options']
+  }
+};
+
+// Tools the model may call, in the function calling format of the chat completions API
+const CHAT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_menu',
+      description: 'Find dishes on the menu, with their current prices, modifier options and combo choices.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Words to look for in names and descriptions' },
+          category: { type: 'string', description: 'Category slug, e.g. main or dessert' },
+          isVeg: { type: 'boolean' },
+          maxPrice: { type: 'number', description: 'Highest price in rupees' },
+          excludeAllergens: { type: 'array', items: { type: 'string', enum: ALLERGENS } },
+          diet: { type: 'array', items: { type: 'string', enum: DIETS } }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'add_to_cart',
+      description: "Add a dish to the table's cart. Fails with the reason when the dish or the choices are not valid.",
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Menu item name as returned by search_menu' },
+          quantity: { type: 'integer', minimum: 1 },
+          modifiers: modifierChoice,
+          notes: { type: 'string', description: 'Special instructions, e.g. "no onions"' },
+          components: {
+            type: 'array',
+            description: 'For combos, one choice per slot: [{ slot: slot id, name: menu item name, modifiers? }]',
+            items: {
+              type: 'object',
+              properties: { slot: { type: 'string' }, name: { type: 'string' }, modifiers: modifierChoice },
+              required: ['slot', 'name']
+            }
+          }
+        },
+        required: ['name']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'remove_from_cart',
+      description: "Take a dish out of the table's cart, all of it unless a quantity is given.",
+      parameters: {
+        type: 'object',
+        properties: { name: { type: 'string' }, quantity: { type: 'integer', minimum: 1 } },
+        required: ['name']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'show_cart',
+      description: "The table's cart with prices, discounts and total.",
+      parameters: { type: 'object', properties: {} }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'place_order',
+      description: 'Prepare the cart for ordering. This does NOT place the order: the guest must confirm the returned summary with the Confirm order button.',
+      parameters: { type: 'object', properties: {} }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'check_order_status',
+      description: "Status, items and estimated time of the table's orders.",
+      parameters: {
+        type: 'object',
+        properties: { orderId: { type: 'string', description: 'One order; all open orders of the table when left out' } }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'call_waiter',
+      description: 'Ask a member of staff to come to the table.',
+      parameters: {
+        type: 'object',
+        properties: { reason: { type: 'string', description: 'What the guest needs, e.g. "water" or "the bill"' } }
+      }
+    }
+  }
+];
+
+// Appended to the chatbot system prompt so the model uses the tools the way the restaurant expects
+const CHAT_TOOL_RULES =
+  'Ordering rules: use the tools for menu facts, carts and orders; never make up dishes, prices or order statuses. ' +
+  'Only add what the guest asked for. When the guest wants to order, call place_order and show the summary: ' +
+  'the order is only placed once the guest presses Confirm order, so never say it has been placed before that.';
+
+const toMenuResult = (item, menuItems, categories) => {
+  const allergens = allergensOf(item);
+  const result = {
+    name: item.name,
+    price: item.price,
+    category: item.category,
+    isVeg: Boolean(item.isVeg || item.is_veg),
+    allergens: allergens || 'unknown',
+    orderableNow: item.orderableNow !== false
+  };
+  if (item.orderableNow === false) result.unavailableReason = item.unavailableReason;
+  if (item.description) result.description = item.description;
+
+  const groups = item.modifierGroups || item.modifier_groups || [];
+  if (groups.length) result.modifierGroups = groups;
+  if (isCombo(item)) {
+    result.comboSlots = withComboOptions([item], menuItems, categories)[0].comboSlots
+      .map(slot => ({ id: slot.id, name: slot.name, options: slot.options.map(option => option.name) }));
+  }
+  return result;
+};
+
+const describeCart = (lines, priced) => {
+  if (!lines.length) return { items: [], total: 0 };
+  return {
+    items: priced.items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      lineTotal: item.lineTotal,
+      ...(item.modifierText ? { modifiers: item.modifierText } : {}),
+      ...(item.notes ? { notes: item.notes } : {}),
+      ...(item.combo ? { combo: item.combo.name } : {})
+    })),
+    subtotal: priced.pricing.subtotal,
+    discountTotal: priced.pricing.discountTotal,
+    total: priced.pricing.total
+  };
+};
+
+/**
+ * The server side of the chatbot tools. Each server passes its own data access:
+ * - loadMenu(): the scheduled menu, as POST /api/order prices it
+ * - loadCategories(): the managed categories combo slots are matched against
+ * - loadPromotions(): promotions for the cart preview
+ * - placeOrder({ tableNo, items, total }): places an order like POST /api/order and
+ *   returns `{ orderId, status, total, estimatedTime, allergenWarnings, order }`
+ * - findTableOrders(tableNo): `[{ orderId, status, items: [{ name, quantity, status }], total, estimatedTime, createdAt }]`
+ * - callWaiter({ tableNo, reason }): alerts the staff
+ *
+ * Returns `runTool(name, args, { tableNo, orderId })`, which answers the model
+ * with a JSON-able result (`{ error, ... }` for rejected requests),
+ * `confirmOrder({ tableNo, confirmationId })`, which only the guest can trigger,
+ * and `cartOf(tableNo)`.
+ */
+const createToolRunner = ({
+  loadMenu,
+  loadCategories,
+  loadPromotions,
+  placeOrder,
+  findTableOrders,
+  callWaiter,
+  config = chatbotConfig,
+  carts = new CartStore({ ttlMs: config.cartTtlMs }),
+  clock = () => new Date()
+}) => {
+  // Same checks and prices as POST /api/order; throws a 400 ApiError for anything it would reject
+  const priceCart = async (lines, menuItems) =>
+    applyPromotions(
+      priceOrder(lines, menuItems || await loadMenu(), undefined, await loadCategories()),
+      await loadPromotions(),
+      { now: clock() }
+    );
+
+  const tableOf = (context) => {
+    if (!context.tableNo) throw new ApiError(400, 'No table is known for this chat; ask the guest to scan the QR code on their table');
+    return context.tableNo;
+  };
+
+  const handlers = {
+    search_menu: async (args) => {
+      const criteria = parseMenuQuery({
+        q: args.query,
+        category: args.category,
+        isVeg: args.isVeg,
+        maxPrice: args.maxPrice,
+        excludeAllergens: args.excludeAllergens,
+        diet: args.diet,
+        page: 1,
+        limit: config.searchLimit
+      }, clock());
+      const menuItems = await loadMenu();
+      const categories = await loadCategories();
+      const { items, total } = searchMenu(menuItems, criteria);
+      return { total, items: items.map(item => toMenuResult(item, menuItems, categories)) };
+    },
+
+    add_to_cart: async (args, context) => {
+      const tableNo = tableOf(context);
+      const menuItems = await loadMenu();
+      const menuItem = findMenuItem({ name: args.name }, menuItems);
+      if (!menuItem) throw new ApiError(400, `${args.name} is not on the menu`);
+
+      const line = { name: menuItem.name, quantity: args.quantity === undefined ? 1 : args.quantity };
+      ['modifiers', 'notes', 'components'].forEach((field) => {
+        if (args[field] !== undefined) line[field] = args[field];
+      });
+
+      const lines = addCartLine(carts.get(tableNo, clock()).lines, line);
+      const priced = await priceCart(lines, menuItems);
+      carts.update(tableNo, lines, clock());
+      return { added: `${line.quantity} × ${menuItem.name}`, cart: describeCart(lines, priced) };
+    },
+
+    remove_from_cart: async (args, context) => {
+      const tableNo = tableOf(context);
+      const lines = removeCartLine(carts.get(tableNo, clock()).lines, args);
+      carts.update(tableNo, lines, clock());
+      return { removed: args.name, cart: describeCart(lines, lines.length ? await priceCart(lines) : null) };
+    },
+
+    show_cart: async (args, context) => {
+      const { lines } = carts.get(tableOf(context), clock());
+      return describeCart(lines, lines.length ? await priceCart(lines) : null);
+    },
+
+    place_order: async (args, context) => {
+      const tableNo = tableOf(context);
+      const cart = carts.get(tableNo, clock());
+      if (!cart.lines.length) throw new ApiError(400, 'The cart is empty');
+
+      const priced = await priceCart(cart.lines);
+      const pending = {
+        confirmationId: crypto.randomUUID(),
+        total: priced.pricing.total,
+        expiresAt: new Date(clock().getTime() + config.confirmationTtlMs)
+      };
+      carts.setPending(tableNo, pending, clock());
+      return {
+        status: 'awaiting_confirmation',
+        cart: describeCart(cart.lines, priced),
+        note: 'Not placed yet. Show this summary and ask the guest to press Confirm order.'
+      };
+    },
+
+    check_order_status: async (args, context) => {
+      const orders = await findTableOrders(tableOf(context));
+      const orderId = args.orderId || context.orderId;
+      if (!orderId) return { orders };
+
+      const order = orders.find(o => String(o.orderId) === String(orderId));
+      if (!order) throw new ApiError(404, `Order ${orderId} is not an open order of this table`);
+      return { orders: [order] };
+    },
+
+    call_waiter: async (args, context) => {
+      const tableNo = tableOf(context);
+      await callWaiter({ tableNo, reason: typeof args.reason === 'string' ? args.reason.slice(0, 200) : null });
+      return { status: 'waiter_called' };
+    }
+  };
+
+  const runTool = async (name, rawArgs, context = {}) => {
+    const handler = handlers[name];
+    if (!handler) return { error: `Unknown tool: ${name}` };
+
+    let args;
+    try {
+      args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : (rawArgs || {});
+    } catch (error) {
+      return { error: 'Tool arguments must be a JSON object' };
+    }
+
+    try {
+      return await handler(args || {}, context);
+    } catch (error) {
+      if (error instanceof ApiError) return { error: error.message, ...error.details };
+      throw error;
+    }
+  };
+
+  /**
+   * Places the order the guest confirmed. The summary must be the latest one for
+   * the table and not expired; the cart is emptied once the order is in.
+   * Throws 404 for unknown confirmations, 409 when the summary expired or the
+   * prices changed since, and whatever POST /api/order would reject.
+   */
+  const confirmOrder = async ({ tableNo, confirmationId }) => {
+    const cart = carts.get(tableNo, clock());
+    if (!cart.pending || cart.pending.confirmationId !== confirmationId) {
+      throw new ApiError(404, 'No order is waiting for this confirmation');
+    }
+
+    // Taken before placing so a double tap cannot order twice
+    const { pending } = cart;
+    carts.setPending(tableNo, null, clock());
+    if (pending.expiresAt < clock()) {
+      throw new ApiError(409, 'The order summary has expired; ask for it again');
+    }
+
+    const placed = await placeOrder({ tableNo, items: cart.lines, total: pending.total });
+    carts.clear(tableNo);
+    return placed;
+  };
+
+  // What the guest's screen shows next to the chat
+  const cartOf = (tableNo) => {
+    const { lines, pending } = carts.get(tableNo, clock());
+    return {
+      items: lines,
+      pendingOrder: pending ? { confirmationId: pending.confirmationId, total: pending.total, expiresAt: pending.expiresAt } : null
+    };
+  };
+
+  return { runTool, confirmOrder, cartOf };
+};
+
+module.exports = {
+  CHAT_TOOLS,
+  CHAT_TOOL_RULES,
+  createToolRunner
+};
@@ -0,0 +1,145 @@
+const { ApiError } = require('./errors');
+const { withSubcategories } = require('./categories');
+const { namesOf } = require('./translations');
+
+const ITEM_TYPES = ['item', 'combo'];
+
+// Combo fields come camelCased from Mongo/seed data and snake_cased from Postgres
+const isCombo = menuItem => (menuItem.type || menuItem.item_type) === 'combo';
+const comboSlotsOf = menuItem => menuItem.comboSlots || menuItem.combo_slots || [];
+
+const itemIdOf = (menuItem) => {
+  const id = menuItem._id || menuItem.id;
+  return id !== undefined && id !== null ? id.toString() : null;
+};
+
+/**
+ * Checks the slots of a combo definition:
+ * `[{ id, name, categories?, items? }]` where `items` are menu item names or ids.
+ * A slot accepts any item of its categories (or their subcategories) plus the listed items.
+ * Throws a 400 ApiError describing the first problem.
+ */
+const validateComboSlots = (slots, categories) => {
+  if (!Array.isArray(slots) || slots.length === 0) throw new ApiError(400, 'comboSlots must be a non-empty array');
+
+  const slotIds = new Set();
+  slots.forEach((slot) => {
+    if (!slot || !slot.id || !slot.name) throw new ApiError(400, 'Every combo slot needs an id and a name');
+    if (slotIds.has(slot.id)) throw new ApiError(400, `Duplicate combo slot: ${slot.id}`);
+    slotIds.add(slot.id);
+
+    const slotCategories = slot.categories || [];
+    const slotItems = slot.items || [];
+    if (!Array.isArray(slotCategories) || !slotCategories.every(category => categories.includes(category))) {
+      throw new ApiError(400, `Categories of ${slot.name} must be a list of: ${categories.join(', ')}`);
+    }
+    if (!Array.isArray(slotItems) || !slotItems.every(item => typeof item === 'string' && item.trim())) {
+      throw new ApiError(400, `Items of ${slot.name} must be a list of menu item names or ids`);
+    }
+    if (slotCategories.length === 0 && slotItems.length === 0) {
+      throw new ApiError(400, `Combo slot ${slot.name} needs categories or items`);
+    }
+  });
+
+  return slots;
+};
+
+// Whether a menu item may fill a slot; combos never nest.
+// `categories` are the managed category records the slot categories are nested in.
+const slotAccepts = (slot, menuItem, categories = []) => {
+  if (isCombo(menuItem)) return false;
+  if (withSubcategories(slot.categories || [], categories).includes(menuItem.category)) return true;
+
+  const id = itemIdOf(menuItem);
+  const name = menuItem.name.toLowerCase();
+  return (slot.items || []).some(item => item === id || item.toLowerCase() === name);
+};
+
+const isOrderable = menuItem => menuItem.available !== false && menuItem.orderableNow !== false;
+
+/**
+ * Adds the items that can currently fill each slot to the combos in `items`:
+ * `comboSlots[].options = [{ menuItemId, name, price }]`.
+ * `menuItems` is the whole (scheduled) menu the options are picked from.
+ */
+const withComboOptions = (items, menuItems, categories = []) => items.map((item) => {
+  if (!isCombo(item)) return item;
+
+  return {
+    ...item,
+    comboSlots: comboSlotsOf(item).map(slot => ({
+      ...(slot.toObject ? slot.toObject() : slot),
+      options: menuItems
+        .filter(menuItem => slotAccepts(slot, menuItem, categories) && isOrderable(menuItem))
+        .map(menuItem => ({ menuItemId: itemIdOf(menuItem), name: menuItem.name, price: menuItem.price }))
+    }))
+  };
+});
+
+const findChoice = (choice, menuItems) => {
+  const requestedId = choice.menuItemId || choice.id;
+  if (requestedId) {
+    const byId = menuItems.find(item => itemIdOf(item) === requestedId.toString());
+    if (byId) return byId;
+  }
+  if (choice.name) {
+    const name = String(choice.name).trim().toLowerCase();
+    return menuItems.find(item => namesOf(item).some(known => known.toLowerCase() === name));
+  }
+  return undefined;
+};
+
+/**
+ * Matches the components chosen for a combo line to its slots.
+ * `requested` is `[{ slot, name | menuItemId, modifiers?, notes? }]`, one per slot.
+ * Returns `[{ slot, menuItem, choice }]` in slot order.
+ * Throws a 400 ApiError for missing, unknown or repeated slots and for items
+ * that do not fit their slot or cannot be ordered right now.
+ */
+const resolveComboChoices = (combo, requested, menuItems, categories = []) => {
+  if (!Array.isArray(requested)) {
+    throw new ApiError(400, `Choose the components of ${combo.name}`, {
+      slots: comboSlotsOf(combo).map(slot => slot.id)
+    });
+  }
+
+  const slots = comboSlotsOf(combo);
+  const chosen = new Map();
+
+  requested.forEach((choice) => {
+    const slot = slots.find(s => s.id === (choice && choice.slot));
+    if (!slot) throw new ApiError(400, `Unknown slot for ${combo.name}: ${choice && choice.slot}`);
+    if (chosen.has(slot.id)) throw new ApiError(400, `${slot.name} is chosen twice for ${combo.name}`);
+
+    const menuItem = findChoice(choice, menuItems);
+    if (!menuItem) {
+      throw new ApiError(400, `Unknown menu item for ${slot.name} in ${combo.name}: ${choice.name || choice.menuItemId || choice.id}`);
+    }
+    if (!slotAccepts(slot, menuItem, categories)) {
+      throw new ApiError(400, `${menuItem.name} cannot be chosen as ${slot.name} in ${combo.name}`);
+    }
+    if (menuItem.available === false) {
+      throw new ApiError(400, menuItem.name + ' is currently unavailable');
+    }
+    if (menuItem.orderableNow === false) {
+      throw new ApiError(400, menuItem.name + ' is not available at this time', { reason: menuItem.unavailableReason });
+    }
+
+    chosen.set(slot.id, { slot, menuItem, choice });
+  });
+
+  const missing = slots.find(slot => !chosen.has(slot.id));
+  if (missing) throw new ApiError(400, `Choose a ${missing.name} for ${combo.name}`);
+
+  return slots.map(slot => chosen.get(slot.id));
+};
+
+module.exports = {
+  ITEM_TYPES,
+  isCombo,
+  comboSlotsOf,
+  validateComboSlots,
+  slotAccepts,
+  withComboOptions,
+  resolveComboChoices
+};
@@ -0,0 +1,108 @@
+const { ApiError } = require('./errors');
+
+const ALLERGENS = ['gluten', 'dairy', 'eggs', 'nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame', 'mustard'];
+const DIETS = ['vegetarian', 'vegan', 'jain', 'gluten_free', 'dairy_free'];
+
+// Allergens an item declares; null when they were never recorded
+const allergensOf = item => (Array.isArray(item.allergens) ? item.allergens : null);
+
+/**
+ * Diets an item suits: its explicit `dietaryTags`, vegetarian for `isVeg`
+ * (vegan implies vegetarian) and gluten/dairy free when declared allergens allow.
+ */
+const dietsOf = (item) => {
+  const diets = new Set(item.dietaryTags || item.dietary_tags || []);
+  const isVeg = item.isVeg !== undefined ? item.isVeg : item.is_veg;
+  if (isVeg || diets.has('vegan')) diets.add('vegetarian');
+
+  const allergens = allergensOf(item);
+  if (allergens) {
+    if (!allergens.includes('gluten')) diets.add('gluten_free');
+    if (!allergens.includes('dairy')) diets.add('dairy_free');
+  }
+  return Array.from(diets);
+};
+
+// Parses a comma separated list (or array) of allergens/diets, rejecting unknown values
+const parseTagList = (value, allowed, name) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const tags = (Array.isArray(value) ? value : String(value).split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = tags.filter(tag => !allowed.includes(tag));
+  if (unknown.length) {
+    throw new ApiError(400, `Unknown ${name}: ${unknown.join(', ')}`, { [`allowed${name[0].toUpperCase()}${name.slice(1)}`]: allowed });
+  }
+  return Array.from(new Set(tags));
+};
+
+const parseAllergens = value => parseTagList(value, ALLERGENS, 'allergens');
+const parseDiets = value => parseTagList(value, DIETS, 'diets');
+
+/**
+ * Whether an item is safe for guests avoiding `excluded` allergens and following `diets`.
+ * Items without declared allergens are never considered safe when allergens are excluded.
+ */
+const isSafeFor = (item, { excludeAllergens, diets } = {}) => {
+  if (excludeAllergens && excludeAllergens.length) {
+    const allergens = allergensOf(item);
+    if (!allergens || allergens.some(allergen => excludeAllergens.includes(allergen))) return false;
+  }
+  if (diets && diets.length) {
+    const itemDiets = dietsOf(item);
+    if (!diets.every(diet => itemDiets.includes(diet))) return false;
+  }
+  return true;
+};
+
+/**
+ * Warnings for order lines that contain one of the table's declared allergens
+ * (or whose allergens are unknown). `lines` need `name` and `allergens`.
+ */
+const allergenWarnings = (lines, declaredAllergens = []) => {
+  if (!declaredAllergens.length) return [];
+
+  return lines.reduce((warnings, line) => {
+    const allergens = allergensOf(line);
+    if (!allergens) {
+      warnings.push({ item: line.name, allergens: [], unknown: true, message: `Allergen information for ${line.name} is not available` });
+      return warnings;
+    }
+
+    const found = allergens.filter(allergen => declaredAllergens.includes(allergen));
+    if (found.length) {
+      warnings.push({ item: line.name, allergens: found, unknown: false, message: `${line.name} contains ${found.join(', ')}` });
+    }
+    return warnings;
+  }, []);
+};
+
+// One menu line for the chatbot, e.g. "Paneer Butter Masala (₹329) [vegetarian; contains dairy, nuts]"
+const describeForChat = (item) => {
+  const allergens = allergensOf(item);
+  const tags = dietsOf(item);
+  const contains = allergens
+    ? (allergens.length ? 'contains ' + allergens.join(', ') : 'no listed allergens')
+    : 'allergens unknown';
+
+  return item.name + ' (₹' + item.price + ') [' + (tags.length ? tags.join(', ') + '; ' : '') + contains + ']';
+};
+
+// Appended to the chatbot system prompt together with the menu above
+const CHAT_ALLERGY_RULES =
+  'Allergy rules: never recommend a dish that contains an allergen the guest or table mentioned. ' +
+  'If a dish says "allergens unknown", say so and suggest asking the staff instead of guessing.';
+
+module.exports = {
+  ALLERGENS,
+  DIETS,
+  allergensOf,
+  dietsOf,
+  parseAllergens,
+  parseDiets,
+  isSafeFor,
+  allergenWarnings,
+  describeForChat,
+  CHAT_ALLERGY_RULES
+};
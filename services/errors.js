@@ -0,0 +1,12 @@
+// Error carrying an HTTP status, thrown by services and turned into
+// `{ success: false, error, ...details }` responses by the route handlers.
+class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { ApiError };
@@ -0,0 +1,132 @@
+const kitchenConfig = require('../config/kitchen');
+const { stationForItem } = require('./kitchenRouting');
+
+const MINUTE = 60 * 1000;
+const DEFAULT_PREP_TIME = 15;
+
+// Keyed by name so history carries over between backends and re-created menu items
+const itemKey = item => (item.name || '').toLowerCase();
+
+// Cooking time of `quantity` units relative to one unit
+const quantityFactor = (quantity, config) => 1 + config.extraUnitFactor * (Math.max(Number(quantity) || 1, 1) - 1);
+
+/**
+ * Learns per-unit preparation minutes from completed items
+ * (`{ name, quantity, startedAt, readyAt }`).
+ * Items that skipped preparing have no usable duration and are ignored.
+ * Returns a map of item key to `{ totalMinutes, samples }`.
+ */
+const learnPrepTimes = (completedItems, config = kitchenConfig.eta) => {
+  const learned = new Map();
+
+  completedItems.forEach((item) => {
+    if (!item.startedAt || !item.readyAt) return;
+
+    const minutes = (new Date(item.readyAt) - new Date(item.startedAt)) / MINUTE;
+    if (!(minutes > 0)) return;
+
+    const key = itemKey(item);
+    const entry = learned.get(key) || { totalMinutes: 0, samples: 0 };
+    entry.totalMinutes += minutes / quantityFactor(item.quantity, config);
+    entry.samples += 1;
+    learned.set(key, entry);
+  });
+
+  return learned;
+};
+
+// Menu prep time blended with observed durations; more samples weigh more
+const unitPrepMinutes = (item, learned, config = kitchenConfig.eta) => {
+  const menuMinutes = Number(item.prepTime) || DEFAULT_PREP_TIME;
+  const observed = learned.get(itemKey(item));
+  if (!observed) return menuMinutes;
+
+  return (menuMinutes * config.prepTimeWeight + observed.totalMinutes) / (config.prepTimeWeight + observed.samples);
+};
+
+// Minutes of cooking left on an item at `now`
+const remainingMinutes = (item, learned, now, config = kitchenConfig.eta) => {
+  const status = item.status || 'queued';
+  if (status !== 'queued' && status !== 'preparing') return 0;
+
+  const total = unitPrepMinutes(item, learned, config) * quantityFactor(item.quantity, config);
+  if (status === 'queued' || !item.startedAt) return total;
+
+  // Overrunning items are still expected to need a minute
+  const elapsed = (now - new Date(item.startedAt)) / MINUTE;
+  return Math.max(total - elapsed, 1);
+};
+
+/**
+ * Estimates when each open order will be ready.
+ * `orders` are `{ orderId, tableNo, createdAt, items }` with item statuses.
+ *
+ * Every station cooks `stationCapacity` items at once. Items already being
+ * prepared hold their slot; queued items take the first free slot of their
+ * station, oldest order first. An order is ready when its last item is, plus
+ * the serving buffer. Only `now` is used as the clock, so results are
+ * deterministic.
+ *
+ * Returns a map of order id to `{ orderId, tableNo, estimatedTime, estimatedReadyAt }`
+ * for orders that still have cooking left; `estimatedTime` is in whole minutes from `now`.
+ */
+const estimateQueue = (orders, { now = new Date(), learned = new Map(), config = kitchenConfig.eta } = {}) => {
+  const sorted = orders
+    .slice()
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || String(a.orderId).localeCompare(String(b.orderId)));
+
+  const capacity = Math.max(config.stationCapacity, 1);
+  const slots = new Map();
+  const finishes = new Map();
+
+  // Slot that frees up first at a station (minutes from now)
+  const takeSlot = (station, minutes) => {
+    if (!slots.has(station)) slots.set(station, Array(capacity).fill(0));
+    const stationSlots = slots.get(station);
+    const index = stationSlots.indexOf(Math.min(...stationSlots));
+    stationSlots[index] += minutes;
+    return stationSlots[index];
+  };
+
+  const schedule = (order, item) => {
+    const finish = takeSlot(stationForItem(item), remainingMinutes(item, learned, now, config));
+    finishes.set(order.orderId, Math.max(finishes.get(order.orderId) || 0, finish));
+  };
+
+  sorted.forEach(order => order.items
+    .filter(item => item.status === 'preparing')
+    .forEach(item => schedule(order, item)));
+  sorted.forEach(order => order.items
+    .filter(item => (item.status || 'queued') === 'queued')
+    .forEach(item => schedule(order, item)));
+
+  const estimates = new Map();
+  sorted.forEach((order) => {
+    if (!finishes.has(order.orderId)) return;
+
+    const estimatedTime = Math.ceil(finishes.get(order.orderId) + config.bufferMinutes);
+    estimates.set(String(order.orderId), {
+      orderId: order.orderId,
+      tableNo: order.tableNo,
+      estimatedTime,
+      estimatedReadyAt: new Date(now.getTime() + estimatedTime * MINUTE)
+    });
+  });
+
+  return estimates;
+};
+
+// Estimates whose ready time moved by at least `thresholdMinutes` since `previous`
+const changedEstimates = (previous, estimates, thresholdMinutes = 1) =>
+  Array.from(estimates.values()).filter((estimate) => {
+    const before = previous.get(String(estimate.orderId));
+    return !before || Math.abs(estimate.estimatedReadyAt - before.estimatedReadyAt) >= thresholdMinutes * MINUTE;
+  });
+
+module.exports = {
+  learnPrepTimes,
+  unitPrepMinutes,
+  remainingMinutes,
+  estimateQueue,
+  changedEstimates
+};
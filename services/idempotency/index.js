@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { ApiError } = require('../errors');
+const MemoryStore = require('./memoryStore');
+
+const MAX_KEY_LENGTH = 255;
+
+// How long a key keeps returning the original response
+const windowMs = () => Number(process.env.IDEMPOTENCY_WINDOW_HOURS || 24) * 60 * 60 * 1000;
+
+// Key order independent JSON, so `{ a, b }` and `{ b, a }` are the same request
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const fingerprint = body =>
+  crypto.createHash('sha256').update(JSON.stringify(canonicalize(body || {}))).digest('hex');
+
+/**
+ * Claims `key` for a request before it is processed.
+ *
+ * Stores implement `reserve(key, fingerprint, expiresAt, now)` returning
+ * `{ created, record }`, `complete(key, statusCode, response)` and `release(key)`.
+ * Records are `{ fingerprint, status: processing|completed, statusCode, response }`.
+ *
+ * Returns null when the request is new and should be processed, or the
+ * completed record to replay. Throws 409 when the key was used for a different
+ * body or the original request is still running.
+ */
+const beginIdempotentRequest = async (store, scope, key, body, now = new Date()) => {
+  if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH) {
+    throw new ApiError(400, `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`);
+  }
+
+  const hash = fingerprint(body);
+  const { created, record } = await store.reserve(`${scope}:${key}`, hash, new Date(now.getTime() + windowMs()), now);
+  if (created) return null;
+
+  if (record.fingerprint !== hash) {
+    throw new ApiError(409, 'Idempotency-Key was already used with a different request', { idempotencyKey: key });
+  }
+  if (record.status !== 'completed') {
+    throw new ApiError(409, 'A request with this Idempotency-Key is still being processed', { idempotencyKey: key });
+  }
+
+  return record;
+};
+
+const completeIdempotentRequest = (store, scope, key, statusCode, response) =>
+  store.complete(`${scope}:${key}`, statusCode, JSON.parse(JSON.stringify(response)));
+
+// Frees the key after a failed request so the client can retry it
+const releaseIdempotentRequest = (store, scope, key) => store.release(`${scope}:${key}`);
+
+module.exports = {
+  MemoryStore,
+  fingerprint,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest
+};
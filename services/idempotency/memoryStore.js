@@ -0,0 +1,37 @@
+// Idempotency records for the in-memory fallback; expired keys are swept on every new claim
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async reserve(key, fingerprint, expiresAt, now = new Date()) {
+    const existing = this.records.get(key);
+    if (existing && existing.expiresAt > now) return { created: false, record: existing };
+
+    this.sweep(now);
+    const record = { fingerprint, status: 'processing', statusCode: null, response: null, expiresAt };
+    this.records.set(key, record);
+    return { created: true, record };
+  }
+
+  async complete(key, statusCode, response) {
+    const record = this.records.get(key);
+    if (!record) return;
+
+    record.status = 'completed';
+    record.statusCode = statusCode;
+    record.response = response;
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+
+  sweep(now) {
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) this.records.delete(key);
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const imagesConfig = require('../../config/images');
+const { ApiError } = require('../errors');
+const LocalStorage = require('./localStorage');
+
+// Menu images are kept by a storage backend; `local` writes them to disk.
+// Another backend (S3, a CDN bucket, ...) registers under its own name and is
+// picked with IMAGE_STORAGE.
+const storages = new Map();
+
+const registerStorage = (storage) => {
+  storages.set(storage.name, storage);
+};
+
+const getStorage = (name = imagesConfig.storage) => {
+  const storage = storages.get(name);
+  if (!storage) throw new Error(`Unknown image storage: ${name}`);
+  return storage;
+};
+
+registerStorage(new LocalStorage({ directory: imagesConfig.localDirectory, publicPath: imagesConfig.publicPath }));
+
+const formatOf = contentType => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Checks an uploaded image and renders every configured variant as WebP.
+ * - 415 for types other than JPEG, PNG and WebP, or a body that is not what
+ *   its Content-Type says
+ * - 400 for an empty body or data that is not an image
+ * - 413 for files over the size limit or images with too many pixels
+ * Returns `{ [variant]: Buffer }`.
+ */
+const processImage = async (data, contentType, config = imagesConfig) => {
+  const type = formatOf(contentType);
+  if (!config.allowedTypes.includes(type)) {
+    throw new ApiError(415, 'Unsupported image type', { allowedTypes: config.allowedTypes });
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new ApiError(400, 'Send the image file as the request body');
+  }
+  if (data.length > config.maxBytes) {
+    throw new ApiError(413, 'Image is too large', { maxBytes: config.maxBytes });
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(data).metadata();
+  } catch (error) {
+    throw new ApiError(400, 'The file is not a readable image');
+  }
+  if (`image/${metadata.format}` !== type) {
+    throw new ApiError(415, `The file is ${metadata.format}, not ${type}`, { allowedTypes: config.allowedTypes });
+  }
+  if (metadata.width * metadata.height > config.maxPixels) {
+    throw new ApiError(413, 'Image dimensions are too large', { maxPixels: config.maxPixels });
+  }
+
+  const variants = {};
+  for (const [name, size] of Object.entries(config.variants)) {
+    variants[name] = await sharp(data)
+      .rotate()
+      .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: true })
+      .webp({ quality: config.quality })
+      .toBuffer();
+  }
+  return variants;
+};
+
+/**
+ * Stores a new image for a menu item and returns the URL of each variant:
+ * `{ full, card, thumb }`. File names carry a hash of the upload, so a changed
+ * image always gets new URLs and old ones can be cached for good.
+ */
+const storeMenuImage = async (menuItemId, data, contentType) => {
+  const variants = await processImage(data, contentType);
+  const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+  const prefix = `menu-${String(menuItemId).replace(/[^A-Za-z0-9-]/g, '')}-${hash}`;
+  const storage = getStorage();
+
+  const images = {};
+  for (const [name, variant] of Object.entries(variants)) {
+    images[name] = await storage.save(`${prefix}-${name}.webp`, variant);
+  }
+  return images;
+};
+
+// Storage keys an item's image fields point at; images hosted elsewhere are skipped
+const imageKeysOf = (menuItem, storage = getStorage()) => {
+  const item = menuItem && menuItem.toObject ? menuItem.toObject() : menuItem || {};
+  const urls = [item.image].concat(Object.values(item.images || {}));
+  return urls.map(url => storage.keyFor(url)).filter(Boolean);
+};
+
+/**
+ * Deletes the stored files of `images` (`{ full, card, thumb }`), except those
+ * still in use by `keep`. Used when an image is replaced or its item deleted.
+ */
+const removeMenuImages = async (images, keep = {}) => {
+  const storage = getStorage();
+  const kept = new Set(imageKeysOf({ images: keep }, storage));
+  const keys = imageKeysOf({ images }, storage).filter(key => !kept.has(key));
+  for (const key of keys) await storage.remove(key);
+  return keys;
+};
+
+/**
+ * Stored files no live menu item refers to, e.g. left behind by a sync import or
+ * an interrupted upload. Removes them unless `dryRun`; returns the keys.
+ */
+const cleanupOrphanImages = async (menuItems, { dryRun = false } = {}) => {
+  const storage = getStorage();
+  const referenced = new Set([].concat(...menuItems.map(item => imageKeysOf(item, storage))));
+  const orphans = (await storage.list()).filter(key => !referenced.has(key));
+  if (!dryRun) {
+    for (const key of orphans) await storage.remove(key);
+  }
+  return orphans;
+};
+
+module.exports = {
+  registerStorage,
+  getStorage,
+  processImage,
+  storeMenuImage,
+  removeMenuImages,
+  cleanupOrphanImages
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// File names are generated by services/images, so anything else is refused
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Keeps images as files in one directory, served by the app under `publicPath`.
+ * A storage implements save, remove, list, urlFor and keyFor; keys are file names.
+ */
+class LocalStorage {
+  constructor({ directory, publicPath }) {
+    this.name = 'local';
+    this.directory = directory;
+    this.publicPath = publicPath;
+  }
+
+  pathOf(key) {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid image key: ${key}`);
+    return path.join(this.directory, key);
+  }
+
+  async save(key, data) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this.pathOf(key), data);
+    return this.urlFor(key);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+
+  async list() {
+    try {
+      return (await fs.promises.readdir(this.directory)).filter(key => KEY_PATTERN.test(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  urlFor(key) {
+    return `${this.publicPath}/${key}`;
+  }
+
+  // The key behind one of our URLs; null for images hosted elsewhere
+  keyFor(url) {
+    if (typeof url !== 'string' || !url.startsWith(this.publicPath + '/')) return null;
+    const key = url.slice(this.publicPath.length + 1);
+    return KEY_PATTERN.test(key) ? key : null;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,127 @@
+const { ApiError } = require('./errors');
+const { ORDER_STATUSES, TRANSITIONS, createHistoryEntry } = require('./orderStatus');
+
+// Kitchen status of a single order line. Items only move forward;
+// cancelled is set when the whole order is cancelled.
+const ITEM_STATUSES = ['queued', 'preparing', 'ready', 'served', 'cancelled'];
+const ITEM_FLOW = ['queued', 'preparing', 'ready', 'served'];
+
+// Timestamp field recorded when an item reaches a status
+const ITEM_TIMESTAMPS = {
+  preparing: 'startedAt',
+  ready: 'readyAt',
+  served: 'servedAt'
+};
+
+// Order statuses during which the kitchen may work on individual items
+const KITCHEN_ORDER_STATUSES = ['confirmed', 'preparing', 'partially_ready', 'ready'];
+
+const orderRank = status => ORDER_STATUSES.indexOf(status);
+
+/**
+ * Moves an item to `to`, filling in the timestamps of every step it passes.
+ * Returns the previous status. Throws 400/409 for unknown or backward moves.
+ */
+const advanceItem = (item, to, at = new Date()) => {
+  if (!ITEM_FLOW.includes(to)) {
+    throw new ApiError(400, 'Invalid item status', { allowedStatuses: ITEM_FLOW });
+  }
+
+  const from = item.status || 'queued';
+  const fromIndex = ITEM_FLOW.indexOf(from);
+  const toIndex = ITEM_FLOW.indexOf(to);
+
+  if (fromIndex === -1 || toIndex <= fromIndex) {
+    throw new ApiError(409, `Cannot change ${item.name} from ${from} to ${to}`, { currentStatus: from });
+  }
+
+  ITEM_FLOW.slice(fromIndex + 1, toIndex + 1).forEach((status) => {
+    const field = ITEM_TIMESTAMPS[status];
+    if (field && !item[field]) item[field] = at;
+  });
+  item.status = to;
+
+  return from;
+};
+
+const assertKitchenCanUpdate = (orderStatus) => {
+  if (!KITCHEN_ORDER_STATUSES.includes(orderStatus)) {
+    throw new ApiError(409, `Items of a ${orderStatus} order cannot be updated`, { orderStatus });
+  }
+};
+
+// Order status implied by the statuses of its items
+const impliedOrderStatus = (items) => {
+  const active = items.filter(item => item.status !== 'cancelled');
+  if (!active.length) return null;
+
+  const statuses = active.map(item => item.status || 'queued');
+  if (statuses.every(status => status === 'served')) return 'served';
+  if (statuses.every(status => status === 'ready' || status === 'served')) return 'ready';
+  if (statuses.some(status => status === 'ready' || status === 'served')) return 'partially_ready';
+  if (statuses.some(status => status === 'preparing')) return 'preparing';
+  return null;
+};
+
+/**
+ * History entries that bring the order in line with its items.
+ * The order only moves forward and each step follows the transition graph,
+ * e.g. confirmed -> preparing -> partially_ready.
+ */
+const rollupOrderStatus = (orderStatus, items, { actor = 'kitchen', at = new Date() } = {}) => {
+  const target = impliedOrderStatus(items);
+  const entries = [];
+  if (!target || orderRank(target) <= orderRank(orderStatus)) return entries;
+
+  let current = orderStatus;
+  while (current !== target) {
+    const next = (TRANSITIONS[current] || [])
+      .filter(status => status !== 'cancelled' && orderRank(status) <= orderRank(target))
+      .sort((a, b) => orderRank(b) - orderRank(a))[0];
+    if (!next) break;
+
+    entries.push(createHistoryEntry(current, next, { actor, reason: 'Item status rollup', at }));
+    current = next;
+  }
+
+  return entries;
+};
+
+/**
+ * Item changes implied by an order level status change, e.g. marking the whole
+ * order ready marks every queued or preparing item ready.
+ */
+const cascadeItemStatuses = (items, orderStatus, at = new Date()) => {
+  const changed = [];
+
+  items.forEach((item) => {
+    const from = item.status || 'queued';
+    if (from === 'cancelled') return;
+
+    if (orderStatus === 'cancelled') {
+      if (from !== 'served') {
+        item.status = 'cancelled';
+        changed.push({ item, from });
+      }
+      return;
+    }
+
+    const target = orderStatus === 'partially_ready' ? null : orderStatus;
+    if (ITEM_FLOW.includes(target) && ITEM_FLOW.indexOf(target) > ITEM_FLOW.indexOf(from)) {
+      advanceItem(item, target, at);
+      changed.push({ item, from });
+    }
+  });
+
+  return changed;
+};
+
+module.exports = {
+  ITEM_STATUSES,
+  ITEM_FLOW,
+  advanceItem,
+  assertKitchenCanUpdate,
+  impliedOrderStatus,
+  rollupOrderStatus,
+  cascadeItemStatuses
+};
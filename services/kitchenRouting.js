@@ -0,0 +1,87 @@
+const kitchenConfig = require('../config/kitchen');
+
+const READY_STATUSES = ['ready', 'served'];
+
+const isKnownStation = (stationId, config = kitchenConfig) =>
+  config.stations.some(station => station.id === stationId);
+
+const stationName = (stationId, config = kitchenConfig) => {
+  const station = config.stations.find(s => s.id === stationId);
+  return station ? station.name : stationId;
+};
+
+// Station preparing an order line: the menu item's own station, else its category's
+const stationForItem = (item, config = kitchenConfig) => {
+  if (item.station && isKnownStation(item.station, config)) return item.station;
+
+  const byCategory = config.categoryStations[item.category];
+  if (byCategory && isKnownStation(byCategory, config)) return byCategory;
+
+  return config.defaultStation;
+};
+
+/**
+ * One ticket per station holding only that station's lines.
+ * `order` is `{ orderId, tableNo, round, createdAt, estimatedTime, items }`.
+ */
+const buildStationTickets = (order, config = kitchenConfig) => {
+  const tickets = new Map();
+
+  order.items.forEach((item) => {
+    if (item.status === 'cancelled') return;
+
+    const station = stationForItem(item, config);
+    if (!tickets.has(station)) {
+      tickets.set(station, {
+        ...order,
+        station,
+        stationName: stationName(station, config),
+        items: []
+      });
+    }
+    tickets.get(station).items.push({ ...item, station });
+  });
+
+  return Array.from(tickets.values());
+};
+
+// Stations whose lines of an order are all ready (or served)
+const completedStations = (items, config = kitchenConfig) => {
+  const pending = new Set();
+  const all = new Set();
+
+  items.forEach((item) => {
+    if (item.status === 'cancelled') return;
+
+    const station = stationForItem(item, config);
+    all.add(station);
+    if (!READY_STATUSES.includes(item.status)) pending.add(station);
+  });
+
+  return Array.from(all).filter(station => !pending.has(station));
+};
+
+// Per station progress of an order, for the expo view
+const stationProgress = (items, config = kitchenConfig) => {
+  const progress = {};
+
+  items.forEach((item) => {
+    if (item.status === 'cancelled') return;
+
+    const station = stationForItem(item, config);
+    progress[station] = progress[station] || { station, name: stationName(station, config), total: 0, ready: 0 };
+    progress[station].total += 1;
+    if (READY_STATUSES.includes(item.status)) progress[station].ready += 1;
+  });
+
+  return Object.values(progress).map(entry => ({ ...entry, complete: entry.ready === entry.total }));
+};
+
+module.exports = {
+  isKnownStation,
+  stationName,
+  stationForItem,
+  buildStationTickets,
+  completedStations,
+  stationProgress
+};
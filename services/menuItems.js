@@ -0,0 +1,145 @@
+const { ApiError } = require('./errors');
+const { isKnownStation } = require('./kitchenRouting');
+const { validateModifierGroups } = require('./modifiers');
+const { ALLERGENS, DIETS } = require('./dietary');
+const { validateWindows } = require('./menuSchedule');
+const { ITEM_TYPES, validateComboSlots } = require('./combos');
+const { validateTranslations, mergeTranslations } = require('./translations');
+const { DEFAULT_CATEGORIES } = require('./categories');
+const scheduleConfig = require('../config/menuSchedule');
+
+// Built-in category slugs, used when no managed category list is passed in
+const MENU_CATEGORIES = DEFAULT_CATEGORIES.map(category => category.slug);
+const REQUIRED_FIELDS = ['name', 'price', 'category'];
+
+const isBoolean = value => typeof value === 'boolean';
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const isTagList = allowed => value => Array.isArray(value) && value.every(tag => allowed.includes(tag));
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+// Editable fields and the check each value must pass
+const FIELD_RULES = {
+  name: { check: value => isText(value, 100), message: 'must be a non-empty string of at most 100 characters' },
+  description: { check: value => typeof value === 'string' && value.length <= 500, message: 'must be a string of at most 500 characters' },
+  price: { check: value => isNumberIn(value, 0, 100000), message: 'must be a number between 0 and 100000' },
+  // Checked against the managed categories in validateMenuItem
+  category: { check: value => typeof value === 'string' && value.trim().length > 0 },
+  image: { check: value => typeof value === 'string' && value.length <= 1000, message: 'must be a URL string' },
+  available: { check: isBoolean, message: 'must be true or false' },
+  prepTime: { check: value => isIntegerIn(value, 1, 180), message: 'must be a whole number of minutes between 1 and 180' },
+  isVeg: { check: isBoolean, message: 'must be true or false' },
+  spiceLevel: { check: value => isIntegerIn(value, 0, 5), message: 'must be a whole number between 0 and 5' },
+  popular: { check: isBoolean, message: 'must be true or false' },
+  chefSpecial: { check: isBoolean, message: 'must be true or false' },
+  station: { check: value => value === null || isKnownStation(value), message: 'must be a configured kitchen station' },
+  allergens: { check: isTagList(ALLERGENS), message: `must be a list of: ${ALLERGENS.join(', ')}` },
+  dietaryTags: { check: isTagList(DIETS), message: `must be a list of: ${DIETS.join(', ')}` },
+  modifierGroups: { check: () => true },
+  type: { check: value => ITEM_TYPES.includes(value), message: `must be one of ${ITEM_TYPES.join(', ')}` },
+  comboSlots: { check: () => true },
+  translations: { check: () => true },
+  sections: {
+    check: value => isTagList(Object.keys(scheduleConfig.sections))(value),
+    message: `must be a list of: ${Object.keys(scheduleConfig.sections).join(', ')}`
+  },
+  availability: { check: () => true },
+  happyHourPrice: { check: value => value === null || isNumberIn(value, 0, 100000), message: 'must be a number between 0 and 100000 or null' }
+};
+
+const MENU_FIELDS = Object.keys(FIELD_RULES);
+
+// Kept up to date from the item's reviews, never set directly
+const DERIVED_FIELDS = ['rating', 'ratingCount'];
+
+/**
+ * Validates a menu item body for create (`partial: false`) or update (`partial: true`).
+ * `categories` are the slugs of the managed categories an item may belong to.
+ * Returns only the known fields, with strings trimmed.
+ * Throws a 400 ApiError listing every invalid, unknown or missing field.
+ */
+const validateMenuItem = (body, { partial = false, categories = MENU_CATEGORIES } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Menu item must be an object');
+  }
+
+  const errors = [];
+  const fields = {};
+
+  Object.keys(body).forEach((field) => {
+    const rule = FIELD_RULES[field];
+    if (!rule) {
+      errors.push({ field, message: DERIVED_FIELDS.includes(field) ? 'is derived from reviews' : 'is not a menu item field' });
+      return;
+    }
+    if (!rule.check(body[field]) || (field === 'category' && !categories.includes(body[field].trim()))) {
+      errors.push({ field, message: rule.message || `must be one of ${categories.join(', ')}` });
+      return;
+    }
+    fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+  });
+
+  if (!partial) {
+    REQUIRED_FIELDS
+      .filter(field => body[field] === undefined)
+      .forEach(field => errors.push({ field, message: 'is required' }));
+  }
+
+  if (fields.modifierGroups !== undefined) {
+    try {
+      validateModifierGroups(fields.modifierGroups);
+    } catch (error) {
+      errors.push({ field: 'modifierGroups', message: error.message });
+    }
+  }
+
+  if (fields.comboSlots !== undefined) {
+    try {
+      validateComboSlots(fields.comboSlots, categories);
+    } catch (error) {
+      errors.push({ field: 'comboSlots', message: error.message });
+    }
+  }
+  if (fields.type === 'combo' && fields.comboSlots === undefined && !partial) {
+    errors.push({ field: 'comboSlots', message: 'is required for a combo' });
+  }
+
+  if (fields.translations !== undefined) {
+    try {
+      fields.translations = mergeTranslations({}, validateTranslations(fields.translations));
+    } catch (error) {
+      (error.details.errors || [{ message: error.message }]).forEach((problem) => {
+        errors.push({ field: 'translations', message: [problem.language, problem.field, problem.message].filter(Boolean).join(' ') });
+      });
+    }
+  }
+
+  if (fields.availability !== undefined) {
+    try {
+      validateWindows(fields.availability);
+    } catch (error) {
+      errors.push({ field: 'availability', message: error.message });
+    }
+  }
+
+  if (errors.length) throw new ApiError(400, 'Invalid menu item', { errors });
+  if (partial && Object.keys(fields).length === 0) throw new ApiError(400, 'No menu item fields to update');
+
+  return fields;
+};
+
+// Orders look items up by name, so two live items may not share one
+const assertUniqueName = (name, menuItems, exceptId) => {
+  const lower = name.toLowerCase();
+  const clash = menuItems.find(item =>
+    item.name.toLowerCase() === lower && String(item._id || item.id) !== String(exceptId)
+  );
+  if (clash) throw new ApiError(409, `A menu item named ${name} already exists`);
+};
+
+module.exports = {
+  MENU_CATEGORIES,
+  MENU_FIELDS,
+  validateMenuItem,
+  assertUniqueName
+};
@@ -0,0 +1,239 @@
+const scheduleConfig = require('../config/menuSchedule');
+const { ApiError } = require('./errors');
+const { toPaise, fromPaise } = require('./money');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "HH:MM" -> minutes after midnight ("24:00" closes a window at midnight); null when invalid
+const parseClockTime = (text) => {
+  const match = /^([01]?\d|2[0-4]):([0-5]\d)$/.exec(String(text));
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+};
+
+/**
+ * Checks availability windows `[{ days?, from, to }]`.
+ * Throws a 400 ApiError describing the first invalid window.
+ */
+const validateWindows = (windows) => {
+  if (!Array.isArray(windows)) throw new ApiError(400, 'availability must be a list of windows');
+
+  windows.forEach((window, index) => {
+    if (!window || typeof window !== 'object') throw new ApiError(400, `Window ${index + 1} must be an object`);
+    if (parseClockTime(window.from) === null || parseClockTime(window.to) === null) {
+      throw new ApiError(400, `Window ${index + 1} needs from and to as HH:MM`);
+    }
+    if (window.days !== undefined && (!Array.isArray(window.days) || !window.days.every(day => DAYS.includes(day)))) {
+      throw new ApiError(400, `Window ${index + 1} days must be a list of: ${DAYS.join(', ')}`);
+    }
+  });
+};
+
+const zonedParts = (at, timeZone) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).map(part => [part.type, part.value])
+);
+
+// Weekday, date and time of an instant in the restaurant's time zone
+const localTime = (at, config = scheduleConfig) => {
+  const parts = zonedParts(at, config.timeZone);
+  return {
+    day: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// Minutes the time zone is ahead of UTC at an instant
+const zoneOffset = (at, timeZone) => {
+  const parts = zonedParts(at, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(at.getTime() / 1000) * 1000) / 60000);
+};
+
+// The instant a wall-clock date and time ("YYYY-MM-DD", "HH:MM[:SS]") happens in the time zone
+const fromLocalTime = (date, time, config = scheduleConfig) => {
+  const wallClock = Date.parse(`${date}T${time.length === 5 ? time + ':00' : time}Z`);
+  if (Number.isNaN(wallClock)) return null;
+
+  // A second pass settles instants next to a daylight saving change
+  let offset = zoneOffset(new Date(wallClock), config.timeZone);
+  offset = zoneOffset(new Date(wallClock - offset * 60000), config.timeZone);
+  return new Date(wallClock - offset * 60000);
+};
+
+/**
+ * Reads a menu preview time:
+ * - "HH:MM"                today at that time in the restaurant's time zone
+ * - "YYYY-MM-DDTHH:MM"     that wall-clock time in the restaurant's time zone
+ * - an ISO date with "Z" or an offset, taken as is
+ * Returns undefined when no time is given; throws a 400 ApiError otherwise.
+ */
+const parseMenuTime = (value, now, config = scheduleConfig) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const text = String(value).trim();
+  let at = null;
+
+  if (/^\d{1,2}:\d{2}$/.test(text)) {
+    if (parseClockTime(text) !== null) at = fromLocalTime(localTime(now, config).date, text.padStart(5, '0'), config);
+  } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(text)) {
+    const [date, time] = text.split('T');
+    at = fromLocalTime(date, time, config);
+  } else if (/^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    at = new Date(text);
+  }
+
+  if (!at || Number.isNaN(at.getTime())) {
+    throw new ApiError(400, 'must be HH:MM or an ISO date-time');
+  }
+  return at;
+};
+
+const previousDay = day => DAYS[(DAYS.indexOf(day) + 6) % 7];
+
+// Whether a local time falls in a window; equal from and to mean the whole day
+const inWindow = (window, local) => {
+  const from = parseClockTime(window.from);
+  const to = parseClockTime(window.to);
+  const days = window.days || DAYS;
+
+  if (from === to) return days.includes(local.day);
+  if (from < to) return days.includes(local.day) && local.minutes >= from && local.minutes < to;
+  // Past midnight the window still belongs to the day it started on
+  return (days.includes(local.day) && local.minutes >= from) || (days.includes(previousDay(local.day)) && local.minutes < to);
+};
+
+const inAnyWindow = (windows, local) => windows.some(window => inWindow(window, local));
+
+const describeWindows = windows => windows
+  .map(window => (window.days && window.days.length < DAYS.length ? window.days.join('/') + ' ' : '') + window.from + '-' + window.to)
+  .join(', ');
+
+// Schedule fields come camelCased from Mongo/seed data and snake_cased from Postgres
+const happyHourPriceOf = (item) => {
+  const price = item.happyHourPrice !== undefined ? item.happyHourPrice : item.happy_hour_price;
+  return price === undefined || price === null ? null : Number(price);
+};
+
+// Why an item cannot be ordered at a local time; null when it can
+const unavailableReason = (item, local, config = scheduleConfig) => {
+  if (!inAnyWindow(config.openingHours, local)) {
+    return 'Outside opening hours (' + describeWindows(config.openingHours) + ')';
+  }
+
+  const sections = (item.sections || []).filter(section => config.sections[section]);
+  if (sections.length && !sections.some(section => inAnyWindow(config.sections[section], local))) {
+    return 'Only served during ' + sections.join(', ') + ' (' +
+      sections.map(section => describeWindows(config.sections[section])).join(', ') + ')';
+  }
+
+  const windows = item.availability || [];
+  if (windows.length && !inAnyWindow(windows, local)) {
+    return 'Only served ' + describeWindows(windows);
+  }
+
+  return null;
+};
+
+// The happy hour pricing an item at a local time, if any
+const activeHappyHour = (item, local, config = scheduleConfig) => config.happyHours.find(happyHour =>
+  inWindow(happyHour, local) && (happyHour.categories.includes(item.category) || happyHourPriceOf(item) !== null)
+);
+
+// Price of an item at a local time: `{ price, regularPrice, happyHour }`
+const priceAt = (item, local, config = scheduleConfig) => {
+  const regularPaise = toPaise(item.price);
+  const happyHour = activeHappyHour(item, local, config);
+  if (!happyHour) return { price: fromPaise(regularPaise), regularPrice: fromPaise(regularPaise), happyHour: null };
+
+  const override = happyHourPriceOf(item);
+  const pricePaise = override !== null
+    ? toPaise(override)
+    : Math.round(regularPaise * (100 - happyHour.discountPercent) / 100);
+
+  return {
+    price: fromPaise(Math.min(pricePaise, regularPaise)),
+    regularPrice: fromPaise(regularPaise),
+    happyHour: happyHour.name
+  };
+};
+
+/**
+ * The menu as it stands at `at`: every item with `orderableNow`, the reason
+ * when it is not, and its current price. Items priced by a happy hour keep
+ * the menu price in `regularPrice` and name the offer in `happyHour`.
+ */
+const applySchedule = (menuItems, at, config = scheduleConfig) => {
+  const local = localTime(at, config);
+
+  return menuItems.map((menuItem) => {
+    const item = menuItem.toObject ? menuItem.toObject() : menuItem;
+    const reason = unavailableReason(item, local, config);
+    const { price, regularPrice, happyHour } = priceAt(item, local, config);
+
+    return {
+      ...item,
+      price,
+      ...(happyHour ? { regularPrice, happyHour } : {}),
+      orderableNow: !reason,
+      ...(reason ? { unavailableReason: reason } : {})
+    };
+  });
+};
+
+// Only the items that can be ordered at `at`, priced for that time
+const menuAt = (menuItems, at, config = scheduleConfig) =>
+  applySchedule(menuItems, at, config).filter(item => item.orderableNow);
+
+// What is going on at `at`, returned with the menu so previews are easy to read
+const describeSchedule = (at, config = scheduleConfig) => {
+  const local = localTime(at, config);
+  return {
+    at: at.toISOString(),
+    timeZone: config.timeZone,
+    localTime: `${local.day} ${local.date} ${local.time}`,
+    open: inAnyWindow(config.openingHours, local),
+    sections: Object.keys(config.sections).filter(section => inAnyWindow(config.sections[section], local)),
+    happyHours: config.happyHours.filter(happyHour => inWindow(happyHour, local)).map(happyHour => happyHour.name)
+  };
+};
+
+/**
+ * The clock the schedule is checked against: `systemClock`, or when
+ * `simulatedTime` is configured, a clock that starts at that moment and runs on.
+ * Throws when `simulatedTime` is not a date-time.
+ */
+const createMenuClock = (config = scheduleConfig, systemClock = () => new Date()) => {
+  if (!config.simulatedTime) return systemClock;
+
+  const start = new Date(config.simulatedTime);
+  if (Number.isNaN(start.getTime())) throw new Error('MENU_SIMULATED_TIME must be an ISO date-time');
+  const offset = start.getTime() - systemClock().getTime();
+  return () => new Date(systemClock().getTime() + offset);
+};
+
+module.exports = {
+  DAYS,
+  validateWindows,
+  localTime,
+  fromLocalTime,
+  parseMenuTime,
+  inWindow,
+  unavailableReason,
+  priceAt,
+  applySchedule,
+  menuAt,
+  describeSchedule,
+  createMenuClock
+};
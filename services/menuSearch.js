@@ -0,0 +1,221 @@
+const { ApiError } = require('./errors');
+const { parseAllergens, parseDiets, isSafeFor } = require('./dietary');
+const { parseMenuTime } = require('./menuSchedule');
+
+const SORT_ORDERS = ['relevance', 'popularity', 'price_asc', 'price_desc', 'rating', 'prep_time'];
+const MAX_PAGE_SIZE = 100;
+
+// Menu rows come camelCased from Mongo/seed data and snake_cased from Postgres
+const SNAKE_FIELDS = {
+  isVeg: 'is_veg',
+  spiceLevel: 'spice_level',
+  chefSpecial: 'chef_special',
+  prepTime: 'prep_time',
+  deletedAt: 'deleted_at'
+};
+
+const menuField = (item, field) => {
+  if (item[field] !== undefined) return item[field];
+  return SNAKE_FIELDS[field] ? item[SNAKE_FIELDS[field]] : undefined;
+};
+
+const parseBoolean = (value, name, errors) => {
+  if (value === undefined) return undefined;
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  errors.push({ param: name, message: 'must be true or false' });
+  return undefined;
+};
+
+const parseWith = (parse, value, name, errors) => {
+  try {
+    return parse(value);
+  } catch (error) {
+    errors.push({ param: name, message: error.message });
+    return undefined;
+  }
+};
+
+const parseNumber = (value, name, errors, { integer = false, min = 0 } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    errors.push({ param: name, message: `must be ${integer ? 'a whole number' : 'a number'} of at least ${min}` });
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Reads menu search criteria from a query string:
+ * q, category (comma separated), isVeg, minSpice, maxSpice, minPrice, maxPrice,
+ * popular, chefSpecial, excludeAllergens and diet (comma separated), at (preview time),
+ * sort, page, limit. `now` anchors an `at` given as a bare time of day.
+ * Throws a 400 ApiError listing every invalid parameter.
+ */
+const parseMenuQuery = (query = {}, now = new Date()) => {
+  const errors = [];
+
+  const criteria = {
+    q: typeof query.q === 'string' && query.q.trim() ? query.q.trim() : undefined,
+    categories: query.category ? String(query.category).split(',').map(c => c.trim()).filter(Boolean) : undefined,
+    isVeg: parseBoolean(query.isVeg, 'isVeg', errors),
+    minSpice: parseNumber(query.minSpice, 'minSpice', errors, { integer: true }),
+    maxSpice: parseNumber(query.maxSpice, 'maxSpice', errors, { integer: true }),
+    minPrice: parseNumber(query.minPrice, 'minPrice', errors),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice', errors),
+    popular: parseBoolean(query.popular, 'popular', errors),
+    chefSpecial: parseBoolean(query.chefSpecial, 'chefSpecial', errors),
+    excludeAllergens: parseWith(parseAllergens, query.excludeAllergens, 'excludeAllergens', errors),
+    diets: parseWith(parseDiets, query.diet, 'diet', errors),
+    at: parseWith(value => parseMenuTime(value, now), query.at, 'at', errors),
+    page: parseNumber(query.page, 'page', errors, { integer: true, min: 1 }),
+    limit: parseNumber(query.limit, 'limit', errors, { integer: true, min: 1 })
+  };
+
+  if (query.sort !== undefined && !SORT_ORDERS.includes(query.sort)) {
+    errors.push({ param: 'sort', message: `must be one of ${SORT_ORDERS.join(', ')}` });
+  }
+  criteria.sort = query.sort || (criteria.q ? 'relevance' : 'popularity');
+
+  if (criteria.minSpice !== undefined && criteria.maxSpice !== undefined && criteria.minSpice > criteria.maxSpice) {
+    errors.push({ param: 'minSpice', message: 'must not be greater than maxSpice' });
+  }
+  if (criteria.minPrice !== undefined && criteria.maxPrice !== undefined && criteria.minPrice > criteria.maxPrice) {
+    errors.push({ param: 'minPrice', message: 'must not be greater than maxPrice' });
+  }
+  if (criteria.limit > MAX_PAGE_SIZE) {
+    errors.push({ param: 'limit', message: `must be at most ${MAX_PAGE_SIZE}` });
+  }
+
+  if (errors.length) throw new ApiError(400, 'Invalid menu query', { errors });
+  return criteria;
+};
+
+// MongoDB filter for the structured criteria; text search is done in `searchMenu`
+const toMongoFilter = (criteria) => {
+  const filter = { available: true, deletedAt: null };
+  if (criteria.categories) filter.category = { $in: criteria.categories };
+  if (criteria.isVeg !== undefined) filter.isVeg = criteria.isVeg;
+  if (criteria.popular !== undefined) filter.popular = criteria.popular ? true : { $ne: true };
+  if (criteria.chefSpecial !== undefined) filter.chefSpecial = criteria.chefSpecial ? true : { $ne: true };
+  // Items whose allergens were never recorded are not safe to show
+  if (criteria.excludeAllergens) filter.allergens = { $exists: true, $nin: criteria.excludeAllergens };
+  // Prices change with the time of day (happy hours), so price ranges are checked in `searchMenu`
+  if (criteria.minSpice !== undefined || criteria.maxSpice !== undefined) {
+    filter.spiceLevel = {};
+    if (criteria.minSpice !== undefined) filter.spiceLevel.$gte = criteria.minSpice;
+    if (criteria.maxSpice !== undefined) filter.spiceLevel.$lte = criteria.maxSpice;
+  }
+  return filter;
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps)
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (row, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const tokenize = text => (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Typos allowed for a search word: none for short words, more for longer ones
+const allowedTypos = word => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+// 3 exact, 2 prefix, 1 typo match of `term` against `words`, 0 for no match
+const matchWords = (term, words) => words.reduce((best, word) => {
+  if (word === term) return Math.max(best, 3);
+  if (word.startsWith(term)) return Math.max(best, 2);
+  const typos = allowedTypos(term);
+  if (typos && Math.abs(word.length - term.length) <= typos && editDistance(term, word) <= typos) return Math.max(best, 1);
+  return best;
+}, 0);
+
+/**
+ * Relevance of an item for the search words; 0 when any word is missing.
+ * Name matches count double description matches.
+ */
+const relevance = (item, terms) => {
+  const nameWords = tokenize(item.name);
+  const descriptionWords = tokenize(item.description);
+
+  let score = 0;
+  for (const term of terms) {
+    const termScore = Math.max(matchWords(term, nameWords) * 2, matchWords(term, descriptionWords));
+    if (!termScore) return 0;
+    score += termScore;
+  }
+  return score;
+};
+
+const inRange = (value, min, max) =>
+  (min === undefined || (value !== undefined && value >= min)) && (max === undefined || (value !== undefined && value <= max));
+
+const COMPARATORS = {
+  popularity: (a, b) => (menuField(b.item, 'popular') ? 1 : 0) - (menuField(a.item, 'popular') ? 1 : 0)
+    || Number(b.item.rating || 0) - Number(a.item.rating || 0),
+  price_asc: (a, b) => Number(a.item.price) - Number(b.item.price),
+  price_desc: (a, b) => Number(b.item.price) - Number(a.item.price),
+  rating: (a, b) => Number(b.item.rating || 0) - Number(a.item.rating || 0),
+  prep_time: (a, b) => Number(menuField(a.item, 'prepTime') || 0) - Number(menuField(b.item, 'prepTime') || 0)
+};
+COMPARATORS.relevance = (a, b) => b.score - a.score || COMPARATORS.popularity(a, b);
+
+/**
+ * Filters, ranks, sorts and paginates menu items with the parsed criteria.
+ * Works on camelCase and snake_case rows alike; unavailable items are dropped.
+ * Without `page`/`limit` every match is returned on one page.
+ */
+const searchMenu = (menuItems, criteria) => {
+  const terms = tokenize(criteria.q);
+
+  const matches = menuItems
+    .filter(item => item.available !== false && !menuField(item, 'deletedAt'))
+    .filter(item => !criteria.categories || criteria.categories.includes(item.category))
+    .filter(item => criteria.isVeg === undefined || Boolean(menuField(item, 'isVeg')) === criteria.isVeg)
+    .filter(item => criteria.popular === undefined || Boolean(item.popular) === criteria.popular)
+    .filter(item => criteria.chefSpecial === undefined || Boolean(menuField(item, 'chefSpecial')) === criteria.chefSpecial)
+    .filter(item => inRange(Number(item.price), criteria.minPrice, criteria.maxPrice))
+    .filter(item => inRange(menuField(item, 'spiceLevel'), criteria.minSpice, criteria.maxSpice))
+    .filter(item => isSafeFor(item, { excludeAllergens: criteria.excludeAllergens, diets: criteria.diets }))
+    .map(item => ({ item, score: terms.length ? relevance(item, terms) : 0 }))
+    .filter(entry => !terms.length || entry.score > 0);
+
+  // Stable sort keeps menu order for ties
+  const sorted = matches
+    .map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => COMPARATORS[criteria.sort](a, b) || a.index - b.index)
+    .map(entry => entry.item);
+
+  const total = sorted.length;
+  const paginated = criteria.page !== undefined || criteria.limit !== undefined;
+  const limit = paginated ? (criteria.limit || 20) : Math.max(total, 1);
+  const page = criteria.page || 1;
+
+  return {
+    items: sorted.slice((page - 1) * limit, page * limit),
+    total,
+    page,
+    limit,
+    totalPages: Math.max(Math.ceil(total / limit), 1)
+  };
+};
+
+module.exports = {
+  SORT_ORDERS,
+  menuField,
+  parseMenuQuery,
+  toMongoFilter,
+  editDistance,
+  searchMenu
+};
@@ -0,0 +1,278 @@
+const { ApiError } = require('./errors');
+const { MENU_FIELDS, validateMenuItem } = require('./menuItems');
+
+const TRANSFER_FORMATS = ['csv', 'json'];
+const IMPORT_MODES = ['sync', 'merge'];
+
+// How menu fields are written to and read from spreadsheet cells
+const NUMBER_FIELDS = ['price', 'prepTime', 'spiceLevel', 'happyHourPrice'];
+const BOOLEAN_FIELDS = ['available', 'isVeg', 'popular', 'chefSpecial'];
+const LIST_FIELDS = ['allergens', 'dietaryTags', 'sections'];
+const JSON_FIELDS = ['modifierGroups', 'availability', 'comboSlots', 'translations'];
+const CSV_COLUMNS = ['id'].concat(MENU_FIELDS);
+
+// An empty cell leaves a list unset, so an empty list is written as "none"
+const EMPTY_LIST = 'none';
+const LIST_SEPARATOR = '|';
+
+const parseFormat = (value, fallback = 'json') => {
+  const format = (value || fallback).toString().toLowerCase();
+  if (!TRANSFER_FORMATS.includes(format)) {
+    throw new ApiError(400, 'Invalid format', { allowedFormats: TRANSFER_FORMATS });
+  }
+  return format;
+};
+
+const parseMode = (value) => {
+  const mode = (value || 'sync').toString().toLowerCase();
+  if (!IMPORT_MODES.includes(mode)) throw new ApiError(400, 'Invalid import mode', { allowedModes: IMPORT_MODES });
+  return mode;
+};
+
+const itemIdOf = item => String(item._id || item.id);
+
+/**
+ * The editable fields of menu items plus their id, as exported and imported.
+ * Items are plain camelCased objects (Mongo documents or mapped Postgres rows).
+ */
+const toExportRows = menuItems => menuItems.map((menuItem) => {
+  const item = menuItem.toObject ? menuItem.toObject() : menuItem;
+  const row = { id: itemIdOf(item) };
+  MENU_FIELDS.forEach((field) => {
+    if (item[field] !== undefined && item[field] !== null) row[field] = item[field];
+  });
+  return row;
+});
+
+const escapeCell = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+const toCell = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (LIST_FIELDS.includes(field)) return value.length ? value.join(LIST_SEPARATOR) : EMPTY_LIST;
+  if (JSON_FIELDS.includes(field)) return Object.keys(value).length ? JSON.stringify(value) : '';
+  return value;
+};
+
+const toCsv = rows => [CSV_COLUMNS.join(',')]
+  .concat(rows.map(row => CSV_COLUMNS.map(field => escapeCell(toCell(field, row[field]))).join(',')))
+  .join('\r\n') + '\r\n';
+
+// RFC 4180 records: quoted cells may hold commas, quotes ("") and line breaks
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new ApiError(400, 'Invalid CSV: unterminated quoted cell');
+  if (cell !== '' || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  return records.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Reads one cell; values that do not parse are passed on so validation reports them.
+// Throws a SyntaxError for a JSON cell that is not JSON.
+const fromCell = (field, text) => {
+  const value = text.trim();
+  if (value === '') return undefined;
+
+  if (NUMBER_FIELDS.includes(field)) return Number.isFinite(Number(value)) ? Number(value) : value;
+  if (BOOLEAN_FIELDS.includes(field)) {
+    const lower = value.toLowerCase();
+    if (['true', 'yes', '1'].includes(lower)) return true;
+    if (['false', 'no', '0'].includes(lower)) return false;
+    return value;
+  }
+  if (LIST_FIELDS.includes(field)) {
+    return value.toLowerCase() === EMPTY_LIST ? [] : value.split(LIST_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+  }
+  if (JSON_FIELDS.includes(field)) return JSON.parse(value);
+  return value;
+};
+
+/**
+ * Turns an import body into `[{ row, id, body, errors }]`, `row` being the spreadsheet
+ * line (the header is line 1) or the 1-based position in a JSON list, and
+ * `errors` the cells that could not be read.
+ * JSON bodies are a list of items or `{ items: [...] }`, as exported.
+ */
+const readImportRows = (body, format) => {
+  if (format === 'json') {
+    const items = Array.isArray(body) ? body : body && body.items;
+    if (!Array.isArray(items)) throw new ApiError(400, 'JSON imports must be a list of menu items or { items }');
+
+    return items.map((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return { row: index + 1, body: item, errors: [] };
+      const { id, _id, ...fields } = item;
+      return { row: index + 1, id: id || _id, body: fields, errors: [] };
+    });
+  }
+
+  if (typeof body !== 'string' || !body.trim()) throw new ApiError(400, 'CSV imports need a text/csv body');
+  const [header, ...records] = parseCsv(body.replace(/^\uFEFF/, ''));
+  const columns = header.map(column => column.trim());
+
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length) {
+    throw new ApiError(400, 'Unknown CSV columns: ' + unknown.join(', '), { allowedColumns: CSV_COLUMNS });
+  }
+
+  return records.map((cells, index) => {
+    const fields = {};
+    const errors = [];
+    columns.forEach((column, position) => {
+      try {
+        const value = fromCell(column, cells[position] || '');
+        if (value !== undefined) fields[column] = value;
+      } catch (error) {
+        errors.push({ field: column, message: 'is not valid JSON' });
+      }
+    });
+    const { id, ...rest } = fields;
+    return { row: index + 2, id, body: rest, errors };
+  });
+};
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Works out what an import changes, without touching anything:
+ * - rows with an `id`, or the name of a live item, update that item
+ * - other rows create items
+ * - in `sync` mode live items missing from the import are deleted;
+ *   `merge` mode leaves them alone
+ * Every row is validated as a complete menu item; problems are collected per row
+ * as `{ row, name, errors: [{ field, message }] }`.
+ */
+const planImport = (rows, menuItems, { mode = 'sync', categories } = {}) => {
+  const existing = toExportRows(menuItems);
+  const byId = new Map(existing.map(item => [item.id, item]));
+  const byName = new Map(existing.map(item => [item.name.toLowerCase(), item]));
+  const seenNames = new Map();
+  const matched = new Set();
+
+  const plan = { creates: [], updates: [], deletes: [], unchanged: [], errors: [] };
+
+  rows.forEach(({ row, id, body, errors = [] }) => {
+    const name = body && typeof body.name === 'string' ? body.name.trim() : undefined;
+    let fields;
+    try {
+      fields = validateMenuItem(body, { categories });
+    } catch (error) {
+      const fieldErrors = (error.details && error.details.errors) || [{ message: error.message }];
+      plan.errors.push({ row, name, errors: errors.concat(fieldErrors) });
+      return;
+    }
+    if (errors.length) {
+      plan.errors.push({ row, name, errors });
+      return;
+    }
+
+    const lower = fields.name.toLowerCase();
+    if (seenNames.has(lower)) {
+      plan.errors.push({ row, name, errors: [{ field: 'name', message: `is already used on row ${seenNames.get(lower)}` }] });
+      return;
+    }
+    seenNames.set(lower, row);
+
+    const target = id !== undefined ? byId.get(String(id)) : byName.get(lower);
+    if (id !== undefined && !target) {
+      plan.errors.push({ row, name, errors: [{ field: 'id', message: 'is not a menu item' }] });
+      return;
+    }
+    if (!target) {
+      plan.creates.push({ row, name: fields.name, fields });
+      return;
+    }
+    if (matched.has(target.id)) {
+      plan.errors.push({ row, name, errors: [{ field: 'id', message: 'updates an item another row already updates' }] });
+      return;
+    }
+    matched.add(target.id);
+
+    const changes = Object.keys(fields).filter(field => !sameValue(fields[field], target[field]));
+    if (changes.length) {
+      plan.updates.push({ row, id: target.id, name: fields.name, changes, fields });
+    } else {
+      plan.unchanged.push({ row, id: target.id, name: fields.name });
+    }
+  });
+
+  const kept = existing.filter(item => !matched.has(item.id));
+  if (mode === 'sync') {
+    plan.deletes = kept.map(item => ({ id: item.id, name: item.name }));
+  } else {
+    // Names stay unique across the rows and the items they leave alone
+    plan.creates.concat(plan.updates).forEach(({ row, name }) => {
+      const clash = kept.find(item => item.name.toLowerCase() === name.toLowerCase());
+      if (clash) plan.errors.push({ row, name, errors: [{ field: 'name', message: `is already used by menu item ${clash.id}` }] });
+    });
+  }
+
+  plan.errors.sort((a, b) => a.row - b.row);
+  return plan;
+};
+
+// What a plan does, as returned by both the preview and the real import
+const describePlan = (plan, { dryRun, mode }) => ({
+  dryRun,
+  mode,
+  valid: plan.errors.length === 0,
+  summary: {
+    creates: plan.creates.length,
+    updates: plan.updates.length,
+    deletes: plan.deletes.length,
+    unchanged: plan.unchanged.length,
+    errors: plan.errors.length
+  },
+  creates: plan.creates.map(({ row, name }) => ({ row, name })),
+  updates: plan.updates.map(({ row, id, name, changes }) => ({ row, id, name, changes })),
+  deletes: plan.deletes,
+  errors: plan.errors
+});
+
+module.exports = {
+  TRANSFER_FORMATS,
+  IMPORT_MODES,
+  CSV_COLUMNS,
+  parseFormat,
+  parseMode,
+  toExportRows,
+  toCsv,
+  parseCsv,
+  readImportRows,
+  planImport,
+  describePlan
+};
@@ -0,0 +1,137 @@
+const { ApiError } = require('./errors');
+const { toPaise, fromPaise } = require('./money');
+
+const SELECTION_TYPES = ['single', 'multiple'];
+
+const modifierGroupsOf = menuItem => menuItem.modifierGroups || menuItem.modifier_groups || [];
+
+/**
+ * Checks the modifier groups of a menu item definition:
+ * `[{ id, name, required, selection: single|multiple, maxSelections?, options: [{ id, name, priceDelta }] }]`.
+ * Throws a 400 ApiError describing the first problem.
+ */
+const validateModifierGroups = (groups) => {
+  if (!Array.isArray(groups)) throw new ApiError(400, 'modifierGroups must be an array');
+
+  const groupIds = new Set();
+  groups.forEach((group) => {
+    if (!group || !group.id || !group.name) throw new ApiError(400, 'Every modifier group needs an id and a name');
+    if (groupIds.has(group.id)) throw new ApiError(400, `Duplicate modifier group: ${group.id}`);
+    groupIds.add(group.id);
+
+    if (!SELECTION_TYPES.includes(group.selection || 'single')) {
+      throw new ApiError(400, `Invalid selection for ${group.name}`, { allowedSelections: SELECTION_TYPES });
+    }
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw new ApiError(400, `Modifier group ${group.name} needs at least one option`);
+    }
+    if (group.maxSelections !== undefined && !(Number.isInteger(group.maxSelections) && group.maxSelections > 0)) {
+      throw new ApiError(400, `maxSelections of ${group.name} must be a positive integer`);
+    }
+
+    const optionIds = new Set();
+    group.options.forEach((option) => {
+      if (!option || !option.id || !option.name) throw new ApiError(400, `Every option of ${group.name} needs an id and a name`);
+      if (optionIds.has(option.id)) throw new ApiError(400, `Duplicate option ${option.id} in ${group.name}`);
+      if (option.priceDelta !== undefined && !Number.isFinite(Number(option.priceDelta))) {
+        throw new ApiError(400, `Invalid price delta for ${option.name}`);
+      }
+      optionIds.add(option.id);
+    });
+  });
+
+  return groups;
+};
+
+/**
+ * Resolves the modifiers chosen for a cart line against its menu item.
+ * `requested` is `[{ group, options: [optionId] }]` (`option` is accepted for a single choice).
+ * Returns `[{ group, groupName, option, name, priceDelta }]` in menu order.
+ * Throws a 400 ApiError for unknown groups/options, too many choices or a
+ * missing required group.
+ */
+const resolveModifiers = (menuItem, requested = []) => {
+  if (!Array.isArray(requested)) throw new ApiError(400, `Invalid modifiers for ${menuItem.name}`);
+
+  const groups = modifierGroupsOf(menuItem);
+  const chosen = new Map();
+
+  requested.forEach((selection) => {
+    const group = groups.find(g => g.id === (selection && selection.group));
+    if (!group) {
+      throw new ApiError(400, `Unknown modifier group for ${menuItem.name}: ${selection && selection.group}`);
+    }
+    if (chosen.has(group.id)) throw new ApiError(400, `${group.name} is selected twice for ${menuItem.name}`);
+
+    if (selection.options !== undefined && !Array.isArray(selection.options)) {
+      throw new ApiError(400, `Options of ${group.name} for ${menuItem.name} must be a list`);
+    }
+    const optionIds = selection.options || (selection.option ? [selection.option] : []);
+    const unique = Array.from(new Set(optionIds));
+    const limit = (group.selection || 'single') === 'single' ? 1 : (group.maxSelections || group.options.length);
+    if (unique.length > limit) {
+      throw new ApiError(400, `Choose at most ${limit} of ${group.name} for ${menuItem.name}`);
+    }
+
+    chosen.set(group.id, unique.map((optionId) => {
+      const option = group.options.find(o => o.id === optionId);
+      if (!option) throw new ApiError(400, `Unknown ${group.name} option for ${menuItem.name}: ${optionId}`);
+      return option;
+    }));
+  });
+
+  const missing = groups.filter(group => group.required && !(chosen.get(group.id) || []).length);
+  if (missing.length) {
+    throw new ApiError(400, `Please choose ${missing.map(group => group.name).join(', ')} for ${menuItem.name}`, {
+      missingModifierGroups: missing.map(group => group.id)
+    });
+  }
+
+  return groups
+    .filter(group => chosen.has(group.id))
+    .reduce((modifiers, group) => modifiers.concat(chosen.get(group.id).map(option => ({
+      group: group.id,
+      groupName: group.name,
+      option: option.id,
+      name: option.name,
+      priceDelta: fromPaise(toPaise(option.priceDelta || 0))
+    }))), []);
+};
+
+// Trimmed free-text instructions for the kitchen, or null
+const normalizeNotes = (notes, menuItem, maxLength) => {
+  if (notes === undefined || notes === null) return null;
+  if (typeof notes !== 'string') throw new ApiError(400, `Invalid notes for ${menuItem.name}`);
+
+  const trimmed = notes.trim();
+  if (trimmed.length > maxLength) {
+    throw new ApiError(400, `Notes for ${menuItem.name} must be at most ${maxLength} characters`);
+  }
+  return trimmed || null;
+};
+
+// Same item with the same choices; used to merge lines across rounds
+const modifierSignature = (modifiers = []) =>
+  modifiers.map(modifier => modifier.group + '=' + modifier.option).sort().join(',');
+
+// Ticket text for the kitchen, e.g. "Spice Level: Extra Spicy; Add-ons: Extra Cheese (+₹40)"
+const describeModifiers = (modifiers = []) => {
+  const byGroup = new Map();
+  modifiers.forEach((modifier) => {
+    const sign = modifier.priceDelta > 0 ? '+' : '-';
+    const label = modifier.priceDelta ? `${modifier.name} (${sign}₹${Math.abs(modifier.priceDelta)})` : modifier.name;
+    byGroup.set(modifier.groupName, (byGroup.get(modifier.groupName) || []).concat(label));
+  });
+
+  return Array.from(byGroup.entries()).map(([group, labels]) => `${group}: ${labels.join(', ')}`).join('; ');
+};
+
+module.exports = {
+  SELECTION_TYPES,
+  modifierGroupsOf,
+  validateModifierGroups,
+  resolveModifiers,
+  normalizeNotes,
+  modifierSignature,
+  describeModifiers
+};
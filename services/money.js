@@ -0,0 +1,6 @@
+// Amounts are handled in paise (whole numbers) so repeated percentages never drift.
+// Every service that does money arithmetic takes these two from here.
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const fromPaise = (paise) => paise / 100;
+
+module.exports = { toPaise, fromPaise };
@@ -0,0 +1,62 @@
+const { ApiError } = require('./errors');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'partially_ready', 'ready', 'served', 'cancelled'];
+
+// Allowed next statuses for every status. served and cancelled are terminal.
+// partially_ready is reached through item level updates (some items ready).
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['partially_ready', 'ready'],
+  partially_ready: ['ready'],
+  ready: ['served'],
+  served: [],
+  cancelled: []
+};
+
+// Once the kitchen has started, only a manager may still cancel
+const MANAGER_CANCELLABLE = ['preparing', 'partially_ready', 'ready'];
+
+const canTransition = (from, to, { role } = {}) => {
+  if ((TRANSITIONS[from] || []).includes(to)) return true;
+  return to === 'cancelled' && role === 'manager' && MANAGER_CANCELLABLE.includes(from);
+};
+
+/**
+ * Validates a status change and returns the history entry describing it.
+ * Throws 400 for unknown statuses and 409 for transitions the graph forbids.
+ */
+const transitionStatus = (from, to, { actor, role, reason, at = new Date() } = {}) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new ApiError(400, 'Invalid status');
+  }
+
+  if (!canTransition(from, to, { role })) {
+    throw new ApiError(409, `Cannot change order status from ${from} to ${to}`, {
+      currentStatus: from,
+      allowedStatuses: TRANSITIONS[from] || []
+    });
+  }
+
+  if (role === 'manager' && MANAGER_CANCELLABLE.includes(from) && to === 'cancelled' && !reason) {
+    throw new ApiError(400, 'A reason is required to cancel an order in progress');
+  }
+
+  return createHistoryEntry(from, to, { actor: actor || role || 'staff', reason, at });
+};
+
+const createHistoryEntry = (from, to, { actor, reason, at = new Date() } = {}) => ({
+  from,
+  to,
+  actor: actor || 'system',
+  reason: reason || null,
+  at
+});
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  transitionStatus,
+  createHistoryEntry
+};
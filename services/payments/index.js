@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const paymentsConfig = require('../../config/payments');
+const { ApiError } = require('../errors');
+const MockGateway = require('./mockGateway');
+const { summarizePayments, summarizeRoundPayments, allocateSessionCredit, refundableAmount } = require('./ledger');
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi'];
+// Methods settled outside any gateway, so only staff may record them
+const STAFF_METHODS = ['cash'];
+
+// Card and UPI payments go through a provider; cash is settled at the counter.
+// A provider implements createPayment, refundPayment and parseWebhook and emits
+// `webhook` events for payments it confirms asynchronously.
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Without a configured provider only cash is taken; the mock gateway must be allowed explicitly
+const getProvider = (name = paymentsConfig.provider) => {
+  if (!name) throw new ApiError(400, 'Card and UPI payments are not available', { allowedMethods: ['cash'] });
+  const provider = providers.get(name);
+  if (!provider) throw new ApiError(400, `Unknown payment provider: ${name}`);
+  if (provider.name === 'mock' && !paymentsConfig.allowMockPayments) {
+    throw new ApiError(503, 'The mock payment gateway is disabled');
+  }
+  return provider;
+};
+
+/**
+ * Checks that a webhook body really comes from the provider: providers with their
+ * own scheme implement verifyWebhook(rawBody, headers), the others sign the raw
+ * body with HMAC-SHA256 and PAYMENT_WEBHOOK_SECRET in X-Webhook-Signature (hex).
+ * Throws 401 for a missing or wrong signature and 503 when no secret is configured.
+ */
+const verifyWebhook = (provider, rawBody, headers = {}) => {
+  if (provider.verifyWebhook) {
+    if (!provider.verifyWebhook(rawBody, headers)) throw new ApiError(401, 'Invalid webhook signature');
+    return;
+  }
+  if (!paymentsConfig.webhookSecret) throw new ApiError(503, 'Payment webhooks are not configured');
+
+  const expected = Buffer.from(crypto.createHmac('sha256', paymentsConfig.webhookSecret).update(rawBody || '').digest('hex'));
+  const provided = Buffer.from(String(headers['x-webhook-signature'] || ''));
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new ApiError(401, 'Invalid webhook signature');
+  }
+};
+
+// Subscribes to asynchronous confirmations of every registered provider
+const onWebhook = (handler) => {
+  providers.forEach((provider) => {
+    provider.on('webhook', event => handler(provider.name, event));
+  });
+};
+
+registerProvider(new MockGateway({ webhookDelayMs: paymentsConfig.mockWebhookDelayMs }));
+
+/**
+ * Charges `amount` and returns the fields of the new payment record.
+ * `staff` tells whether staff are recording the payment; guests can only pay through a gateway.
+ * Throws 400 for unknown methods and amounts outside (0, balance], 401 for a guest paying cash.
+ */
+const processPayment = async ({ method, amount, balance, simulate, staff = false }) => {
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new ApiError(400, 'Invalid payment method', { allowedMethods: PAYMENT_METHODS });
+  }
+  if (STAFF_METHODS.includes(method) && !staff) {
+    throw new ApiError(401, `Only staff can record ${method} payments`, {
+      allowedMethods: PAYMENT_METHODS.filter(allowed => !STAFF_METHODS.includes(allowed))
+    });
+  }
+
+  const value = Math.round(Number(amount) * 100) / 100;
+  if (!(value > 0)) throw new ApiError(400, 'Payment amount must be positive');
+  if (value > balance) {
+    throw new ApiError(400, 'Payment amount exceeds the outstanding balance', { balance });
+  }
+
+  if (method === 'cash') {
+    return { kind: 'payment', method, amount: value, status: 'succeeded', provider: 'cash', providerPaymentId: null };
+  }
+
+  const provider = getProvider();
+  const result = await provider.createPayment({ amount: value, method, simulate });
+
+  return {
+    kind: 'payment',
+    method,
+    amount: value,
+    status: result.status,
+    provider: provider.name,
+    providerPaymentId: result.providerPaymentId,
+    failureReason: result.failureReason || null
+  };
+};
+
+/**
+ * Refunds (part of) a settled payment and returns the fields of the refund record.
+ * `refunds` are the earlier refund records of the same payment.
+ */
+const processRefund = async (payment, refunds, { amount, reason } = {}) => {
+  if (payment.kind === 'refund' || payment.status !== 'succeeded') {
+    throw new ApiError(400, 'Only settled payments can be refunded');
+  }
+
+  const refundable = refundableAmount(payment, refunds);
+  const value = amount === undefined ? refundable : Math.round(Number(amount) * 100) / 100;
+
+  if (!(value > 0) || value > refundable) {
+    throw new ApiError(400, 'Invalid refund amount', { refundable });
+  }
+
+  const base = {
+    kind: 'refund',
+    refundOf: payment._id || payment.id,
+    method: payment.method,
+    amount: value,
+    reason: reason || null
+  };
+
+  if (payment.provider === 'cash') {
+    return { ...base, status: 'succeeded', provider: 'cash', providerPaymentId: null };
+  }
+
+  const provider = getProvider(payment.provider);
+  const result = await provider.refundPayment({ providerPaymentId: payment.providerPaymentId, amount: value });
+
+  return { ...base, status: result.status, provider: provider.name, providerPaymentId: result.providerPaymentId };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  STAFF_METHODS,
+  registerProvider,
+  getProvider,
+  verifyWebhook,
+  onWebhook,
+  processPayment,
+  processRefund,
+  summarizePayments,
+  summarizeRoundPayments,
+  allocateSessionCredit,
+  refundableAmount
+};
@@ -0,0 +1,101 @@
+const { toPaise, fromPaise } = require('../money');
+
+// Settled money of a set of payment records; pending and failed records do not count
+const settledAmounts = (payments) => payments
+  .filter(payment => payment.status === 'succeeded')
+  .reduce((totals, payment) => {
+    if (payment.kind === 'refund') totals.refunded += toPaise(payment.amount);
+    else totals.paid += toPaise(payment.amount);
+    return totals;
+  }, { paid: 0, refunded: 0 });
+
+/**
+ * Payment position of a bill.
+ * `credit` is money paid at a higher level (the table session) that covers this bill.
+ *
+ * paymentStatus: unpaid | partially_paid | paid | refund_due | refunded
+ */
+const summarizePayments = (amountDue, payments, credit = 0) => {
+  const settled = settledAmounts(payments);
+  const paid = settled.paid + toPaise(credit);
+  const { refunded } = settled;
+  const duePaise = toPaise(amountDue);
+  const netPaise = paid - refunded;
+
+  let paymentStatus;
+  if (netPaise > duePaise) paymentStatus = 'refund_due';
+  else if (paid === 0) paymentStatus = 'unpaid';
+  else if (refunded > 0 && netPaise === 0 && duePaise === 0) paymentStatus = 'refunded';
+  else if (netPaise === duePaise) paymentStatus = 'paid';
+  else paymentStatus = netPaise > 0 ? 'partially_paid' : 'unpaid';
+
+  return {
+    paymentStatus,
+    amountDue: fromPaise(duePaise),
+    amountPaid: fromPaise(paid),
+    amountRefunded: fromPaise(refunded),
+    balance: fromPaise(Math.max(duePaise - netPaise, 0)),
+    overpaid: fromPaise(Math.max(netPaise - duePaise, 0))
+  };
+};
+
+const netSettled = (payments) => {
+  const { paid, refunded } = settledAmounts(payments);
+  return fromPaise(paid - refunded);
+};
+
+/**
+ * Spreads money paid against a whole session over its rounds, oldest first.
+ * `rounds` are `{ id, due, net }` where `net` is what was paid on the round itself.
+ * Returns a map of round id to the credit it receives.
+ */
+const allocateSessionCredit = (rounds, sessionNet) => {
+  let remaining = toPaise(sessionNet);
+  const credits = new Map();
+
+  rounds.forEach((round) => {
+    const open = Math.max(toPaise(round.due) - toPaise(round.net), 0);
+    const credit = Math.max(Math.min(open, remaining), 0);
+    credits.set(String(round.id), fromPaise(credit));
+    remaining -= credit;
+  });
+
+  return credits;
+};
+
+/**
+ * Payment position of one round (order) of a table session.
+ * `rounds` are `{ id, due }` for every round and `payments` every payment of the
+ * session: those with an `orderId` belong to that round, the others cover the
+ * whole session. The session is billed the sum of its round totals, so paying it
+ * in full settles every round.
+ */
+const summarizeRoundPayments = (orderId, rounds, payments) => {
+  const ownPayments = id => payments.filter(payment => payment.orderId && String(payment.orderId) === String(id));
+  const sessionNet = netSettled(payments.filter(payment => !payment.orderId));
+
+  const credits = allocateSessionCredit(
+    rounds.map(round => ({ id: round.id, due: round.due, net: netSettled(ownPayments(round.id)) })),
+    sessionNet
+  );
+  const round = rounds.find(r => String(r.id) === String(orderId));
+
+  return summarizePayments(round ? round.due : 0, ownPayments(orderId), credits.get(String(orderId)) || 0);
+};
+
+// Net refundable amount of a payment after earlier refunds against it
+const refundableAmount = (payment, refunds) => {
+  const refunded = refunds
+    .filter(refund => refund.status !== 'failed' && String(refund.refundOf) === String(payment._id || payment.id))
+    .reduce((sum, refund) => sum + toPaise(refund.amount), 0);
+  return fromPaise(Math.max(toPaise(payment.amount) - refunded, 0));
+};
+
+module.exports = {
+  settledAmounts,
+  netSettled,
+  summarizePayments,
+  allocateSessionCredit,
+  summarizeRoundPayments,
+  refundableAmount
+};
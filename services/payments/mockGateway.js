@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+
+const SIMULATIONS = ['success', 'failure', 'delayed', 'delayed_failure'];
+
+/**
+ * Local stand-in for a card/UPI processor.
+ *
+ * `simulate` on a payment picks the outcome:
+ * - success:         settled immediately
+ * - failure:         declined immediately
+ * - delayed:         pending, confirmed later through a `webhook` event
+ * - delayed_failure: pending, declined later through a `webhook` event
+ *
+ * The timer is injectable so the delayed flows can be driven by a fake clock.
+ */
+class MockGateway extends EventEmitter {
+  constructor({ webhookDelayMs = parseInt(process.env.MOCK_WEBHOOK_DELAY_MS || '3000', 10), setTimeoutFn = setTimeout } = {}) {
+    super();
+    this.name = 'mock';
+    this.webhookDelayMs = webhookDelayMs;
+    this.setTimeoutFn = setTimeoutFn;
+    this.sequence = 0;
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_${Date.now()}_${this.sequence}`;
+  }
+
+  async createPayment({ amount, method, simulate = 'success' }) {
+    const providerPaymentId = this.nextId('mock_pay');
+    const outcome = SIMULATIONS.includes(simulate) ? simulate : 'success';
+
+    if (outcome === 'failure') {
+      return { providerPaymentId, status: 'failed', failureReason: `${method} payment of ₹${amount} declined (simulated)` };
+    }
+
+    if (outcome === 'delayed' || outcome === 'delayed_failure') {
+      this.setTimeoutFn(() => {
+        this.emit('webhook', this.parseWebhook({
+          paymentId: providerPaymentId,
+          status: outcome === 'delayed' ? 'succeeded' : 'failed',
+          failureReason: outcome === 'delayed' ? undefined : 'Declined by issuer (simulated)'
+        }));
+      }, this.webhookDelayMs);
+
+      return { providerPaymentId, status: 'pending' };
+    }
+
+    return { providerPaymentId, status: 'succeeded' };
+  }
+
+  async refundPayment({ providerPaymentId }) {
+    return { providerPaymentId: this.nextId('mock_refund'), refundOf: providerPaymentId, status: 'succeeded' };
+  }
+
+  // Normalises a webhook body to `{ providerPaymentId, status, failureReason }`
+  parseWebhook(body = {}) {
+    return {
+      providerPaymentId: body.paymentId,
+      status: body.status === 'succeeded' ? 'succeeded' : 'failed',
+      failureReason: body.failureReason || null
+    };
+  }
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,219 @@
+const pricingConfig = require('../config/pricing');
+const { ApiError } = require('./errors');
+const { stationForItem } = require('./kitchenRouting');
+const { resolveModifiers, normalizeNotes, describeModifiers } = require('./modifiers');
+const { allergensOf } = require('./dietary');
+const { isCombo, resolveComboChoices } = require('./combos');
+const { allocate } = require('./billSplit');
+const { namesOf } = require('./translations');
+const { toPaise, fromPaise } = require('./money');
+
+const getMenuItemId = (menuItem) => {
+  const id = menuItem._id || menuItem.id;
+  return id !== undefined && id !== null ? id.toString() : null;
+};
+
+// Finds the menu item a cart line refers to: by id when the client sends one,
+// by name otherwise (the seed-data fallback has no ids), translated names included.
+const findMenuItem = (line, menuItems) => {
+  const requestedId = line.menuItemId || line._id || line.id;
+
+  if (requestedId) {
+    const byId = menuItems.find(item => getMenuItemId(item) === requestedId.toString());
+    if (byId) return byId;
+  }
+
+  if (typeof line.name === 'string' && line.name.trim()) {
+    const name = line.name.trim().toLowerCase();
+    return menuItems.find(item => item.name.toLowerCase() === name) ||
+      menuItems.find(item => namesOf(item).some(known => known.toLowerCase() === name));
+  }
+
+  return undefined;
+};
+
+// A priced order line for one menu item; `basePaise` is its price before modifiers
+const buildLine = (menuItem, basePaise, { modifiers, notes, quantity }) => {
+  const unitPaise = modifiers.reduce((sum, modifier) => sum + toPaise(modifier.priceDelta), basePaise);
+  if (unitPaise < 0) throw new ApiError(400, 'Invalid modifiers for ' + menuItem.name);
+
+  return {
+    menuItemId: getMenuItemId(menuItem),
+    name: menuItem.name,
+    basePrice: fromPaise(basePaise),
+    price: fromPaise(unitPaise),
+    modifiers,
+    modifierText: describeModifiers(modifiers),
+    notes,
+    quantity,
+    category: menuItem.category,
+    image: menuItem.image,
+    prepTime: menuItem.prepTime || menuItem.prep_time || 15,
+    station: stationForItem(menuItem),
+    allergens: allergensOf(menuItem),
+    lineTotal: fromPaise(unitPaise * quantity)
+  };
+};
+
+/**
+ * Expands a combo line into one line per chosen component. The bundle price
+ * is shared out over the components in proportion to their menu prices, so
+ * the lines add up to the combo price (plus any component modifiers), and
+ * every line carries `combo: { menuItemId, name, price, slot, slotName, line }`
+ * where `line` is the position of the combo in the request.
+ */
+const resolveComboLine = (combo, line, lineIndex, quantity, menuItems, config, categories) => {
+  if (line.modifiers && line.modifiers.length) {
+    throw new ApiError(400, `Choose modifiers on the components of ${combo.name}`);
+  }
+
+  const choices = resolveComboChoices(combo, line.components, menuItems, categories);
+  const comboPaise = toPaise(combo.price);
+  const weights = choices.map(({ menuItem }) => toPaise(menuItem.price));
+  const shares = allocate(comboPaise, weights.some(weight => weight > 0) ? weights : weights.map(() => 1));
+
+  return choices.map(({ slot, menuItem, choice }, index) => ({
+    ...buildLine(menuItem, shares[index], {
+      modifiers: resolveModifiers(menuItem, choice.modifiers),
+      notes: normalizeNotes(choice.notes, menuItem, config.maxNotesLength),
+      quantity
+    }),
+    combo: {
+      menuItemId: getMenuItemId(combo),
+      name: combo.name,
+      price: fromPaise(comboPaise),
+      slot: slot.id,
+      slotName: slot.name,
+      line: lineIndex
+    }
+  }));
+};
+
+/**
+ * Replaces client supplied prices with catalogue prices (the scheduled price
+ * when the menu went through `applySchedule`).
+ * The unit price includes the price deltas of the chosen modifiers.
+ * Combos come back as the items to prepare (see `resolveComboLine`); `categories`
+ * are the managed categories their slots are matched against.
+ * Throws an ApiError (400) for malformed lines, unknown, unavailable or badly
+ * quantified items and for invalid modifier choices, notes or combo components.
+ */
+const resolveOrderItems = (requestedItems, menuItems, config = pricingConfig, categories = []) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw new ApiError(400, 'Order must contain at least one item');
+  }
+
+  return requestedItems.reduce((lines, line, lineIndex) => {
+    if (!line || typeof line !== 'object' || Array.isArray(line)) {
+      throw new ApiError(400, `Order item ${lineIndex + 1} must be an object`);
+    }
+    if (line.name !== undefined && typeof line.name !== 'string') {
+      throw new ApiError(400, `Order item ${lineIndex + 1} has a name that is not text`);
+    }
+
+    const menuItem = findMenuItem(line, menuItems);
+
+    if (!menuItem) {
+      throw new ApiError(400, 'Unknown menu item: ' + (line.name || line.menuItemId || line._id || line.id));
+    }
+
+    if (menuItem.available === false) {
+      throw new ApiError(400, menuItem.name + ' is currently unavailable');
+    }
+
+    // Set when the menu went through the schedule (opening hours, sections, windows)
+    if (menuItem.orderableNow === false) {
+      throw new ApiError(400, menuItem.name + ' is not available at this time', { reason: menuItem.unavailableReason });
+    }
+
+    const quantity = Number(line.quantity === undefined ? 1 : line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > config.maxQuantityPerItem) {
+      throw new ApiError(400, 'Invalid quantity for ' + menuItem.name);
+    }
+
+    if (isCombo(menuItem)) {
+      return lines.concat(resolveComboLine(menuItem, line, lineIndex, quantity, menuItems, config, categories));
+    }
+
+    return lines.concat(buildLine(menuItem, toPaise(menuItem.price), {
+      modifiers: resolveModifiers(menuItem, line.modifiers),
+      notes: normalizeNotes(line.notes, menuItem, config.maxNotesLength),
+      quantity
+    }));
+  }, []);
+};
+
+/**
+ * Builds the bill for already resolved lines:
+ * subtotal -> discounts -> service charge -> taxes (on discounted subtotal + charges) -> rounding -> total.
+ * `discounts` are the promotions applied to the lines (`{ amount, ... }` in rupees).
+ */
+const calculateBreakdown = (lines, config = pricingConfig, discounts = []) => {
+  const subtotalPaise = lines.reduce((sum, line) => sum + toPaise(line.lineTotal), 0);
+  const discountPaise = Math.min(discounts.reduce((sum, discount) => sum + toPaise(discount.amount), 0), subtotalPaise);
+  const netPaise = subtotalPaise - discountPaise;
+
+  const charges = [];
+  if (config.serviceChargeRate > 0) {
+    charges.push({
+      name: 'Service Charge',
+      rate: config.serviceChargeRate,
+      amount: Math.round(netPaise * config.serviceChargeRate / 100)
+    });
+  }
+  const chargesPaise = charges.reduce((sum, charge) => sum + charge.amount, 0);
+
+  const taxablePaise = netPaise + chargesPaise;
+  const taxes = config.taxes
+    .filter(tax => tax.rate > 0)
+    .map(tax => ({
+      name: tax.name,
+      rate: tax.rate,
+      amount: Math.round(taxablePaise * tax.rate / 100)
+    }));
+  const taxesPaise = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  const beforeRoundingPaise = taxablePaise + taxesPaise;
+  const roundToPaise = toPaise(config.roundTo);
+  const totalPaise = roundToPaise > 0
+    ? Math.round(beforeRoundingPaise / roundToPaise) * roundToPaise
+    : beforeRoundingPaise;
+
+  return {
+    currency: config.currency,
+    subtotal: fromPaise(subtotalPaise),
+    discounts,
+    discountTotal: fromPaise(discountPaise),
+    taxes: taxes.map(tax => ({ ...tax, amount: fromPaise(tax.amount) })),
+    charges: charges.map(charge => ({ ...charge, amount: fromPaise(charge.amount) })),
+    rounding: fromPaise(totalPaise - beforeRoundingPaise),
+    total: fromPaise(totalPaise)
+  };
+};
+
+const priceOrder = (requestedItems, menuItems, config = pricingConfig, categories = []) => {
+  const items = resolveOrderItems(requestedItems, menuItems, config, categories);
+  return { items, pricing: calculateBreakdown(items, config) };
+};
+
+// Rejects orders whose client side total disagrees with the server total.
+const assertTotalMatches = (clientTotal, pricing, config = pricingConfig) => {
+  const submitted = Number(clientTotal);
+
+  if (!Number.isFinite(submitted) || Math.abs(submitted - pricing.total) > config.totalTolerance) {
+    throw new ApiError(409, 'Order total mismatch', {
+      submittedTotal: clientTotal,
+      expectedTotal: pricing.total,
+      pricing
+    });
+  }
+};
+
+module.exports = {
+  getMenuItemId,
+  findMenuItem,
+  resolveOrderItems,
+  calculateBreakdown,
+  priceOrder,
+  assertTotalMatches
+};
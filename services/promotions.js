@@ -0,0 +1,338 @@
+const pricingConfig = require('../config/pricing');
+const { ApiError } = require('./errors');
+const { allocate } = require('./billSplit');
+const { calculateBreakdown } = require('./pricing');
+const { toPaise, fromPaise } = require('./money');
+const { MENU_CATEGORIES } = require('./menuItems');
+
+const PROMOTION_TYPES = ['percentage', 'flat', 'buy_x_get_y'];
+const PROMOTION_SCOPES = ['order', 'category', 'item'];
+const MAX_DEAL_QUANTITY = 20;
+
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+const isDate = value => (typeof value === 'string' || value instanceof Date) && !Number.isNaN(new Date(value).getTime());
+
+const normalizeCode = code => (typeof code === 'string' && code.trim() ? code.trim().toUpperCase() : null);
+
+// `{ categories, items }` of a scope or deal side; items are names or menu item ids
+const validateTarget = (target, field, errors, menuCategories) => {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    errors.push({ field, message: 'must be an object with categories or items' });
+    return undefined;
+  }
+
+  const categories = target.categories || [];
+  const items = target.items || [];
+  if (!Array.isArray(categories) || !categories.every(category => menuCategories.includes(category))) {
+    errors.push({ field: field + '.categories', message: `must be a list of: ${menuCategories.join(', ')}` });
+  }
+  if (!Array.isArray(items) || !items.every(item => isText(String(item), 100))) {
+    errors.push({ field: field + '.items', message: 'must be a list of menu item names or ids' });
+  }
+  if (!categories.length && !items.length) {
+    errors.push({ field, message: 'needs at least one category or item' });
+  }
+
+  const quantity = target.quantity === undefined ? 1 : target.quantity;
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_DEAL_QUANTITY) {
+    errors.push({ field: field + '.quantity', message: `must be a whole number between 1 and ${MAX_DEAL_QUANTITY}` });
+  }
+
+  return { categories, items: items.map(String), quantity };
+};
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'code', 'type', 'value', 'scope', 'categories', 'items', 'buy', 'reward',
+  'minSpend', 'startsAt', 'endsAt', 'usageLimit', 'stackable', 'priority'
+];
+
+/**
+ * Validates a new promotion and fills in the defaults.
+ *
+ * - percentage: `value` percent off the order, or the matching `categories`/`items`
+ * - flat:       `value` rupees off the order, or off every matching unit
+ * - buy_x_get_y: for every `buy.quantity` units bought, `reward.quantity` units are
+ *   `value` percent off (100, free, by default); the cheapest qualifying units are discounted
+ *
+ * `categories` are the slugs of the managed categories promotions may target.
+ * Throws a 400 ApiError listing every invalid or unknown field.
+ */
+const validatePromotion = (body, { categories = MENU_CATEGORIES } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Promotion must be an object');
+  }
+
+  const errors = [];
+  Object.keys(body)
+    .filter(field => !PROMOTION_FIELDS.includes(field))
+    .forEach(field => errors.push({ field, message: 'is not a promotion field' }));
+
+  if (!isText(body.name, 100)) errors.push({ field: 'name', message: 'must be a non-empty string of at most 100 characters' });
+  if (body.description !== undefined && (typeof body.description !== 'string' || body.description.length > 500)) {
+    errors.push({ field: 'description', message: 'must be a string of at most 500 characters' });
+  }
+  if (body.code !== undefined && body.code !== null && !/^[A-Za-z0-9_-]{3,32}$/.test(body.code)) {
+    errors.push({ field: 'code', message: 'must be 3-32 letters, digits, dashes or underscores' });
+  }
+  if (!PROMOTION_TYPES.includes(body.type)) {
+    errors.push({ field: 'type', message: `must be one of ${PROMOTION_TYPES.join(', ')}` });
+  }
+
+  const value = body.value === undefined && body.type === 'buy_x_get_y' ? 100 : body.value;
+  const maxValue = body.type === 'flat' ? 100000 : 100;
+  if (typeof value !== 'number' || !(value > 0) || value > maxValue) {
+    errors.push({ field: 'value', message: `must be a number above 0 and at most ${maxValue}` });
+  }
+
+  const promotion = {
+    name: typeof body.name === 'string' ? body.name.trim() : body.name,
+    description: body.description || '',
+    code: normalizeCode(body.code),
+    type: body.type,
+    value,
+    scope: null,
+    categories: [],
+    items: [],
+    buy: null,
+    reward: null,
+    minSpend: body.minSpend === undefined ? 0 : body.minSpend,
+    startsAt: body.startsAt ? new Date(body.startsAt) : null,
+    endsAt: body.endsAt ? new Date(body.endsAt) : null,
+    usageLimit: body.usageLimit === undefined ? null : body.usageLimit,
+    stackable: body.stackable === undefined ? false : body.stackable,
+    priority: body.priority === undefined ? 0 : body.priority
+  };
+
+  if (body.type === 'buy_x_get_y') {
+    promotion.buy = validateTarget(body.buy, 'buy', errors, categories);
+    promotion.reward = validateTarget(body.reward, 'reward', errors, categories);
+  } else {
+    promotion.scope = body.scope === undefined ? 'order' : body.scope;
+    if (!PROMOTION_SCOPES.includes(promotion.scope)) {
+      errors.push({ field: 'scope', message: `must be one of ${PROMOTION_SCOPES.join(', ')}` });
+    } else if (promotion.scope === 'category') {
+      if (!Array.isArray(body.categories) || !body.categories.length || !body.categories.every(category => categories.includes(category))) {
+        errors.push({ field: 'categories', message: `must be a non-empty list of: ${categories.join(', ')}` });
+      } else {
+        promotion.categories = body.categories;
+      }
+    } else if (promotion.scope === 'item') {
+      if (!Array.isArray(body.items) || !body.items.length || !body.items.every(item => isText(String(item), 100))) {
+        errors.push({ field: 'items', message: 'must be a non-empty list of menu item names or ids' });
+      } else {
+        promotion.items = body.items.map(String);
+      }
+    }
+  }
+
+  if (typeof promotion.minSpend !== 'number' || promotion.minSpend < 0) {
+    errors.push({ field: 'minSpend', message: 'must be a number of at least 0' });
+  }
+  if (body.startsAt && !isDate(body.startsAt)) errors.push({ field: 'startsAt', message: 'must be an ISO date' });
+  if (body.endsAt && !isDate(body.endsAt)) errors.push({ field: 'endsAt', message: 'must be an ISO date' });
+  if (isDate(body.startsAt) && isDate(body.endsAt) && promotion.endsAt <= promotion.startsAt) {
+    errors.push({ field: 'endsAt', message: 'must be after startsAt' });
+  }
+  if (promotion.usageLimit !== null && !(Number.isInteger(promotion.usageLimit) && promotion.usageLimit >= 1)) {
+    errors.push({ field: 'usageLimit', message: 'must be a whole number of at least 1, or null for no limit' });
+  }
+  if (typeof promotion.stackable !== 'boolean') errors.push({ field: 'stackable', message: 'must be true or false' });
+  if (!Number.isInteger(promotion.priority)) errors.push({ field: 'priority', message: 'must be a whole number' });
+
+  if (errors.length) throw new ApiError(400, 'Invalid promotion', { errors });
+  return promotion;
+};
+
+// Codes are matched case-insensitively, so two promotions may not share one
+const assertUniqueCode = (code, promotions) => {
+  if (code && promotions.some(promotion => promotion.code === code)) {
+    throw new ApiError(409, `A promotion with code ${code} already exists`);
+  }
+};
+
+// Why a promotion cannot be used at `now`; null when it can
+const unavailableReason = (promotion, now) => {
+  if (promotion.status === 'retired') return 'has been retired';
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) return 'has not started yet';
+  if (promotion.endsAt && new Date(promotion.endsAt) <= now) return 'has expired';
+  if (promotion.usageLimit !== null && promotion.usageLimit !== undefined && promotion.redemptionCount >= promotion.usageLimit) {
+    return 'has been fully redeemed';
+  }
+  return null;
+};
+
+// Combo components are already bundle priced, so only order-wide promotions reach them
+const matchesTarget = (line, target) => {
+  if (line.combo) return false;
+  const items = (target.items || []).map(item => String(item).toLowerCase());
+  return (target.categories || []).includes(line.category) ||
+    items.includes(String(line.name).toLowerCase()) ||
+    (line.menuItemId !== undefined && items.includes(String(line.menuItemId).toLowerCase()));
+};
+
+// Buy X get Y: the cheapest qualifying units are discounted, paid for by the dearest ones
+const dealDiscounts = (promotion, lines, remaining) => {
+  const amounts = lines.map(() => 0);
+  const units = [];
+  lines.forEach((line, index) => {
+    allocate(remaining[index], Array.from({ length: line.quantity }, () => 1)).forEach((price) => {
+      units.push({ index, price, buy: matchesTarget(line, promotion.buy), reward: matchesTarget(line, promotion.reward), used: false });
+    });
+  });
+
+  for (;;) {
+    const rewards = units.filter(unit => unit.reward && !unit.used)
+      .sort((a, b) => a.price - b.price)
+      .slice(0, promotion.reward.quantity);
+    if (rewards.length < promotion.reward.quantity) break;
+
+    const buys = units.filter(unit => unit.buy && !unit.used && !rewards.includes(unit))
+      .sort((a, b) => b.price - a.price)
+      .slice(0, promotion.buy.quantity);
+    if (buys.length < promotion.buy.quantity) break;
+
+    rewards.concat(buys).forEach((unit) => { unit.used = true; });
+    rewards.forEach((unit) => { amounts[unit.index] += Math.round(unit.price * promotion.value / 100); });
+  }
+
+  return amounts;
+};
+
+// Discount (paise) each line gets from a promotion, given what is still left to pay on each line
+const lineDiscounts = (promotion, lines, remaining) => {
+  if (promotion.type === 'buy_x_get_y') return dealDiscounts(promotion, lines, remaining);
+
+  const targeted = lines.map(line => promotion.scope === 'order' || matchesTarget(line, promotion));
+  const weights = remaining.map((paise, index) => (targeted[index] ? paise : 0));
+  const base = weights.reduce((sum, paise) => sum + paise, 0);
+
+  if (promotion.type === 'percentage') return allocate(Math.round(base * promotion.value / 100), weights);
+  if (promotion.scope === 'order') return allocate(Math.min(toPaise(promotion.value), base), weights);
+  return lines.map((line, index) => (targeted[index] ? Math.min(toPaise(promotion.value) * line.quantity, remaining[index]) : 0));
+};
+
+// Applies promotions one after the other, highest priority first, so together they never exceed a line
+const applyInOrder = (promotions, lines) => {
+  const remaining = lines.map(line => toPaise(line.lineTotal));
+  const discounts = [];
+
+  promotions
+    .slice()
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+    .forEach((promotion) => {
+      const amounts = lineDiscounts(promotion, lines, remaining);
+      const total = amounts.reduce((sum, paise) => sum + paise, 0);
+      if (total <= 0) return;
+
+      amounts.forEach((paise, index) => { remaining[index] -= paise; });
+      discounts.push({
+        promotionId: String(promotion._id || promotion.id),
+        name: promotion.name,
+        code: promotion.code || null,
+        type: promotion.type,
+        amount: fromPaise(total),
+        items: amounts
+          .map((paise, index) => ({ menuItemId: lines[index].menuItemId, name: lines[index].name, amount: fromPaise(paise) }))
+          .filter(item => item.amount > 0)
+      });
+    });
+
+  return { discounts, totalPaise: discounts.reduce((sum, discount) => sum + toPaise(discount.amount), 0) };
+};
+
+/**
+ * Applies promotions to a priced order (`{ items, pricing }` from `priceOrder`).
+ *
+ * A `couponCode` must name a usable promotion or the order is rejected (400).
+ * Promotions without a code apply automatically. Stacking: stackable promotions
+ * combine with each other; a promotion that is not stackable applies alone.
+ * Without a coupon the combination saving the most is chosen; with one, the
+ * coupon always applies, together with the automatic stackable promotions if
+ * it is stackable itself. Minimum spend is checked against the subtotal.
+ *
+ * Returns `{ items, pricing, discounts }` with the pricing recalculated.
+ */
+const applyPromotions = (priced, promotions, { couponCode, now = new Date(), config = pricingConfig } = {}) => {
+  const lines = priced.items;
+  const subtotalPaise = toPaise(priced.pricing.subtotal);
+  const meetsMinimum = promotion => subtotalPaise >= toPaise(promotion.minSpend || 0);
+
+  const automatic = promotions.filter(promotion => !promotion.code && !unavailableReason(promotion, now) && meetsMinimum(promotion));
+  const stackable = automatic.filter(promotion => promotion.stackable);
+  let best;
+
+  const code = normalizeCode(couponCode);
+  if (code) {
+    const coupon = promotions.find(promotion => promotion.code === code);
+    if (!coupon) throw new ApiError(400, `Coupon ${code} is not valid`);
+
+    const reason = unavailableReason(coupon, now);
+    if (reason) throw new ApiError(400, `Coupon ${code} ${reason}`);
+    if (!meetsMinimum(coupon)) {
+      throw new ApiError(400, `Coupon ${code} needs a minimum spend of ₹${coupon.minSpend}`, { minSpend: coupon.minSpend });
+    }
+
+    best = applyInOrder(coupon.stackable ? [coupon].concat(stackable) : [coupon], lines);
+    if (!best.discounts.some(discount => discount.code === code)) {
+      throw new ApiError(400, `Coupon ${code} does not apply to the items in this order`);
+    }
+  } else {
+    best = [stackable]
+      .concat(automatic.filter(promotion => !promotion.stackable).map(promotion => [promotion]))
+      .map(candidate => applyInOrder(candidate, lines))
+      .reduce((winner, result) => (result.totalPaise > winner.totalPaise ? result : winner), { discounts: [], totalPaise: 0 });
+  }
+
+  return {
+    items: lines,
+    pricing: calculateBreakdown(lines, config, best.discounts),
+    discounts: best.discounts
+  };
+};
+
+/**
+ * Redemption report: one entry per promotion with the number of orders, the
+ * money given away and the orders themselves. Void redemptions (cancelled orders) are left out.
+ */
+const summarizeRedemptions = (redemptions) => {
+  const byPromotion = new Map();
+
+  redemptions
+    .filter(redemption => redemption.status !== 'void')
+    .forEach((redemption) => {
+      const key = String(redemption.promotionId);
+      if (!byPromotion.has(key)) {
+        byPromotion.set(key, { promotionId: key, name: redemption.name, code: redemption.code || null, redemptions: 0, discountPaise: 0, orders: [] });
+      }
+      const entry = byPromotion.get(key);
+      entry.redemptions += 1;
+      entry.discountPaise += toPaise(redemption.amount);
+      entry.orders.push({
+        orderId: redemption.orderId,
+        tableNo: redemption.tableNo,
+        amount: Number(redemption.amount),
+        redeemedAt: redemption.redeemedAt
+      });
+    });
+
+  const promotions = Array.from(byPromotion.values())
+    .sort((a, b) => b.discountPaise - a.discountPaise)
+    .map(({ discountPaise, ...entry }) => ({ ...entry, discountTotal: fromPaise(discountPaise) }));
+
+  return {
+    redemptions: promotions.reduce((sum, entry) => sum + entry.redemptions, 0),
+    discountTotal: fromPaise(promotions.reduce((sum, entry) => sum + toPaise(entry.discountTotal), 0)),
+    promotions
+  };
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+  normalizeCode,
+  validatePromotion,
+  assertUniqueCode,
+  unavailableReason,
+  applyPromotions,
+  summarizeRedemptions
+};
@@ -0,0 +1,158 @@
+const { ApiError } = require('./errors');
+
+// published: shown and counted; flagged: held for a moderator, the stars still
+// count but the comment is withheld; hidden: neither shown nor counted
+const REVIEW_STATUSES = ['published', 'flagged', 'hidden'];
+const MAX_PAGE_SIZE = 50;
+
+const FIELD_RULES = {
+  rating: { check: value => Number.isInteger(value) && value >= 1 && value <= 5, message: 'must be a whole number from 1 to 5' },
+  comment: { check: value => value === null || (typeof value === 'string' && value.length <= 1000), message: 'must be at most 1000 characters' },
+  author: { check: value => value === null || (typeof value === 'string' && value.length <= 60), message: 'must be at most 60 characters' }
+};
+
+const textOrNull = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Validates a review body `{ rating, comment?, author? }`.
+ * Throws a 400 ApiError listing every invalid, unknown or missing field.
+ */
+const validateReview = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Review must be an object');
+  }
+
+  const errors = Object.keys(body)
+    .map((field) => {
+      const rule = FIELD_RULES[field];
+      if (!rule) return { field, message: 'is not a review field' };
+      return rule.check(body[field]) ? null : { field, message: rule.message };
+    })
+    .filter(Boolean);
+  if (body.rating === undefined) errors.push({ field: 'rating', message: 'is required' });
+
+  if (errors.length) throw new ApiError(400, 'Invalid review', { errors });
+  return { rating: body.rating, comment: textOrNull(body.comment), author: textOrNull(body.author) };
+};
+
+// Order lines come camelCased from Mongo and snake_cased from Postgres
+const menuItemIdOf = item => item.menuItemId || item.menu_item_id;
+
+/**
+ * Only lines of served orders can be rated, each once.
+ * Throws 409 for orders not served (yet), cancelled lines and lines already reviewed.
+ */
+const assertReviewable = (order, item, existingReview) => {
+  if (order.status !== 'served') {
+    throw new ApiError(409, 'Only served orders can be reviewed', { currentStatus: order.status });
+  }
+  if (item.status === 'cancelled') throw new ApiError(409, 'Cancelled items cannot be reviewed');
+  if (!menuItemIdOf(item)) throw new ApiError(409, `${item.name} is no longer on the menu`);
+  if (existingReview) throw new ApiError(409, `${item.name} has already been reviewed for this order`);
+};
+
+// The fields of a new review of one order line
+const buildReview = (order, item, fields) => ({
+  orderId: String(order._id || order.id),
+  orderItemId: String(item._id || item.id),
+  menuItemId: String(menuItemIdOf(item)),
+  menuItemName: item.name,
+  tableNo: order.tableNo || order.table_no,
+  ...fields,
+  status: 'published',
+  moderationReason: null
+});
+
+/**
+ * Validates a moderation body `{ status, reason? }`; `reason` is kept for the
+ * moderators only. Throws a 400 ApiError for unknown statuses.
+ */
+const validateModeration = (body) => {
+  const { status, reason } = body || {};
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new ApiError(400, 'Invalid review status', { allowedStatuses: REVIEW_STATUSES });
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    throw new ApiError(400, 'reason must be at most 500 characters');
+  }
+  return { status, moderationReason: textOrNull(reason) };
+};
+
+const isCounted = review => review.status !== 'hidden';
+
+/**
+ * The rating shown on a menu item: the mean of its published and flagged
+ * reviews to one decimal, or null before the first one.
+ * Returns `{ rating, ratingCount, distribution: { 1..5: count } }`.
+ */
+const aggregateRating = (reviews) => {
+  const counted = reviews.filter(isCounted);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counted.forEach((review) => { distribution[review.rating] += 1; });
+
+  const sum = counted.reduce((total, review) => total + review.rating, 0);
+  return {
+    rating: counted.length ? Math.round((sum / counted.length) * 10) / 10 : null,
+    ratingCount: counted.length,
+    distribution
+  };
+};
+
+const parsePageNumber = (value, name, errors, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    errors.push({ param: name, message: 'must be a whole number of at least 1' });
+  }
+  return number;
+};
+
+// `page` and `limit` (default 20, at most 50); throws a 400 ApiError listing invalid parameters
+const parseReviewPage = (query = {}) => {
+  const errors = [];
+  const page = parsePageNumber(query.page, 'page', errors, 1);
+  const limit = parsePageNumber(query.limit, 'limit', errors, 20);
+  if (limit > MAX_PAGE_SIZE) errors.push({ param: 'limit', message: `must be at most ${MAX_PAGE_SIZE}` });
+
+  if (errors.length) throw new ApiError(400, 'Invalid review query', { errors });
+  return { page, limit };
+};
+
+// A review as guests see it: no order details, no comment while flagged
+const toPublicReview = review => ({
+  id: String(review._id || review.id),
+  rating: review.rating,
+  comment: review.status === 'flagged' ? null : review.comment,
+  author: review.author || null,
+  createdAt: review.createdAt
+});
+
+/**
+ * One page of the reviews guests may see, newest first, with the aggregate:
+ * `{ items, total, page, limit, totalPages, rating, ratingCount, distribution }`.
+ */
+const listReviews = (reviews, { page, limit }) => {
+  const visible = reviews
+    .filter(isCounted)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return {
+    items: visible.slice((page - 1) * limit, page * limit).map(toPublicReview),
+    total: visible.length,
+    page,
+    limit,
+    totalPages: Math.max(Math.ceil(visible.length / limit), 1),
+    ...aggregateRating(reviews)
+  };
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  validateReview,
+  assertReviewable,
+  buildReview,
+  validateModeration,
+  aggregateRating,
+  parseReviewPage,
+  listReviews
+};
@@ -0,0 +1,132 @@
+const { calculateBreakdown } = require('./pricing');
+const { modifierSignature } = require('./modifiers');
+const { toPaise, fromPaise } = require('./money');
+
+// Combines identical lines (same item, modifiers, price and combo) across rounds
+const mergeLines = (lines) => {
+  const merged = new Map();
+
+  lines.forEach((line) => {
+    const price = Number(line.price);
+    const key = (line.menuItemId || line.name) + '[' + modifierSignature(line.modifiers) + ']@' + price +
+      (line.combo ? ' in ' + (line.combo.menuItemId || line.combo.name) : '');
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.quantity += line.quantity;
+      existing.lineTotal = Math.round(existing.price * existing.quantity * 100) / 100;
+    } else {
+      merged.set(key, {
+        menuItemId: line.menuItemId,
+        name: line.name,
+        price,
+        modifiers: line.modifiers || [],
+        modifierText: line.modifierText || '',
+        quantity: line.quantity,
+        category: line.category,
+        ...(line.combo ? { combo: { menuItemId: line.combo.menuItemId, name: line.combo.name, slot: line.combo.slot, slotName: line.combo.slotName } } : {}),
+        lineTotal: Math.round(price * line.quantity * 100) / 100
+      });
+    }
+  });
+
+  return Array.from(merged.values());
+};
+
+// Combines the discounts of several rounds, one entry per promotion
+const mergeDiscounts = (discounts) => {
+  const merged = new Map();
+
+  discounts.forEach((discount) => {
+    const key = String(discount.promotionId);
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.amount = Math.round((existing.amount + Number(discount.amount)) * 100) / 100;
+      existing.items = existing.items.concat(discount.items || []);
+    } else {
+      merged.set(key, {
+        promotionId: discount.promotionId,
+        name: discount.name,
+        code: discount.code || null,
+        type: discount.type,
+        amount: Number(discount.amount),
+        items: Array.from(discount.items || [])
+      });
+    }
+  });
+
+  return Array.from(merged.values());
+};
+
+// Adds up taxes or charges of several rounds, one entry per name and rate (amounts in paise)
+const sumAmounts = (entries) => {
+  const summed = new Map();
+
+  entries.forEach((entry) => {
+    const key = entry.name + '@' + entry.rate;
+    const existing = summed.get(key);
+    if (existing) existing.amount += toPaise(entry.amount);
+    else summed.set(key, { ...entry, amount: toPaise(entry.amount) });
+  });
+
+  return Array.from(summed.values()).map(entry => ({ ...entry, amount: fromPaise(entry.amount) }));
+};
+
+const sumOf = (pricings, field) => fromPaise(pricings.reduce((sum, pricing) => sum + toPaise(pricing[field] || 0), 0));
+
+/**
+ * The bill of several rounds: every component of their stored breakdowns added up.
+ * Each round was rounded when it was ordered, so the total is the sum of the round
+ * totals and is not rounded again.
+ */
+const sumPricing = (pricings) => ({
+  currency: pricings.length ? pricings[0].currency : calculateBreakdown([]).currency,
+  subtotal: sumOf(pricings, 'subtotal'),
+  discounts: mergeDiscounts(pricings.reduce((all, pricing) => all.concat(pricing.discounts || []), [])),
+  discountTotal: sumOf(pricings, 'discountTotal'),
+  taxes: sumAmounts(pricings.reduce((all, pricing) => all.concat(pricing.taxes || []), [])),
+  charges: sumAmounts(pricings.reduce((all, pricing) => all.concat(pricing.charges || []), [])),
+  rounding: sumOf(pricings, 'rounding'),
+  total: sumOf(pricings, 'total')
+});
+
+/**
+ * Builds the running bill of a table session.
+ * `session` is `{ id, tableNo, status, openedAt, closedAt, declaredAllergens }` and `orders` are the
+ * session rounds as `{ id, round, status, items, pricing, total, createdAt }`, `pricing` being the
+ * breakdown stored with the order (orders placed before server-side pricing have none).
+ * Cancelled rounds are listed but not billed, and neither are their discounts.
+ */
+const summarizeSession = (session, orders) => {
+  const rounds = orders
+    .slice()
+    .sort((a, b) => a.round - b.round)
+    .map(order => ({
+      orderId: order.id,
+      round: order.round,
+      status: order.status,
+      total: Number(order.total),
+      createdAt: order.createdAt
+    }));
+
+  const billable = orders.filter(order => order.status !== 'cancelled');
+  const items = mergeLines(billable.reduce((lines, order) => lines.concat(order.items || []), []));
+  const pricings = billable.map(order => (order.pricing && order.pricing.total !== undefined
+    ? order.pricing
+    : calculateBreakdown(mergeLines(order.items || []))));
+
+  return {
+    sessionId: session.id,
+    tableNo: session.tableNo,
+    status: session.status,
+    openedAt: session.openedAt,
+    closedAt: session.closedAt || null,
+    declaredAllergens: session.declaredAllergens || [],
+    rounds,
+    items,
+    pricing: sumPricing(pricings)
+  };
+};
+
+module.exports = { mergeLines, mergeDiscounts, sumPricing, summarizeSession };
@@ -0,0 +1,162 @@
+const languagesConfig = require('../config/languages');
+const { ApiError } = require('./errors');
+
+// Menu item fields that can be translated, with their length limits
+const TRANSLATABLE_FIELDS = { name: 100, description: 500 };
+
+const translationsOf = (menuItem) => {
+  const translations = menuItem.translations || {};
+  return translations instanceof Map ? Object.fromEntries(translations) : translations;
+};
+
+// Every name an item is known by, so orders placed from a translated menu still match
+const namesOf = menuItem => [menuItem.name].concat(
+  Object.values(translationsOf(menuItem)).map(fields => fields && fields.name).filter(Boolean)
+);
+
+/**
+ * Picks the language to serve:
+ * - `lang` (query parameter) when given; it must be an enabled language
+ * - otherwise the enabled language ranked highest in `Accept-Language`
+ *   (`te-IN` matches `te`), falling back to the default language
+ */
+const negotiateLanguage = ({ lang, acceptLanguage } = {}, config = languagesConfig) => {
+  if (lang !== undefined && lang !== '') {
+    const code = String(lang).trim().toLowerCase();
+    if (!config.enabled.includes(code)) {
+      throw new ApiError(400, 'Unsupported language: ' + lang, { languages: config.enabled });
+    }
+    return code;
+  }
+
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      return { code: tag.trim().toLowerCase().split('-')[0], q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(entry => entry.code && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  const match = ranked.find(entry => config.enabled.includes(entry.code));
+  return match ? match.code : config.defaultLanguage;
+};
+
+/**
+ * Checks translations `{ [language]: { name?, description? } }`.
+ * Languages must be enabled (and not the default one) and fields translatable;
+ * `null` removes a translation when merging. Throws a 400 ApiError listing every problem.
+ */
+const validateTranslations = (translations, config = languagesConfig) => {
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    throw new ApiError(400, 'translations must be an object keyed by language');
+  }
+
+  const errors = [];
+  Object.keys(translations).forEach((language) => {
+    const fields = translations[language];
+    if (language === config.defaultLanguage || !config.enabled.includes(language)) {
+      errors.push({ language, message: `must be one of ${config.enabled.filter(code => code !== config.defaultLanguage).join(', ')}` });
+      return;
+    }
+    if (fields === null) return;
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+      errors.push({ language, message: 'must be an object of translated fields' });
+      return;
+    }
+
+    Object.keys(fields).forEach((field) => {
+      const value = fields[field];
+      if (!TRANSLATABLE_FIELDS[field]) {
+        errors.push({ language, field, message: `is not translatable (${Object.keys(TRANSLATABLE_FIELDS).join(', ')})` });
+      } else if (value !== null && !(typeof value === 'string' && value.trim() && value.length <= TRANSLATABLE_FIELDS[field])) {
+        errors.push({ language, field, message: `must be a non-empty string of at most ${TRANSLATABLE_FIELDS[field]} characters or null` });
+      }
+    });
+  });
+
+  if (errors.length) throw new ApiError(400, 'Invalid translations', { errors });
+  return translations;
+};
+
+/**
+ * Applies validated translation changes to an item's translations:
+ * `null` for a language drops it, `null` for a field drops that field.
+ * Returns the new translations object.
+ */
+const mergeTranslations = (existing, changes) => {
+  const merged = {};
+  Object.entries(existing || {}).forEach(([language, fields]) => {
+    merged[language] = { ...fields };
+  });
+
+  Object.entries(changes).forEach(([language, fields]) => {
+    if (fields === null) {
+      delete merged[language];
+      return;
+    }
+    const next = { ...(merged[language] || {}) };
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value === null) delete next[field];
+      else next[field] = value.trim();
+    });
+    if (Object.keys(next).length) merged[language] = next;
+    else delete merged[language];
+  });
+
+  return merged;
+};
+
+// Translatable fields the item has in the default language but not in `language`
+const missingFields = (item, language) => {
+  const translated = translationsOf(item)[language] || {};
+  return Object.keys(TRANSLATABLE_FIELDS).filter(field => item[field] && !translated[field]);
+};
+
+/**
+ * An item with its translatable fields in `language`, each falling back to the
+ * default language. Fields that fell back are listed in `untranslated`.
+ */
+const localizeItem = (menuItem, language, config = languagesConfig) => {
+  const item = menuItem.toObject ? menuItem.toObject() : menuItem;
+  if (language === config.defaultLanguage) return item;
+
+  const translated = translationsOf(item)[language] || {};
+  const localized = { ...item };
+  Object.keys(TRANSLATABLE_FIELDS).forEach((field) => {
+    if (translated[field]) localized[field] = translated[field];
+  });
+
+  const untranslated = missingFields(item, language);
+  return untranslated.length ? { ...localized, untranslated } : localized;
+};
+
+const localizeItems = (menuItems, language, config = languagesConfig) =>
+  menuItems.map(item => localizeItem(item, language, config));
+
+/**
+ * Items missing translations, per enabled language other than the default:
+ * `[{ language, name, missing: [{ menuItemId, name, fields }], count }]`.
+ */
+const missingTranslations = (menuItems, config = languagesConfig) => config.enabled
+  .filter(language => language !== config.defaultLanguage)
+  .map((language) => {
+    const missing = menuItems
+      .map(item => ({ menuItemId: String(item._id || item.id), name: item.name, fields: missingFields(item, language) }))
+      .filter(entry => entry.fields.length);
+    return { language, name: config.names[language] || language, missing, count: missing.length };
+  });
+
+module.exports = {
+  TRANSLATABLE_FIELDS,
+  translationsOf,
+  namesOf,
+  negotiateLanguage,
+  validateTranslations,
+  mergeTranslations,
+  localizeItem,
+  localizeItems,
+  missingTranslations
+};
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { allocate, splitBill } = require('../services/billSplit');
+const { calculateBreakdown } = require('../services/pricing');
+const { toPaise } = require('../services/money');
+
+const CONFIG = {
+  currency: 'INR',
+  taxes: [{ name: 'CGST', rate: 2.5 }, { name: 'SGST', rate: 2.5 }],
+  serviceChargeRate: 10,
+  roundTo: 0
+};
+
+const line = (name, price, quantity) => ({ name, price, quantity, lineTotal: price * quantity });
+
+// 3 x 99.99 + 2 x 45.50 + 130 = 520.97 before a 10% service charge and 5% tax
+const items = [line('Paneer Tikka', 99.99, 3), line('Masala Chai', 45.5, 2), line('Biryani', 130, 1)];
+const bill = {
+  items,
+  pricing: calculateBreakdown(items, CONFIG, [{ promotionId: 'p1', name: 'Welcome', code: null, amount: 25 }])
+};
+
+const sumPaise = (values) => values.reduce((sum, value) => sum + toPaise(value), 0);
+
+const assertAddsUp = (split) => {
+  const { subBills } = split;
+  assert.equal(sumPaise(subBills.map(subBill => subBill.total)), toPaise(bill.pricing.total));
+  assert.equal(sumPaise(subBills.map(subBill => subBill.subtotal)), toPaise(bill.pricing.subtotal));
+  bill.pricing.taxes.forEach((tax, index) => {
+    assert.equal(sumPaise(subBills.map(subBill => subBill.taxes[index].amount)), toPaise(tax.amount));
+  });
+  assert.equal(sumPaise(subBills.map(subBill => subBill.charges[0].amount)), toPaise(bill.pricing.charges[0].amount));
+  assert.equal(sumPaise(subBills.map(subBill => subBill.discounts[0].amount)), toPaise(25));
+};
+
+test('allocate hands the remainder paise to the largest fractions, earliest first', () => {
+  assert.deepEqual(allocate(10000, [1, 1, 1]), [3334, 3333, 3333]);
+  assert.deepEqual(allocate(10001, [1, 1, 1]), [3334, 3334, 3333]);
+  assert.deepEqual(allocate(100, [1, 2]), [33, 67]);
+  assert.deepEqual(allocate(-5, [1, 1]), [-3, -2]);
+  assert.deepEqual(allocate(500, [0, 0]), [0, 0]);
+});
+
+test('an equal split differs by at most a paisa and adds up to the bill', () => {
+  const split = splitBill(bill, { mode: 'equal', parts: 3 });
+  const totals = split.subBills.map(subBill => toPaise(subBill.total));
+
+  assert.deepEqual(split.subBills.map(subBill => subBill.label), ['Guest 1', 'Guest 2', 'Guest 3']);
+  assert.ok(Math.max(...totals) - Math.min(...totals) <= 1);
+  assertAddsUp(split);
+});
+
+test('an item split shares items by their shares and adds up to the bill', () => {
+  const split = splitBill(bill, {
+    mode: 'items',
+    diners: ['Asha', 'Ravi', 'Meera'],
+    assignments: [
+      { item: 0, diners: [0, 1, 2] },
+      { item: 1, diners: [1] },
+      { item: 2, diners: [0, 2], shares: [2, 1] }
+    ]
+  });
+  const [asha, ravi, meera] = split.subBills;
+
+  // 299.97 three ways, then 130 two to one
+  assert.deepEqual(asha.items, [
+    { name: 'Paneer Tikka', quantity: 1, amount: 99.99 },
+    { name: 'Biryani', quantity: 0.667, amount: 86.67 }
+  ]);
+  assert.equal(ravi.subtotal, 190.99);
+  assert.equal(meera.subtotal, 143.32);
+  assertAddsUp(split);
+});
+
+test('a custom split keeps the requested amounts and rejects ones that miss the total', () => {
+  const total = bill.pricing.total;
+  const split = splitBill(bill, { mode: 'custom', diners: ['Asha', 'Ravi'], amounts: [200, Math.round((total - 200) * 100) / 100] });
+
+  assert.equal(split.subBills[0].total, 200);
+  assertAddsUp(split);
+  assert.throws(() => splitBill(bill, { mode: 'custom', amounts: [200, 200] }), {
+    status: 400,
+    message: 'Split amounts must add up to the bill total'
+  });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  learnPrepTimes,
+  unitPrepMinutes,
+  remainingMinutes,
+  estimateQueue,
+  changedEstimates
+} = require('../services/etaEstimator');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2025-03-03T12:00:00Z');
+const CONFIG = { stationCapacity: 1, bufferMinutes: 5, extraUnitFactor: 0.5, prepTimeWeight: 3 };
+
+const minutesBefore = minutes => new Date(NOW.getTime() - minutes * MINUTE);
+
+const order = (orderId, createdMinutesAgo, items) => ({
+  orderId,
+  tableNo: 1,
+  createdAt: minutesBefore(createdMinutesAgo),
+  items: items.map(item => ({ station: 'grill', quantity: 1, status: 'queued', ...item }))
+});
+
+test('learnPrepTimes keeps per-unit minutes of items with a positive duration', () => {
+  const learned = learnPrepTimes([
+    { name: 'Paneer Tikka', quantity: 1, startedAt: minutesBefore(30), readyAt: minutesBefore(20) },
+    { name: 'paneer tikka', quantity: 3, startedAt: minutesBefore(20), readyAt: minutesBefore(4) },
+    { name: 'Paneer Tikka', quantity: 1, startedAt: null, readyAt: minutesBefore(2) },
+    { name: 'Paneer Tikka', quantity: 1, startedAt: minutesBefore(2), readyAt: minutesBefore(2) }
+  ], CONFIG);
+
+  // 16 minutes for three units is 8 per unit with a factor of 1 + 0.5 * 2
+  assert.deepEqual(learned.get('paneer tikka'), { totalMinutes: 18, samples: 2 });
+});
+
+test('unitPrepMinutes blends the menu prep time with observed durations', () => {
+  const learned = new Map([['lassi', { totalMinutes: 10, samples: 2 }]]);
+
+  assert.equal(unitPrepMinutes({ name: 'Lassi', prepTime: 10 }, learned, CONFIG), (10 * 3 + 10) / 5);
+  assert.equal(unitPrepMinutes({ name: 'Naan', prepTime: 8 }, learned, CONFIG), 8);
+  assert.equal(unitPrepMinutes({ name: 'Naan' }, learned, CONFIG), 15);
+});
+
+test('remainingMinutes counts down a preparing item but never below a minute', () => {
+  const item = { name: 'Kebab', prepTime: 10, quantity: 1, status: 'preparing' };
+
+  assert.equal(remainingMinutes({ ...item, startedAt: minutesBefore(4) }, new Map(), NOW, CONFIG), 6);
+  assert.equal(remainingMinutes({ ...item, startedAt: minutesBefore(25) }, new Map(), NOW, CONFIG), 1);
+  assert.equal(remainingMinutes({ ...item, status: 'queued', quantity: 2 }, new Map(), NOW, CONFIG), 15);
+  assert.equal(remainingMinutes({ ...item, status: 'ready' }, new Map(), NOW, CONFIG), 0);
+});
+
+test('estimateQueue adds the serving buffer and times estimates from now', () => {
+  const estimates = estimateQueue([order('a', 1, [{ name: 'Kebab', prepTime: 10 }])], { now: NOW, config: CONFIG });
+
+  assert.deepEqual(estimates.get('a'), {
+    orderId: 'a',
+    tableNo: 1,
+    estimatedTime: 15,
+    estimatedReadyAt: new Date(NOW.getTime() + 15 * MINUTE)
+  });
+});
+
+test('estimateQueue queues items behind earlier orders at the same station', () => {
+  const estimates = estimateQueue([
+    order('late', 1, [{ name: 'Kebab', prepTime: 10 }]),
+    order('early', 5, [{ name: 'Tikka', prepTime: 12 }])
+  ], { now: NOW, config: CONFIG });
+
+  assert.equal(estimates.get('early').estimatedTime, 17);
+  assert.equal(estimates.get('late').estimatedTime, 27);
+});
+
+test('estimateQueue lets items already preparing keep their slot', () => {
+  const estimates = estimateQueue([
+    order('first', 10, [{ name: 'Kebab', prepTime: 10 }]),
+    order('second', 5, [{ name: 'Tikka', prepTime: 10, status: 'preparing', startedAt: minutesBefore(2) }])
+  ], { now: NOW, config: CONFIG });
+
+  assert.equal(estimates.get('second').estimatedTime, 13);
+  assert.equal(estimates.get('first').estimatedTime, 23);
+});
+
+test('estimateQueue cooks at separate stations and in parallel slots at the same time', () => {
+  const items = [{ name: 'Kebab', prepTime: 10 }, { name: 'Lassi', prepTime: 4, station: 'bar' }];
+
+  const oneSlot = estimateQueue([order('a', 1, items.concat({ name: 'Tikka', prepTime: 10 }))], { now: NOW, config: CONFIG });
+  const twoSlots = estimateQueue([order('a', 1, items.concat({ name: 'Tikka', prepTime: 10 }))], {
+    now: NOW,
+    config: { ...CONFIG, stationCapacity: 2 }
+  });
+
+  assert.equal(oneSlot.get('a').estimatedTime, 25);
+  assert.equal(twoSlots.get('a').estimatedTime, 15);
+});
+
+test('estimateQueue leaves out orders with nothing left to cook', () => {
+  const estimates = estimateQueue([order('done', 20, [{ name: 'Kebab', prepTime: 10, status: 'ready' }])], {
+    now: NOW,
+    config: CONFIG
+  });
+
+  assert.equal(estimates.size, 0);
+});
+
+test('changedEstimates reports new estimates and ones that moved by the threshold', () => {
+  const at = minutes => ({ estimatedReadyAt: new Date(NOW.getTime() + minutes * MINUTE) });
+  const previous = new Map([['a', { orderId: 'a', ...at(10) }], ['b', { orderId: 'b', ...at(10) }]]);
+  const estimates = new Map([
+    ['a', { orderId: 'a', ...at(10.5) }],
+    ['b', { orderId: 'b', ...at(12) }],
+    ['c', { orderId: 'c', ...at(5) }]
+  ]);
+
+  assert.deepEqual(changedEstimates(previous, estimates).map(estimate => estimate.orderId), ['b', 'c']);
+});
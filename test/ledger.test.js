@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  summarizePayments,
+  allocateSessionCredit,
+  summarizeRoundPayments,
+  refundableAmount
+} = require('../services/payments/ledger');
+
+const payment = (amount, fields = {}) => ({ kind: 'payment', status: 'succeeded', amount, ...fields });
+const refund = (amount, fields = {}) => ({ kind: 'refund', status: 'succeeded', amount, ...fields });
+
+test('summarizePayments counts only settled money and balances to the paisa', () => {
+  // 0.1 + 0.2 in floating point would leave a balance of a fraction of a paisa
+  const summary = summarizePayments(100.3, [
+    payment(0.1),
+    payment(0.2),
+    payment(100),
+    payment(50, { status: 'pending' }),
+    payment(50, { status: 'failed' })
+  ]);
+
+  assert.deepEqual(summary, {
+    paymentStatus: 'paid',
+    amountDue: 100.3,
+    amountPaid: 100.3,
+    amountRefunded: 0,
+    balance: 0,
+    overpaid: 0
+  });
+});
+
+test('summarizePayments reports partial payment, overpayment and refunds', () => {
+  assert.equal(summarizePayments(200, []).paymentStatus, 'unpaid');
+
+  const partial = summarizePayments(200, [payment(75.5)]);
+  assert.equal(partial.paymentStatus, 'partially_paid');
+  assert.equal(partial.balance, 124.5);
+
+  const overpaid = summarizePayments(200, [payment(250)]);
+  assert.equal(overpaid.paymentStatus, 'refund_due');
+  assert.equal(overpaid.overpaid, 50);
+  assert.equal(summarizePayments(200, [payment(250), refund(50)]).paymentStatus, 'paid');
+
+  // A cancelled order owes nothing once everything is refunded
+  assert.equal(summarizePayments(0, [payment(200), refund(200)]).paymentStatus, 'refunded');
+  assert.equal(summarizePayments(200, [payment(100)], 100).paymentStatus, 'paid');
+});
+
+test('allocateSessionCredit covers the open rounds oldest first', () => {
+  const credits = allocateSessionCredit([
+    { id: 'r1', due: 261, net: 100 },
+    { id: 'r2', due: 261, net: 0 },
+    { id: 'r3', due: 99.99, net: 0 }
+  ], 300);
+
+  assert.deepEqual(Object.fromEntries(credits), { r1: 161, r2: 139, r3: 0 });
+});
+
+test('summarizeRoundPayments settles every round when the session is paid in full', () => {
+  const rounds = [{ id: 'r1', due: 261 }, { id: 'r2', due: 261 }];
+  const payments = [payment(22, { orderId: 'r1' }), payment(500)];
+
+  assert.equal(summarizeRoundPayments('r1', rounds, payments).paymentStatus, 'paid');
+  assert.deepEqual(summarizeRoundPayments('r2', rounds, payments), {
+    paymentStatus: 'paid',
+    amountDue: 261,
+    amountPaid: 261,
+    amountRefunded: 0,
+    balance: 0,
+    overpaid: 0
+  });
+
+  const short = summarizeRoundPayments('r2', rounds, [payment(400)]);
+  assert.equal(short.paymentStatus, 'partially_paid');
+  assert.equal(short.balance, 122);
+});
+
+test('refundableAmount subtracts earlier refunds that did not fail', () => {
+  const original = payment(150.75, { _id: 'p1' });
+
+  assert.equal(refundableAmount(original, [
+    refund(50.25, { refundOf: 'p1' }),
+    refund(20, { refundOf: 'p1', status: 'failed' }),
+    refund(30, { refundOf: 'p2' })
+  ]), 100.5);
+  assert.equal(refundableAmount(original, [refund(200, { refundOf: 'p1' })]), 0);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  fromLocalTime,
+  parseMenuTime,
+  inWindow,
+  localTime,
+  priceAt,
+  applySchedule,
+  createMenuClock
+} = require('../services/menuSchedule');
+
+const ALL_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CONFIG = {
+  timeZone: 'Asia/Kolkata',
+  openingHours: [{ days: ALL_DAYS, from: '10:00', to: '23:00' }],
+  sections: {
+    breakfast: [{ days: ALL_DAYS, from: '10:00', to: '12:00' }]
+  },
+  happyHours: [{
+    name: 'Happy Hour',
+    days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    from: '16:00',
+    to: '19:00',
+    categories: ['beverage'],
+    discountPercent: 20
+  }],
+  simulatedTime: null
+};
+
+// 2025-03-03 is a Monday; Asia/Kolkata is UTC+05:30 all year
+const at = (date, time) => new Date(`${date}T${time}:00+05:30`);
+const local = (date, time) => localTime(at(date, time), CONFIG);
+
+const lassi = { name: 'Lassi', price: 100, category: 'beverage' };
+const paratha = { name: 'Paratha', price: 120, category: 'main', sections: ['breakfast'] };
+
+test('localTime reads the weekday and time in the restaurant time zone', () => {
+  assert.deepEqual(localTime(new Date('2025-03-02T20:00:00Z'), CONFIG), {
+    day: 'mon',
+    date: '2025-03-03',
+    time: '01:30',
+    minutes: 90
+  });
+});
+
+test('fromLocalTime and parseMenuTime read wall-clock times in the restaurant time zone', () => {
+  assert.deepEqual(fromLocalTime('2025-03-03', '16:00', CONFIG), new Date('2025-03-03T10:30:00Z'));
+  assert.deepEqual(parseMenuTime('9:15', at('2025-03-03', '20:00'), CONFIG), at('2025-03-03', '09:15'));
+  assert.deepEqual(parseMenuTime('2025-03-08T17:30', new Date(), CONFIG), at('2025-03-08', '17:30'));
+  assert.equal(parseMenuTime(undefined, new Date(), CONFIG), undefined);
+  assert.throws(() => parseMenuTime('25:00', new Date(), CONFIG), { status: 400 });
+});
+
+test('windows include their start and exclude their end', () => {
+  const window = { from: '10:00', to: '23:00' };
+
+  assert.equal(inWindow(window, local('2025-03-03', '09:59')), false);
+  assert.equal(inWindow(window, local('2025-03-03', '10:00')), true);
+  assert.equal(inWindow(window, local('2025-03-03', '22:59')), true);
+  assert.equal(inWindow(window, local('2025-03-03', '23:00')), false);
+});
+
+test('a window past midnight belongs to the day it starts on', () => {
+  const lateFriday = { days: ['fri'], from: '22:00', to: '02:00' };
+
+  assert.equal(inWindow(lateFriday, local('2025-03-07', '22:00')), true);
+  assert.equal(inWindow(lateFriday, local('2025-03-08', '01:59')), true);
+  assert.equal(inWindow(lateFriday, local('2025-03-08', '02:00')), false);
+  assert.equal(inWindow(lateFriday, local('2025-03-08', '22:30')), false);
+  assert.equal(inWindow(lateFriday, local('2025-03-07', '01:00')), false);
+});
+
+test('a window ending at 24:00 runs to midnight and equal ends mean all day', () => {
+  assert.equal(inWindow({ from: '18:00', to: '24:00' }, local('2025-03-03', '23:59')), true);
+  assert.equal(inWindow({ from: '18:00', to: '24:00' }, local('2025-03-04', '00:00')), false);
+  assert.equal(inWindow({ days: ['mon'], from: '00:00', to: '00:00' }, local('2025-03-03', '03:00')), true);
+  assert.equal(inWindow({ days: ['mon'], from: '00:00', to: '00:00' }, local('2025-03-04', '03:00')), false);
+});
+
+test('happy hour prices start on the first minute and end on the last', () => {
+  const priceOf = (date, time, item = lassi) => priceAt(item, local(date, time), CONFIG);
+
+  assert.deepEqual(priceOf('2025-03-03', '15:59'), { price: 100, regularPrice: 100, happyHour: null });
+  assert.deepEqual(priceOf('2025-03-03', '16:00'), { price: 80, regularPrice: 100, happyHour: 'Happy Hour' });
+  assert.equal(priceOf('2025-03-03', '18:59').price, 80);
+  assert.equal(priceOf('2025-03-03', '19:00').price, 100);
+  // Weekdays only
+  assert.equal(priceOf('2025-03-08', '17:00').price, 100);
+  // Other categories only with a happy hour price of their own, never above the menu price
+  assert.equal(priceOf('2025-03-03', '17:00', paratha).price, 120);
+  assert.equal(priceOf('2025-03-03', '17:00', { ...paratha, happyHourPrice: 99 }).price, 99);
+  assert.equal(priceOf('2025-03-03', '17:00', { ...lassi, happyHourPrice: 150 }).price, 100);
+});
+
+test('applySchedule marks items outside opening hours and their sections', () => {
+  const [closedLassi] = applySchedule([lassi], at('2025-03-03', '23:00'), CONFIG);
+  assert.equal(closedLassi.orderableNow, false);
+  assert.equal(closedLassi.unavailableReason, 'Outside opening hours (10:00-23:00)');
+
+  const [breakfast, lunch] = [at('2025-03-03', '11:59'), at('2025-03-03', '12:00')]
+    .map(time => applySchedule([paratha], time, CONFIG)[0]);
+  assert.equal(breakfast.orderableNow, true);
+  assert.equal(lunch.orderableNow, false);
+  assert.equal(lunch.unavailableReason, 'Only served during breakfast (10:00-12:00)');
+
+  const [weekendOnly] = applySchedule([{ ...lassi, availability: [{ days: ['sat', 'sun'], from: '11:00', to: '15:00' }] }],
+    at('2025-03-03', '12:00'), CONFIG);
+  assert.equal(weekendOnly.unavailableReason, 'Only served sat/sun 11:00-15:00');
+
+  const [discounted] = applySchedule([lassi], at('2025-03-03', '16:30'), CONFIG);
+  assert.deepEqual(
+    { price: discounted.price, regularPrice: discounted.regularPrice, happyHour: discounted.happyHour, orderableNow: discounted.orderableNow },
+    { price: 80, regularPrice: 100, happyHour: 'Happy Hour', orderableNow: true }
+  );
+});
+
+test('createMenuClock starts a simulated clock at the configured time and keeps it running', () => {
+  let system = new Date('2025-06-01T08:00:00Z');
+  const systemClock = () => system;
+
+  assert.equal(createMenuClock(CONFIG, systemClock), systemClock);
+
+  const clock = createMenuClock({ ...CONFIG, simulatedTime: '2025-03-03T16:00:00+05:30' }, systemClock);
+  assert.deepEqual(clock(), at('2025-03-03', '16:00'));
+  system = new Date('2025-06-01T08:05:00Z');
+  assert.deepEqual(clock(), at('2025-03-03', '16:05'));
+
+  assert.throws(() => createMenuClock({ ...CONFIG, simulatedTime: 'teatime' }, systemClock), /MENU_SIMULATED_TIME/);
+});
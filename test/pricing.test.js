@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateBreakdown, priceOrder, assertTotalMatches } = require('../services/pricing');
+
+const CONFIG = {
+  currency: 'INR',
+  taxes: [{ name: 'GST', rate: 5 }],
+  serviceChargeRate: 10,
+  roundTo: 1,
+  totalTolerance: 1,
+  maxQuantityPerItem: 50,
+  maxNotesLength: 200
+};
+
+const MENU = [
+  { _id: '1', name: 'Butter Chicken', price: 320, category: 'main', available: true },
+  { _id: '2', name: 'Garlic Naan', price: 45.5, category: 'bread', available: true },
+  { _id: '3', name: 'Mango Kulfi', price: 90, category: 'dessert', available: false }
+];
+
+test('priceOrder takes prices from the menu, not from the client', () => {
+  const { items, pricing } = priceOrder([
+    { menuItemId: '1', quantity: 1, price: 1 },
+    { name: 'garlic naan', quantity: 3 }
+  ], MENU, CONFIG);
+
+  assert.deepEqual(items.map(line => [line.name, line.price, line.lineTotal]), [
+    ['Butter Chicken', 320, 320],
+    ['Garlic Naan', 45.5, 136.5]
+  ]);
+  // 456.50 + 45.65 service charge + 25.11 GST = 527.26, rounded to the rupee
+  assert.deepEqual(pricing, {
+    currency: 'INR',
+    subtotal: 456.5,
+    discounts: [],
+    discountTotal: 0,
+    taxes: [{ name: 'GST', rate: 5, amount: 25.11 }],
+    charges: [{ name: 'Service Charge', rate: 10, amount: 45.65 }],
+    rounding: -0.26,
+    total: 527
+  });
+});
+
+test('priceOrder rejects unknown and unavailable items and bad quantities', () => {
+  assert.throws(() => priceOrder([], MENU, CONFIG), { status: 400, message: 'Order must contain at least one item' });
+  assert.throws(() => priceOrder([{ name: 'Pizza' }], MENU, CONFIG), { status: 400, message: 'Unknown menu item: Pizza' });
+  assert.throws(() => priceOrder([{ menuItemId: '3' }], MENU, CONFIG), { status: 400, message: 'Mango Kulfi is currently unavailable' });
+  assert.throws(() => priceOrder([{ menuItemId: '1', quantity: 1.5 }], MENU, CONFIG), { status: 400 });
+  assert.throws(() => priceOrder([{ menuItemId: '1', quantity: 51 }], MENU, CONFIG), { status: 400 });
+});
+
+test('calculateBreakdown charges tax on the discounted amount and never discounts below zero', () => {
+  const lines = [{ lineTotal: 100 }];
+  const config = { ...CONFIG, serviceChargeRate: 0, roundTo: 0 };
+
+  assert.equal(calculateBreakdown(lines, config, [{ amount: 40 }]).total, 63);
+  const overDiscounted = calculateBreakdown(lines, config, [{ amount: 80 }, { amount: 80 }]);
+  assert.equal(overDiscounted.discountTotal, 100);
+  assert.equal(overDiscounted.total, 0);
+});
+
+test('calculateBreakdown adds line totals in paise so floating point error never reaches the total', () => {
+  const lines = Array.from({ length: 10 }, () => ({ lineTotal: 0.1 }));
+
+  assert.equal(calculateBreakdown(lines, { ...CONFIG, taxes: [], serviceChargeRate: 0, roundTo: 0 }).total, 1);
+});
+
+test('assertTotalMatches accepts totals within the tolerance', () => {
+  const pricing = { total: 527 };
+
+  assert.doesNotThrow(() => assertTotalMatches('526.5', pricing, CONFIG));
+  assert.throws(() => assertTotalMatches(525, pricing, CONFIG), (error) => {
+    assert.equal(error.status, 409);
+    assert.equal(error.details.expectedTotal, 527);
+    return true;
+  });
+  assert.throws(() => assertTotalMatches(undefined, pricing, CONFIG), { status: 409 });
+});
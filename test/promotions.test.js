@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePromotion, unavailableReason, applyPromotions } = require('../services/promotions');
+const { calculateBreakdown } = require('../services/pricing');
+
+const NOW = new Date('2025-03-03T12:00:00Z');
+const CONFIG = { currency: 'INR', taxes: [{ name: 'GST', rate: 5 }], serviceChargeRate: 0, roundTo: 0 };
+
+const line = (name, category, price, quantity) => ({ menuItemId: name, name, category, price, quantity, lineTotal: price * quantity });
+
+// 2 x 150 main + 2 x 60 beverage = 420
+const items = [line('Paneer Tikka', 'main', 150, 2), line('Lassi', 'beverage', 60, 2)];
+const priced = { items, pricing: calculateBreakdown(items, CONFIG) };
+
+let nextId = 0;
+const promotion = fields => ({
+  ...validatePromotion({ name: 'Promo', ...fields }),
+  _id: `p${++nextId}`,
+  status: 'active',
+  redemptionCount: 0
+});
+
+const apply = (promotions, options = {}) => applyPromotions(priced, promotions, { now: NOW, config: CONFIG, ...options });
+const names = result => result.discounts.map(discount => discount.name);
+
+test('stackable promotions combine, highest priority first, on what is left of each line', () => {
+  const result = apply([
+    promotion({ name: 'Tenner', type: 'flat', value: 10, stackable: true }),
+    promotion({ name: 'Drinks', type: 'percentage', value: 50, scope: 'category', categories: ['beverage'], stackable: true, priority: 1 })
+  ]);
+
+  assert.deepEqual(names(result), ['Drinks', 'Tenner']);
+  assert.deepEqual(result.discounts.map(discount => discount.amount), [60, 10]);
+  assert.equal(result.pricing.discountTotal, 70);
+  // (420 - 70) + 5% GST
+  assert.equal(result.pricing.total, 367.5);
+});
+
+test('a promotion that does not stack applies alone when it saves the most', () => {
+  const stackable = [
+    promotion({ name: 'Tenner', type: 'flat', value: 10, stackable: true }),
+    promotion({ name: 'Twenty', type: 'flat', value: 20, stackable: true })
+  ];
+
+  assert.deepEqual(names(apply(stackable.concat(promotion({ name: 'Quarter', type: 'percentage', value: 25 })))), ['Quarter']);
+  assert.deepEqual(names(apply(stackable.concat(promotion({ name: 'Fiver', type: 'flat', value: 5 })))), ['Tenner', 'Twenty']);
+});
+
+test('a coupon always applies, with the automatic stackable promotions only if it stacks itself', () => {
+  const automatic = promotion({ name: 'Quarter', type: 'percentage', value: 25, stackable: true });
+  const single = promotion({ name: 'Fiver', code: 'fiver', type: 'flat', value: 5 });
+  const stacking = promotion({ name: 'Tenner', code: 'TEN', type: 'flat', value: 10, stackable: true });
+
+  assert.deepEqual(names(apply([automatic, single], { couponCode: 'FIVER' })), ['Fiver']);
+  assert.deepEqual(names(apply([automatic, stacking], { couponCode: 'ten' })), ['Tenner', 'Quarter']);
+});
+
+test('a promotion stops applying once its usage limit is reached', () => {
+  const limited = promotion({ name: 'First Ten', code: 'FIRST10', type: 'flat', value: 50, usageLimit: 10 });
+
+  assert.equal(unavailableReason({ ...limited, redemptionCount: 9 }, NOW), null);
+  assert.equal(unavailableReason({ ...limited, redemptionCount: 10 }, NOW), 'has been fully redeemed');
+  assert.equal(apply([{ ...limited, redemptionCount: 9 }], { couponCode: 'FIRST10' }).pricing.discountTotal, 50);
+  assert.throws(() => apply([{ ...limited, redemptionCount: 10 }], { couponCode: 'FIRST10' }), {
+    status: 400,
+    message: 'Coupon FIRST10 has been fully redeemed'
+  });
+
+  const automatic = promotion({ name: 'Launch', type: 'flat', value: 50, usageLimit: 1 });
+  assert.deepEqual(names(apply([{ ...automatic, redemptionCount: 1 }])), []);
+});
+
+test('validatePromotion rejects a usage limit that is not a whole number of at least 1', () => {
+  assert.equal(promotion({ type: 'flat', value: 10 }).usageLimit, null);
+  assert.throws(() => validatePromotion({ name: 'Promo', type: 'flat', value: 10, usageLimit: 0 }), (error) => {
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details.errors, [{ field: 'usageLimit', message: 'must be a whole number of at least 1, or null for no limit' }]);
+    return true;
+  });
+});